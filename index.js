@@ -1,476 +1,1603 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
+const { createProviderFromEnv } = require('./lib/providers');
+const { MARKER_FIELDS_PROMPT, parseMarkerResponse, buildRepairPrompt, extractJSONArray } = require('./lib/markers');
+const { chunkText, mergeMarkers, dropOverlapRepeats } = require('./lib/chunker');
+const { mapWithConcurrency } = require('./lib/pool');
+const { analyzeText, formatStatsForPrompt, statsToMarkers, applyExactCounts } = require('./lib/textStats');
+const { resolveAnchors } = require('./lib/anchors');
+const { createCache, stableStringify } = require('./lib/cache');
+const { createChatSessionStore } = require('./lib/chatSessions');
+const { estimateTokens, contextBudget, buildContext, truncateText } = require('./lib/contextBuilder');
+const { createRetriever } = require('./lib/retrieval');
+const { createCharacterMemory, formatMemory } = require('./lib/characterMemory');
+const { parseApiKeys, createAuthenticator } = require('./lib/auth');
+const { createRateLimiter } = require('./lib/rateLimit');
+const { createUsageMeter, GROUP_FIELDS } = require('./lib/usage');
+const { createPromptRegistry } = require('./lib/prompts');
+const { loadCustomActions, missingInputs } = require('./lib/customActions');
+const { diffText } = require('./lib/diff');
+const { parseStyleControls, temperatureFor, formatStyleInstructions, checkStyle } = require('./lib/styleControls');
+const { createJobQueue } = require('./lib/jobs');
+const { createRecorder } = require('./lib/recorder');
+const { ERROR_CODES, apiError, classifyError, errorBody, isTimeout } = require('./lib/errors');
+const { validateInput, describeSchema, checkSchema } = require('./lib/schemas');
+const { createModelHealth, isRetryable, backoffDelay } = require('./lib/modelHealth');
 const app = express();
 
-app.use(cors());
+// CORS allowlist, e.g. CORS_ORIGINS="https://www.mysite.com,https://editor.wix.com".
+// Unset (or "*") allows every origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+app.use(cors({
+  origin: CORS_ORIGINS.length === 0 || CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS
+}));
 app.use(express.json());
 
+// Behind a reverse proxy every request arrives from the proxy's address, so anonymous
+// callers would share one rate limit. TRUST_PROXY takes Express's "trust proxy" values:
+// true, a hop count, or a comma-separated list of addresses/subnets ("loopback", "10.0.0.0/8").
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+}
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Wix API configuration
 const WIX_API_KEY = process.env.WIX_API_KEY;
 const WIX_ACCOUNT_ID = process.env.WIX_ACCOUNT_ID;
 const WIX_SITE_ID = process.env.WIX_SITE_ID;
+const WIX_CONFIGURED = Boolean(WIX_API_KEY && WIX_SITE_ID);
+
+// Wix lookup cache: seconds per collection, overridable with
+// WIX_CACHE_TTLS='{"Characters":600}' and WIX_CACHE_TTL for everything else
+const WIX_CACHE_TTLS = {
+  Characters: 300,
+  ChatWithCharacters: 30,
+  BackupChapters: 120,
+  Catalyst: 300,
+  ...JSON.parse(process.env.WIX_CACHE_TTLS || '{}')
+};
+const WIX_CACHE_DEFAULT_TTL = parseInt(process.env.WIX_CACHE_TTL, 10) || 60;
+const CACHE_INVALIDATION_SECRET = process.env.CACHE_INVALIDATION_SECRET;
+
+// Auth: static keys (API_KEYS) and/or tokens signed by the Wix backend (AUTH_SIGNING_SECRET);
+// with neither set the API stays open and callers are rate limited by IP.
+// Limits are per minute, the quota per UTC day; 0 turns a limit off.
+const API_KEYS = parseApiKeys(process.env.API_KEYS);
+const AUTH_SIGNING_SECRET = process.env.AUTH_SIGNING_SECRET;
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE ?? '30', 10);
+const ACTION_RATE_LIMITS = {
+  unhinge: 5,
+  full_audit: 3,
+  ...JSON.parse(process.env.ACTION_RATE_LIMITS || '{}')
+};
+const DAILY_QUOTA = parseInt(process.env.DAILY_QUOTA ?? '500', 10);
+
+// Model configuration (override per environment, e.g. local model names for Ollama)
+const PRIMARY_MODEL = process.env.PRIMARY_MODEL || "deepseek/deepseek-v3.1-terminus:exacto";
+const BACKUP_MODEL = process.env.BACKUP_MODEL || "deepseek/deepseek-v3.2";
+const TERTIARY_MODEL = process.env.TERTIARY_MODEL || "mistralai/mistral-large";
+const ANALYSIS_MODEL = process.env.ANALYSIS_MODEL || "openai/gpt-3.5-turbo";
+const TAG_MODEL = process.env.TAG_MODEL || "openai/gpt-4.1-mini";
+const MEMORY_MODEL = process.env.MEMORY_MODEL || "openai/gpt-4.1-mini";
+
+// Model call resilience: how long one call may take (MODEL_TIMEOUTS='{"model":ms}'
+// overrides it per model), retries of the same model on 429/5xx, and the circuit
+// breaker that skips a model after that many failed requests in a row for the cooldown.
+// A streamed call gets the timeout for its first token, then MODEL_STREAM_IDLE_MS
+// between tokens, however long the whole stream runs.
+const MODEL_TIMEOUT_MS = parseInt(process.env.MODEL_TIMEOUT_MS, 10) || 90000;
+const MODEL_TIMEOUTS = JSON.parse(process.env.MODEL_TIMEOUTS || '{}');
+const MODEL_STREAM_IDLE_MS = parseInt(process.env.MODEL_STREAM_IDLE_MS, 10) || 30000;
+const MODEL_RETRIES = parseInt(process.env.MODEL_RETRIES ?? '2', 10);
+const MODEL_FAILURE_THRESHOLD = parseInt(process.env.MODEL_FAILURE_THRESHOLD, 10) || 3;
+const MODEL_COOLDOWN_MS = parseInt(process.env.MODEL_COOLDOWN_MS, 10) || 60000;
+const WIX_TIMEOUT_MS = parseInt(process.env.WIX_TIMEOUT_MS, 10) || 15000;
+
+// Long-text chunking (words per chunk, parallel model calls per request)
+const ANALYSIS_CHUNK_WORDS = parseInt(process.env.ANALYSIS_CHUNK_WORDS, 10) || 2500;
+const UNHINGE_CHUNK_WORDS = parseInt(process.env.UNHINGE_CHUNK_WORDS, 10) || 1500;
+const CHUNK_CONCURRENCY = parseInt(process.env.CHUNK_CONCURRENCY, 10) || 4;
+
+// Async jobs (async: true): jobs run at once, jobs allowed to wait, and how long
+// finished results are kept (seconds)
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOB_QUEUE_LIMIT = parseInt(process.env.JOB_QUEUE_LIMIT, 10) || 20;
+const JOB_RESULT_TTL = parseInt(process.env.JOB_RESULT_TTL, 10) || 3600;
+
+// Candidates per request for `variants` (unleash, invoke, noMercy, devilPOV)
+const MAX_VARIANTS = parseInt(process.env.MAX_VARIANTS, 10) || 4;
+
+// Longest chapter, selection or analysis text an action accepts (characters)
+const MAX_INPUT_CHARS = parseInt(process.env.MAX_INPUT_CHARS, 10) || 200000;
+const AUDIT_CONCURRENCY = parseInt(process.env.AUDIT_CONCURRENCY, 10) || 3;
+
+// Generation prompts are trimmed to fit the smallest window in the fallback chain,
+// and never grow past this many tokens regardless
+const GENERATION_MODELS = [PRIMARY_MODEL, BACKUP_MODEL, TERTIARY_MODEL];
+const CONTEXT_TOKEN_CAP = parseInt(process.env.CONTEXT_TOKEN_CAP, 10) || 24000;
+
+// Story passages pulled into generation prompts
+const RETRIEVAL_MAX_CHAPTERS = parseInt(process.env.RETRIEVAL_MAX_CHAPTERS, 10) || 100;
+const RETRIEVAL_PASSAGES = parseInt(process.env.RETRIEVAL_PASSAGES, 10) || 5;
+const RETRIEVAL_PASSAGE_WORDS = parseInt(process.env.RETRIEVAL_PASSAGE_WORDS, 10) || 220;
+
+// Record / replay of model and Wix calls (RECORD_MODE=record|replay, fixtures in RECORD_DIR)
+const recorder = createRecorder({
+  mode: process.env.RECORD_MODE || 'off',
+  dir: process.env.RECORD_DIR || path.join(__dirname, 'fixtures')
+});
+
+// A replay with no fixture is a broken test setup, not a partial failure: the
+// fallbacks that keep a request going past one failed call rethrow it
+function rethrowMissingFixture(...errors) {
+  const missing = errors.find(error => error?.code === 'FIXTURE_MISSING');
+  if (missing) throw missing;
+}
 
-// Model configuration
-const PRIMARY_MODEL = "deepseek/deepseek-v3.1-terminus:exacto";
-const BACKUP_MODEL = "deepseek/deepseek-v3.2";
-const TERTIARY_MODEL = "mistralai/mistral-large";
+// LLM provider (LLM_PROVIDER=openrouter|openai|mock)
+const llm = recorder.wrapProvider(createProviderFromEnv());
 
 // ============================================
-// AI CALL WITH FALLBACK
+// USAGE METERING
+// ============================================
+// Every model call is logged with its action, user, model, tokens, latency and cost;
+// GET /usage reports on the log. MODEL_PRICES='{"model":{"prompt":1,"completion":2}}'
+// (USD per million tokens) extends or overrides the built-in price table.
+const usageMeter = createUsageMeter({
+  file: process.env.USAGE_LOG_PATH || path.join(__dirname, 'data', 'usage.jsonl'),
+  prices: JSON.parse(process.env.MODEL_PRICES || '{}')
+});
+
+// llm.complete plus a usage record. ctx supplies action and user; attempt is the
+// model's position in a fallback chain. Failed calls are recorded too, billed only
+// for what they managed to stream.
+async function meteredComplete(request, ctx = {}, attempt = 1) {
+  const started = Date.now();
+  const base = { action: ctx.action, via: ctx.via, user: ctx.user, attempt };
+  const promptTokens = estimateTokens(request.messages.map(msg => msg.content).join('\n'));
+  let streamed = '';
+  
+  try {
+    const response = await llm.complete({
+      ...request,
+      onToken: request.onToken && ((text) => {
+        streamed += text;
+        request.onToken(text);
+      })
+    });
+    
+    usageMeter.record({
+      ...base,
+      model: response.model || request.model,
+      usage: response.usage,
+      estimate: { promptTokens, completionTokens: estimateTokens(response.content) },
+      latencyMs: Date.now() - started
+    });
+    return response;
+    
+  } catch (error) {
+    usageMeter.record({
+      ...base,
+      model: request.model,
+      ok: false,
+      estimate: { promptTokens: streamed ? promptTokens : 0, completionTokens: estimateTokens(streamed) },
+      latencyMs: Date.now() - started,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
 // ============================================
-async function callAI(messages, temperature = 0.9, maxTokens = 2500) {
-  const models = [PRIMARY_MODEL, BACKUP_MODEL, TERTIARY_MODEL];
-  const apiKey = process.env.OPENROUTER_API_KEY;
+// MODEL ROUTING (TIMEOUTS, RETRIES, CIRCUIT BREAKERS)
+// ============================================
+// Every model call goes through guardedComplete: it is cut off after the model's
+// timeout (a stream only when it stalls), retried with jittered backoff on 429/5xx
+// (unless tokens already went out), and its outcome - once the retries are spent -
+// feeds the model's circuit breaker. Fallback chains are filtered through
+// modelHealth.arrange so models with an open breaker are skipped.
+const modelHealth = createModelHealth({
+  failureThreshold: MODEL_FAILURE_THRESHOLD,
+  cooldownMs: MODEL_COOLDOWN_MS
+});
+
+function modelTimeout(model) {
+  return MODEL_TIMEOUTS[model] || MODEL_TIMEOUT_MS;
+}
+
+// An abort signal that fires ms from now; extend() restarts the clock with a new limit
+function createDeadline(ms, reason) {
+  const controller = new AbortController();
+  let timer = null;
+  const deadline = { signal: controller.signal, expired: null, extend, clear: () => clearTimeout(timer) };
+  
+  function extend(nextMs, nextReason) {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      deadline.expired = nextReason;
+      controller.abort(new DOMException(nextReason, 'TimeoutError'));
+    }, nextMs);
+  }
+  
+  extend(ms, reason);
+  return deadline;
+}
+
+async function guardedComplete(request, ctx = {}, attempt = 1) {
+  const { model } = request;
+  const timeoutMs = modelTimeout(model);
+  let emitted = false;
   
-  if (!apiKey) {
-    throw new Error("No API key configured");
+  if (!modelHealth.startCall(model)) {
+    throw apiError('MODEL_UNAVAILABLE', `${model} is skipped while its circuit breaker's trial call is in flight`);
   }
   
-  for (const model of models) {
+  for (let retry = 0; ; retry++) {
+    const deadline = createDeadline(timeoutMs, `${model} timed out after ${timeoutMs}ms`);
+    const started = Date.now();
+    
     try {
-      console.log(`🤖 Trying model: ${model}`);
-      
-      const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-          'HTTP-Referer': 'https://amygonzalez305.wixsite.com/the-draft-reaper/devil-muse-server',
-          'X-Title': 'Devil Muse'
-        },
-        body: JSON.stringify({
-          model: model,
-          messages: messages,
-          temperature: temperature,
-          max_tokens: maxTokens
+      const response = await meteredComplete({
+        ...request,
+        signal: request.signal ? AbortSignal.any([request.signal, deadline.signal]) : deadline.signal,
+        onToken: request.onToken && ((text) => {
+          emitted = true;
+          deadline.extend(MODEL_STREAM_IDLE_MS, `${model} stream stalled for ${MODEL_STREAM_IDLE_MS}ms`);
+          request.onToken(text);
         })
-      });
+      }, ctx, attempt).finally(deadline.clear);
+      
+      modelHealth.recordSuccess(model, Date.now() - started);
+      return response;
+      
+    } catch (error) {
+      if (request.signal?.aborted || error.code === 'FIXTURE_MISSING') {
+        throw error;
+      }
+      
+      const failure = deadline.expired || isTimeout(error)
+        ? apiError('UPSTREAM_TIMEOUT', deadline.expired || `${model} timed out after ${timeoutMs}ms`)
+        : error;
+      
+      // The breaker counts failed requests, not attempts
+      if (emitted || retry >= MODEL_RETRIES || !isRetryable(failure)) {
+        modelHealth.recordFailure(model, failure);
+        throw failure;
+      }
+      
+      const delay = backoffDelay(retry);
+      console.warn(`🔁 ${model} failed (${failure.status}), retry ${retry + 1}/${MODEL_RETRIES} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      
+      if (request.signal?.aborted) {
+        throw apiError('CANCELLED', "Request aborted by client");
+      }
+    }
+  }
+}
+
+// The chain minus models whose breaker is open, logging what was skipped
+function routeModels(chain) {
+  const usable = modelHealth.arrange(chain);
+  const skipped = chain.filter(model => !usable.includes(model));
+  if (skipped.length > 0) {
+    console.warn(`⛔ Skipping ${skipped.join(', ')} (circuit open)`);
+  }
+  return usable;
+}
+
+// ============================================
+// PROMPT TEMPLATES
+// ============================================
+// Prompt text lives in prompts/<action>/<part>.<version>.txt (see lib/prompts.js).
+// Edits are picked up without a restart; a request may ask for a version with
+// promptVersion, and the versions actually used come back as promptVersions.
+const prompts = createPromptRegistry({
+  dir: process.env.PROMPTS_DIR || path.join(__dirname, 'prompts'),
+  reloadMs: parseInt(process.env.PROMPT_RELOAD_MS ?? '2000', 10)
+});
+
+// Render a template for this request and note which version it used
+function renderPrompt(ctx, name, vars = {}) {
+  const { text, version } = prompts.render(name, vars, ctx.promptVersion);
+  ctx.prompts = ctx.prompts || {};
+  ctx.prompts[name] = version;
+  return text;
+}
+
+// ============================================
+// AI CALL WITH FALLBACK
+// ============================================
+// ctx is the per-request context built by the /devil-pov route. When it carries
+// an onToken callback the completion is streamed and every delta is relayed as it
+// arrives; a model that fails before emitting anything still falls through to the
+// next one. The model that answered is recorded on ctx.model. ctx.models replaces
+// the default fallback chain (custom actions set it).
+async function callAI(messages, temperature = 0.9, maxTokens = 2500, ctx = {}) {
+  const models = routeModels(ctx.models || GENERATION_MODELS);
+  const streaming = typeof ctx.onToken === 'function';
+  const failures = [];
+  
+  if (!llm.isConfigured()) {
+    throw apiError('NOT_CONFIGURED', "No API key configured");
+  }
+  
+  for (const [idx, model] of models.entries()) {
+    let charsEmitted = 0;
+    
+    try {
+      console.log(`🤖 Trying model: ${model}${streaming ? ' (streaming)' : ''}`);
+      ctx.onProgress?.({ stage: 'generating', model, attempt: idx + 1 });
+      
+      const { content } = await guardedComplete({
+        model,
+        messages,
+        temperature,
+        maxTokens,
+        title: 'Devil Muse',
+        signal: ctx.signal,
+        onToken: streaming ? (text) => {
+          charsEmitted += text.length;
+          ctx.onToken(text);
+        } : undefined
+      }, ctx, idx + 1);
       
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`❌ ${model} failed:`, errorText);
+      if (content.length === 0) {
+        console.error(`❌ ${model} returned an empty completion`);
+        failures.push(apiError('MODEL_BAD_RESPONSE', `${model} returned an empty completion`));
         continue;
       }
       
-      const data = await response.json();
       console.log(`✅ Success with ${model}`);
-      return data.choices[0].message.content;
+      ctx.model = model;
+      return content;
       
     } catch (error) {
+      if (ctx.signal?.aborted) {
+        throw apiError('CANCELLED', "Request aborted by client");
+      }
+      
+      // A replay with no fixture is a broken test setup, not a model outage
+      if (error.code === 'FIXTURE_MISSING') {
+        throw error;
+      }
+      
+      // Tokens already reached the client, so another model can't take over
+      if (charsEmitted > 0) {
+        throw modelError(error, `${model} failed mid-stream: ${error.message}`);
+      }
+      
       console.error(`❌ ${model} error:`, error.message);
+      failures.push(error);
       continue;
     }
   }
   
-  throw new Error("All models failed");
+  // Only a chain that did nothing but time out is reported as a timeout
+  const timedOut = failures.length > 0 && failures.every(isTimeout);
+  throw apiError(
+    timedOut ? 'UPSTREAM_TIMEOUT' : 'MODEL_UNAVAILABLE',
+    `All models failed${failures.length > 0 ? ` (last error: ${failures[failures.length - 1].message})` : ''}`
+  );
+}
+
+// A provider error (which carries the upstream HTTP status) as one of our codes
+function modelError(error, message = error.message) {
+  if (ERROR_CODES[error.code]) return error;
+  return apiError(isTimeout(error) ? 'UPSTREAM_TIMEOUT' : 'MODEL_UNAVAILABLE', message);
 }
 
 // ============================================
-// QUERY WIX CMS
+// CANDIDATE VARIANTS + RANKING
 // ============================================
-async function queryWixCMS(collection, filter = {}, limit = 10) {
+// variants: N asks for N completions of the same prompt, generated in parallel from
+// the context the handler already fetched. spreadModels starts each candidate on a
+// different model of the chain (the rest stay as its fallback), and rank adds a
+// scoring pass for tone and continuity. The best candidate is the action's result;
+// all of them are returned on ctx.variants. Without variants this is callAI.
+async function generateCandidates(messages, temperature, maxTokens, ctx, { variants, spreadModels, rank } = {}) {
+  const count = Math.min(parseInt(variants, 10) || 1, MAX_VARIANTS);
+  
+  if (count <= 1) {
+    return await callAI(messages, temperature, maxTokens, ctx);
+  }
+  
+  if (typeof ctx.onToken === 'function') {
+    throw apiError('VALIDATION_ERROR', "variants cannot be streamed");
+  }
+  
+  const chain = ctx.models || GENERATION_MODELS;
+  console.log(`🎲 Generating ${count} candidates${spreadModels ? ' across models' : ''}`);
+  
+  const outcomes = await mapWithConcurrency([...Array(count).keys()], CHUNK_CONCURRENCY, async (idx) => {
+    const start = spreadModels ? idx % chain.length : 0;
+    const candidateCtx = {
+      action: ctx.action,
+      via: ctx.via,
+      user: ctx.user,
+      signal: ctx.signal,
+      models: [...chain.slice(start), ...chain.slice(0, start)]
+    };
+    const text = await callAI(messages, temperature, maxTokens, candidateCtx);
+    return { candidate: idx + 1, model: candidateCtx.model, text };
+  });
+  
+  rethrowMissingFixture(...outcomes.map(outcome => outcome.reason));
+  const candidates = outcomes.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+  if (candidates.length === 0) {
+    throw outcomes[0].reason;
+  }
+  
+  if (candidates.length < count) {
+    console.error(`⚠️ ${count - candidates.length} of ${count} candidates failed`);
+  }
+  
+  ctx.variants = rank && candidates.length > 1
+    ? await rankCandidates(messages, candidates, ctx)
+    : candidates;
+  ctx.model = ctx.variants[0].model;
+  
+  return ctx.variants[0].text;
+}
+
+// Candidates ordered best first with { scores: { tone, continuity, overall }, reason }.
+// If the ranking pass fails they come back in generation order, unscored.
+async function rankCandidates(messages, candidates, ctx) {
+  const brief = messages
+    .map(msg => `${msg.role.toUpperCase()}:\n${truncateText(msg.content, msg.role === 'system' ? 3000 : 1500, msg.role === 'system' ? 'start' : 'end')}`)
+    .join('\n\n');
+  const listing = candidates
+    .map(candidate => `--- CANDIDATE ${candidate.candidate} ---\n${truncateText(candidate.text, 1500)}`)
+    .join('\n\n');
+  
   try {
-    console.log(`🔍 Querying Wix collection: ${collection}`);
+    const reply = await callClaudeForAnalysis([
+      { role: "user", content: renderPrompt(ctx, 'variants/rank', { count: String(candidates.length), brief, candidates: listing }) }
+    ], 1000, { action: 'variant_ranking', via: ctx.action, user: ctx.user });
     
-    const response = await fetch(`https://www.wixapis.com/wix-data/v2/items/query`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': WIX_API_KEY,
-        'wix-site-id': WIX_SITE_ID,
-        'wix-account-id': WIX_ACCOUNT_ID
-      },
-      body: JSON.stringify({
-        dataCollectionId: collection,
-        query: {
-          filter: filter,
-          sort: [],
-          paging: { limit: limit }
-        }
-      })
+    const scores = new Map();
+    (extractJSONArray(reply) || []).forEach(entry => {
+      const tone = Number(entry?.tone);
+      const continuity = Number(entry?.continuity);
+      if (!Number.isFinite(tone) || !Number.isFinite(continuity) || scores.has(Number(entry.candidate))) return;
+      
+      scores.set(Number(entry.candidate), {
+        scores: { tone, continuity, overall: Math.round(((tone + continuity) / 2) * 10) / 10 },
+        reason: typeof entry.reason === 'string' ? entry.reason : ''
+      });
     });
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`❌ Wix API error for ${collection}:`, errorText);
-      return { items: [] };
+    if (scores.size === 0) {
+      throw new Error("ranking reply had no usable scores");
     }
     
-    const data = await response.json();
-    console.log(`✅ Found ${data.dataItems?.length || 0} items in ${collection}`);
-    return { items: data.dataItems || [] };
+    // Unscored candidates go last, in generation order
+    return candidates
+      .map(candidate => ({ ...candidate, ...(scores.get(candidate.candidate) || { scores: null }) }))
+      .sort((a, b) => (b.scores?.overall ?? -1) - (a.scores?.overall ?? -1))
+      .map((candidate, idx) => ({ rank: idx + 1, ...candidate }));
     
   } catch (error) {
-    console.error(`❌ Error querying ${collection}:`, error);
+    rethrowMissingFixture(error);
+    console.error("⚠️ Candidate ranking failed, keeping generation order:", error.message);
+    return candidates;
+  }
+}
+
+// ============================================
+// QUERY WIX CMS
+// ============================================
+const wixCache = createCache({
+  ttlFor: (collection) => (WIX_CACHE_TTLS[collection] ?? WIX_CACHE_DEFAULT_TTL) * 1000
+});
+
+async function wixRequest(method, path, body) {
+  const label = `${method} ${path} ${body?.dataCollectionId || ''}`;
+  
+  return await recorder.call('wix', label, { method, path, body: body || null }, async () => {
+    if (!WIX_CONFIGURED) {
+      throw apiError('NOT_CONFIGURED', "Wix is not configured (WIX_API_KEY, WIX_SITE_ID)");
+    }
+    
+    let response;
+    try {
+      response = await fetch(`https://www.wixapis.com/wix-data/v2${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': WIX_API_KEY,
+          'wix-site-id': WIX_SITE_ID,
+          'wix-account-id': WIX_ACCOUNT_ID
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(WIX_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw apiError(isTimeout(error) ? 'UPSTREAM_TIMEOUT' : 'WIX_UNAVAILABLE', `Wix API unreachable (${method} ${path}): ${error.message}`);
+    }
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw apiError('WIX_UNAVAILABLE', `Wix API error (${method} ${path}): ${errorText}`);
+    }
+    
+    return await response.json();
+  });
+}
+
+// Without Wix credentials (mock / offline runs) there is nothing to look up, so every
+// lookup finds nothing; replay still answers from its fixtures
+async function fetchWixItems(collection, filter, limit, sort = []) {
+  if (!WIX_CONFIGURED && recorder.mode !== 'replay') {
+    console.log(`⚠️ Wix not configured, skipping ${collection} lookup`);
     return { items: [] };
   }
+  
+  console.log(`🔍 Querying Wix collection: ${collection}`);
+  
+  const data = await wixRequest('POST', '/items/query', {
+    dataCollectionId: collection,
+    query: {
+      filter: filter,
+      sort: sort,
+      paging: { limit: limit }
+    }
+  });
+  
+  console.log(`✅ Found ${data.dataItems?.length || 0} items in ${collection}`);
+  return { items: data.dataItems || [] };
+}
+
+// Cached per collection + filter + limit + sort. Failures are never cached and are
+// rethrown as WIX_UNAVAILABLE / UPSTREAM_TIMEOUT (or FIXTURE_MISSING in replay), so a
+// Wix outage fails the request instead of quietly answering without story context.
+// With Wix unconfigured it answers with no items (see fetchWixItems).
+async function queryWixCMS(collection, filter = {}, limit = 10, sort = []) {
+  const key = `${collection}::${stableStringify(filter)}::${limit}${sort.length > 0 ? `::${stableStringify(sort)}` : ''}`;
+  
+  try {
+    return await wixCache.getOrLoad(collection, key, () => fetchWixItems(collection, filter, limit, sort));
+  } catch (error) {
+    console.error(`❌ Error querying ${collection}:`, error.message);
+    throw ERROR_CODES[error.code] ? error : apiError('WIX_UNAVAILABLE', `Wix query on ${collection} failed: ${error.message}`);
+  }
+}
+
+// ============================================
+// WRITE TO WIX CMS
+// ============================================
+async function insertWixItem(collection, data) {
+  console.log(`📝 Inserting into Wix collection: ${collection}`);
+  const result = await wixRequest('POST', '/items', { dataCollectionId: collection, dataItem: { data } });
+  return result.dataItem;
+}
+
+async function updateWixItem(collection, id, data) {
+  console.log(`📝 Updating ${collection} item: ${id}`);
+  const result = await wixRequest('PUT', `/items/${encodeURIComponent(id)}`, {
+    dataCollectionId: collection,
+    dataItem: { id, data }
+  });
+  return result.dataItem;
+}
+
+// Sets only the given fields, leaving the rest of the item as Wix has it
+async function patchWixItem(collection, id, fields) {
+  console.log(`📝 Patching ${collection} item: ${id} (${Object.keys(fields).join(', ')})`);
+  const result = await wixRequest('PATCH', `/items/${encodeURIComponent(id)}`, {
+    dataCollectionId: collection,
+    patch: {
+      dataItemId: id,
+      fieldModifications: Object.entries(fields).map(([fieldPath, value]) => ({
+        fieldPath,
+        action: 'SET_FIELD',
+        setFieldOptions: { value }
+      }))
+    }
+  });
+  return result.dataItem;
+}
+
+async function removeWixItem(collection, id) {
+  console.log(`🗑️ Removing ${collection} item: ${id}`);
+  await wixRequest('DELETE', `/items/${encodeURIComponent(id)}?dataCollectionId=${encodeURIComponent(collection)}`);
+}
+
+// Session reads go straight to Wix: a stale cached chatBox would overwrite new messages
+const chatSessions = createChatSessionStore({
+  query: fetchWixItems,
+  insert: insertWixItem,
+  patch: patchWixItem,
+  remove: removeWixItem,
+  invalidate: (collection) => wixCache.invalidate(collection)
+}, {
+  maxMessages: parseInt(process.env.CHAT_SESSION_MAX_MESSAGES, 10) || 200,
+  maxChars: parseInt(process.env.CHAT_SESSION_MAX_CHARS, 10) || 50000
+});
+
+// Long-term memory notes live on each Characters item and are folded in from chat sessions
+const characterMemory = createCharacterMemory({
+  wix: {
+    lookup: queryWixCMS,
+    query: fetchWixItems,
+    patch: patchWixItem,
+    invalidate: (collection) => wixCache.invalidate(collection)
+  },
+  sessions: chatSessions,
+  summarize: async (messages) => {
+    const { content } = await guardedComplete({
+      model: MEMORY_MODEL,
+      messages,
+      temperature: 0.2,
+      maxTokens: 1200,
+      title: 'Devil Muse - Memory'
+    }, { action: 'memory_update' });
+    return content;
+  }
+}, {
+  minNewMessages: parseInt(process.env.MEMORY_MIN_NEW_MESSAGES, 10) || 6
+});
+
+// ============================================
+// TAG HELPERS
+// ============================================
+// Tags arrive as a string or an array; always work with a clean, de-duplicated list
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : [tags];
+  return [...new Set(list.filter(tag => typeof tag === 'string' && tag.trim().length > 0).map(tag => tag.trim()))];
+}
+
+// Wix fields may hold one tag or an array of tags
+function itemHasTag(value, tag) {
+  return Array.isArray(value) ? value.includes(tag) : value === tag;
+}
+
+// Fetchers record which tags resolved into `report` (usually ctx.tags) so the
+// response can tell the front end about typos and deleted records
+function recordTags(report, kind, tags, found) {
+  if (!report || tags.length === 0) return;
+  
+  const previous = report[kind] || { found: [], missing: [] };
+  const allFound = [...new Set([...previous.found, ...found])];
+  report[kind] = {
+    found: allFound,
+    missing: [...new Set([...previous.missing, ...tags])].filter(tag => !allFound.includes(tag))
+  };
 }
 
 // ============================================
 // GET CHARACTER CONTEXT FROM WIX
 // ============================================
-async function getCharacterContext(characterTags) {
-  if (!characterTags || characterTags.length === 0) {
+// Every tagged character's personality, each block labelled with its tag and name
+async function getCharacterContext(characterTags, report) {
+  const tags = normalizeTags(characterTags);
+  
+  if (tags.length === 0) {
     return "";
   }
   
-  const charTag = Array.isArray(characterTags) ? characterTags[0] : characterTags;
-  console.log("👤 Fetching character:", charTag);
+  console.log("👤 Fetching characters:", tags.join(', '));
   
   const result = await queryWixCMS("Characters", {
-    charactertags: { $eq: charTag }
-  }, 1);
+    charactertags: { $in: tags }
+  }, Math.max(tags.length * 2, 1));
   
-  if (result.items.length > 0) {
-    const personality = result.items[0].data?.chatbot || "";
-    console.log("✅ Character personality:", personality ? "YES" : "NO");
-    return personality;
+  const blocks = [];
+  const found = [];
+  
+  for (const tag of tags) {
+    const item = result.items.find(item => itemHasTag(item.data?.charactertags, tag));
+    if (!item) continue;
+    
+    found.push(tag);
+    const personality = item.data?.chatbot || "";
+    const name = item.data?.title || item.data?.name;
+    
+    if (personality) {
+      blocks.push(`[${tag}${name ? ` - ${name}` : ''}]\n${personality}`);
+    }
   }
   
-  return "";
+  recordTags(report, 'characters', tags, found);
+  console.log(`✅ Character personalities: ${blocks.length}/${tags.length}`);
+  
+  return blocks.join('\n\n');
 }
 
 // ============================================
 // GET CHAT HISTORY FROM WIX
 // ============================================
-async function getChatHistory(characterTags) {
-  if (!characterTags) {
+// With an owner, only that principal's transcripts are read (see ownerOf)
+async function getChatHistory(characterTags, owner = null) {
+  const tags = normalizeTags(characterTags);
+  
+  if (tags.length === 0) {
     console.log("❌ No characterTags provided");
     return [];
   }
   
-  const charTag = Array.isArray(characterTags) ? characterTags[0] : characterTags;
-  console.log("💬 Fetching chat history for character tag:", charTag);
+  console.log("💬 Fetching chat history for character tags:", tags.join(', '));
   
   const result = await queryWixCMS("ChatWithCharacters", {
-    charactertags: { $eq: charTag }
-  }, 5);
+    charactertags: { $in: tags },
+    ...(owner && { owner: { $eq: owner } })
+  }, 5 * tags.length);
   
-  console.log(`📊 Found ${result.items.length} chat sessions for character tag: ${charTag}`);
+  console.log(`📊 Found ${result.items.length} chat sessions for character tags: ${tags.join(', ')}`);
   
   if (result.items.length > 0) {
     const chatHistory = result.items.map(item => {
+      const characterTag = tags.find(tag => itemHasTag(item.data?.charactertags, tag)) || tags[0];
+      
       try {
         const chatBox = item.data?.chatBox;
         const messages = typeof chatBox === 'string' ? JSON.parse(chatBox) : chatBox;
-        return { messages: messages || [] };
+        return { characterTag, messages: messages || [] };
       } catch (e) {
-        return { messages: [] };
+        return { characterTag, messages: [] };
       }
     });
     
     return chatHistory;
   }
   
-  console.log("⚠️ No chat history found for this character");
+  console.log("⚠️ No chat history found for these characters");
   return [];
 }
 
 // ============================================
-// GET RELATED CHAPTERS FROM WIX
+// STORY PASSAGES FROM WIX (BM25 RETRIEVAL)
 // ============================================
-async function getRelatedChapters(storyTags) {
-  if (!storyTags || storyTags.length === 0) {
-    return [];
+// Every chapter of the tagged stories is indexed as paragraph-sized passages; handlers
+// then pull the passages that best match what is being written instead of whichever
+// chapters Wix happens to return first.
+const retriever = createRetriever({ passageWords: RETRIEVAL_PASSAGE_WORDS });
+const CHAPTER_ORDER = [{ fieldName: '_createdDate', order: 'DESC' }];
+
+async function getStoryIndex(storyTags, report) {
+  const tags = normalizeTags(storyTags);
+  
+  if (tags.length === 0) {
+    return null;
   }
   
-  const storyTag = Array.isArray(storyTags) ? storyTags[0] : storyTags;
-  console.log("📚 Fetching chapters with tag:", storyTag);
+  console.log("📚 Fetching chapters with tags:", tags.join(', '));
   
-  const result = await queryWixCMS("BackupChapters", {
-    storyTag: { $eq: storyTag }
-  }, 3);
+  // The newest RETRIEVAL_MAX_CHAPTERS of each story, so a long story can't crowd out
+  // the others or push its own latest chapters past the limit
+  const results = await Promise.all(tags.map(tag => queryWixCMS("BackupChapters", {
+    storyTag: { $in: [tag] }
+  }, RETRIEVAL_MAX_CHAPTERS, CHAPTER_ORDER)));
   
-  if (result.items.length > 0) {
-    console.log(`✅ Found ${result.items.length} related chapters`);
-    
-    const chapters = result.items.map(item => ({
-      title: item.data?.title || "Untitled",
-      content: (item.data?.chapterContent || "").substring(0, 1500)
-    }));
+  const found = tags.filter((tag, idx) => results[idx].items.length > 0);
+  recordTags(report, 'stories', tags, found);
+  
+  if (found.length === 0) {
+    return null;
+  }
+  
+  // Chapters are numbered per story in creation order (within the fetched window); one
+  // tagged into two stories counts once
+  const seen = new Set();
+  const chapters = tags.flatMap((tag, tagIdx) => {
+    const items = [...results[tagIdx].items].reverse();
     
-    return chapters;
+    return items.flatMap((item, idx) => {
+      if (seen.has(item.id)) return [];
+      seen.add(item.id);
+      
+      return [{
+        id: item.id,
+        title: item.data?.title || "Untitled",
+        storyTag: tag,
+        number: idx + 1,
+        total: items.length,
+        updatedAt: item.data?._updatedDate,
+        content: item.data?.chapterContent || ""
+      }];
+    });
+  });
+  
+  return retriever.getIndex([...tags].sort().join(','), chapters);
+}
+
+// Best matches for the query, best first. `recent` always adds the closing passages of
+// the newest chapter; a query that matches nothing falls back to those alone.
+function findPassages(index, query, { limit = RETRIEVAL_PASSAGES, recent = 0 } = {}) {
+  if (!index) {
+    return [];
   }
   
-  return [];
+  const hits = index.search(query, { limit });
+  const latest = index.latest(hits.length === 0 ? Math.max(recent, 1) : recent);
+  const key = passage => `${passage.storyTag}:${passage.chapterNumber}:${passage.firstParagraph}`;
+  const chosen = new Set(hits.map(key));
+  
+  const passages = [...hits, ...latest.filter(passage => !chosen.has(key(passage)))];
+  console.log(`🔎 Retrieved ${passages.length} passages (${hits.length} matched the query)`);
+  return passages;
 }
 
 // ============================================
 // GET CATALYST INTEL FROM WIX
 // ============================================
-async function getCatalystIntel(catalystTags) {
-  if (!catalystTags || catalystTags.length === 0) {
+// One "field: value" line per authored field; Wix system fields (_id, _owner, dates)
+// and empty values only cost tokens
+function formatCatalystFields(data = {}) {
+  return Object.entries(data)
+    .filter(([key, value]) => !key.startsWith('_') && key !== 'title' && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join('\n');
+}
+
+// Catalysts match by title substring, which has no $in form, so look each tag up
+// separately (the Wix cache keeps repeats cheap)
+async function getCatalystIntel(catalystTags, report) {
+  const tags = normalizeTags(catalystTags);
+  
+  if (tags.length === 0) {
     return "";
   }
   
-  const catalystTag = Array.isArray(catalystTags) ? catalystTags[0] : catalystTags;
-  console.log("⚡ Fetching catalyst intel:", catalystTag);
+  console.log("⚡ Fetching catalyst intel:", tags.join(', '));
   
-  const result = await queryWixCMS("Catalyst", {
-    title: { $contains: catalystTag }
-  }, 1);
+  const results = await Promise.all(tags.map(tag => queryWixCMS("Catalyst", {
+    title: { $contains: tag }
+  }, 1)));
   
-  if (result.items.length > 0) {
+  const blocks = [];
+  const found = [];
+  
+  results.forEach((result, idx) => {
+    if (result.items.length === 0) return;
+    
     const catalystData = result.items[0].data;
-    const catalystInfo = JSON.stringify(catalystData, null, 2);
-    console.log("✅ Catalyst intel:", catalystInfo ? "YES" : "NO");
-    return catalystInfo;
+    found.push(tags[idx]);
+    blocks.push(`[${tags[idx]}${catalystData?.title ? ` - ${catalystData.title}` : ''}]\n${formatCatalystFields(catalystData)}`);
+  });
+  
+  recordTags(report, 'catalysts', tags, found);
+  
+  if (blocks.length === 0) {
+    console.log("⚠️ No catalyst intel found for these tags");
+    return "";
   }
   
-  console.log("⚠️ No catalyst intel found for this tag");
-  return "";
+  console.log(`✅ Catalyst intel: ${blocks.length}/${tags.length}`);
+  return blocks.join('\n\n');
 }
 
 // ============================================
-// UNIFIED /devil-pov ENDPOINT - ALL ACTIONS
+// GET CHARACTER MEMORY FROM WIX
 // ============================================
-app.post('/devil-pov', async (req, res) => {
-  try {
-    const startTime = Date.now();
-    const { action = 'devilPOV' } = req.body;
-    
-    console.log(`🎯 Action: ${action.toUpperCase()}`);
-    
-    // ============================================
-    // ROUTE TO APPROPRIATE HANDLER
-    // ============================================
-    let result;
-    
-    switch(action) {
-      case 'unhinge':
-        result = await handleUnhinge(req.body);
-        break;
-      
-      case 'unleash':
-        result = await handleUnleash(req.body);
-        break;
-      
-      case 'noMercy':
-        result = await handleNoMercy(req.body);
-        break;
-      
-      case 'invoke':
-        result = await handleInvoke(req.body);
-        break;
-      
-      case 'intensify':
-        result = await handleIntensify(req.body);
-        break;
-      
-      case 'characterChat':
-        result = await handleCharacterChat(req.body);
-        break;
-      
-      case 'devilPOV':
-      default:
-        result = await handleDevilPOV(req.body);
-        break;
-
-        case 'overuse_scanner':
-    result = await handleOveruseScanner(req.body);
-    break;
+// Remembered notes for every tagged character, labelled like getCharacterContext
+async function getCharacterMemories(characterTags, owner = null) {
+  const tags = normalizeTags(characterTags);
+  
+  if (tags.length === 0) {
+    return "";
+  }
   
-  case 'pacing_analyzer':
-    result = await handlePacingAnalyzer(req.body);
-    break;
+  const memories = await Promise.all(tags.map(tag => characterMemory.getMemory(tag, { owner })));
+  const blocks = [];
   
-  case 'sentence_mechanics':
-    result = await handleSentenceMechanics(req.body);
-    break;
+  memories.forEach((memory, idx) => {
+    const notes = formatMemory(memory);
+    if (notes) blocks.push(`[${tags[idx]}]\n${notes}`);
+  });
   
-  case 'dialogue_critic':
-    result = await handleDialogueCritic(req.body);
-    break;
+  console.log(`🧠 Character memories: ${blocks.length}/${tags.length}`);
+  return blocks.join('\n\n');
+}
+
+// ============================================
+// CONTEXT ASSEMBLY
+// ============================================
+// Section priorities: 0 = instructions (never trimmed), then personality > memory and
+// catalyst > recent chapter text > older history. The breakdown goes back to the client as ctx.context.
+const CONTEXT_PRIORITY = { required: 0, personality: 1, memory: 2, catalyst: 2, chapters: 3, history: 4 };
+
+function assembleContext(ctx, sections, maxTokens) {
+  const budget = contextBudget(ctx.models || GENERATION_MODELS, maxTokens, CONTEXT_TOKEN_CAP);
+  const built = buildContext(sections, budget);
+  ctx.context = built.report;
   
-  case 'ai_critic':
-    result = await handleAICritic(req.body);
-    break;
+  const cut = built.report.sections.filter(section => section.status === 'trimmed' || section.status === 'dropped');
+  console.log(`🧮 Context: ~${built.report.totalTokens}/${budget} tokens${cut.length > 0 ? ` (${cut.map(section => `${section.name} ${section.status}`).join(', ')})` : ''}`);
   
-  case 'structural_check':
-    result = await handleStructuralCheck(req.body);
-    break;
+  return built;
+}
+
+// Each passage cites where it comes from so the model can place it in the story
+function passageItems(passages, showStoryTag = false) {
+  return passages.map(passage => {
+    const paragraphs = passage.firstParagraph === passage.lastParagraph
+      ? `paragraph ${passage.firstParagraph}`
+      : `paragraphs ${passage.firstParagraph}-${passage.lastParagraph}`;
+    
+    return {
+      label: `[${passage.chapterTitle}${showStoryTag ? ` - ${passage.storyTag}` : ''} | chapter ${passage.chapterNumber} of ${passage.chapterCount}, ${paragraphs} of ${passage.paragraphCount}]`,
+      text: passage.text
+    };
+  });
+}
+
+function sessionItems(sessions, ensemble = false) {
+  return sessions
+    .filter(session => session.messages?.length > 0)
+    .map((session, idx) => ({
+      label: `[Session ${idx + 1}${ensemble ? ` - ${session.characterTag}` : ''}]`,
+      text: session.messages
+        .map(msg => `${msg.type === 'user' ? 'AUTHOR' : (ensemble ? session.characterTag : 'YOU')}: ${msg.text}`)
+        .join('\n')
+    }));
+}
+
+// ============================================
+// ROUTE TO APPROPRIATE HANDLER
+// ============================================
+function unknownActionError(action) {
+  return apiError('UNKNOWN_ACTION', `Unknown action: ${action}. Available: ${[...BUILT_IN_ACTIONS, ...customActions.keys()].join(', ')}`);
+}
 
-  case 'tag_generation':
-  result = await handleTagGeneration(req.body);
-  break;
+async function runAction(action, body, ctx) {
+  checkAction(action, body);
   
-  // ... rest of existing cases ...
-    }
+  if (customActions.has(action)) {
+    return await handleCustomAction(customActions.get(action), body, ctx);
+  }
+  
+  switch(action) {
+    case 'unhinge':
+      return await handleUnhinge(body, ctx);
     
+    case 'unleash':
+      return await handleUnleash(body, ctx);
     
-    console.log(`✅ ${action} completed in ${Date.now() - startTime}ms`);
+    case 'noMercy':
+      return await handleNoMercy(body, ctx);
     
-    res.json({
-      status: 'success',
-      result: result,
-      charsGenerated: result.length,
-      processingTime: Date.now() - startTime
-    });
+    case 'invoke':
+      return await handleInvoke(body, ctx);
     
-  } catch (err) {
-    console.error(`❌ Error in ${req.body.action}:`, err);
-    res.status(500).json({ 
-      error: `${req.body.action || 'Action'} failed`,
-      details: err.message 
-    });
-    res.json({
-  status: 'success',
-  markers: result, // This is now the JSON array
-  processingTime: Date.now() - startTime
-});
+    case 'intensify':
+      return await handleIntensify(body, ctx);
+    
+    case 'characterChat':
+      return await handleCharacterChat(body, ctx);
+    
+    case 'overuse_scanner':
+      return await handleOveruseScanner(body, ctx);
+    
+    case 'pacing_analyzer':
+      return await handlePacingAnalyzer(body, ctx);
+    
+    case 'sentence_mechanics':
+      return await handleSentenceMechanics(body, ctx);
+    
+    case 'dialogue_critic':
+      return await handleDialogueCritic(body, ctx);
+    
+    case 'ai_critic':
+      return await handleAICritic(body, ctx);
+    
+    case 'structural_check':
+      return await handleStructuralCheck(body, ctx);
+    
+    case 'tag_generation':
+      return await handleTagGeneration(body, ctx);
+    
+    case 'stats_only':
+      return await handleStatsOnly(body, ctx);
+    
+    case 'full_audit':
+      return await handleFullAudit(body, ctx);
+    
+    case 'devilPOV':
+      return await handleDevilPOV(body, ctx);
+    
+    default:
+      throw unknownActionError(action);
   }
-});
+}
 
 // ============================================
-// UNHINGE
+// AUTH + RATE LIMITING
 // ============================================
-async function handleUnhinge({ chapterContent }) {
-  console.log("😈 Unhinging chapter...");
-  
-  if (!chapterContent || chapterContent.trim().length === 0) {
-    throw new Error("No content to unhinge");
+const authenticator = createAuthenticator({ apiKeys: API_KEYS, signingSecret: AUTH_SIGNING_SECRET });
+const rateLimiter = createRateLimiter({
+  perMinute: RATE_LIMIT_PER_MINUTE,
+  actionLimits: ACTION_RATE_LIMITS,
+  dailyQuota: DAILY_QUOTA
+});
+setInterval(() => rateLimiter.sweep(), 5 * 60 * 1000).unref();
+
+function requireAuth(req, res, next) {
+  if (!authenticator.enabled) {
+    req.principal = { id: `ip:${req.ip}`, name: req.ip, type: 'anonymous' };
+    return next();
   }
   
-  const messages = [
+  try {
+    req.principal = authenticator.authenticate({
+      authorization: req.get('authorization'),
+      apiKey: req.get('x-api-key')
+    });
+    next();
+  } catch (err) {
+    console.warn(`🔒 Rejected ${req.method} ${req.path}: ${err.message}`);
+    sendError(res, apiError('UNAUTHORIZED', err.message), req.body?.action);
+  }
+}
+
+// actionOf(req) names the action being limited; runs after requireAuth
+function limitRequests(actionOf) {
+  return (req, res, next) => {
+    const action = typeof actionOf === 'function' ? actionOf(req) : actionOf;
+    const verdict = rateLimiter.check(req.principal, action);
+    
+    if (!verdict.allowed) {
+      console.warn(`🚦 ${verdict.error} for ${req.principal.id}${action ? ` (${action})` : ''}`);
+      res.set('Retry-After', String(verdict.retryAfter));
+      // The usual error envelope, plus when to retry and the limit or quota that was hit
+      const { code, details, retryAfter, limit, quota } = verdict;
+      return res.status(verdict.status).json({
+        ...errorBody(apiError(code, details), action),
+        retryAfter,
+        ...(limit !== undefined && { limit }),
+        ...(quota && { quota })
+      });
+    }
+    
+    if (verdict.remaining !== null) {
+      res.set('X-RateLimit-Limit', String(verdict.limit));
+      res.set('X-RateLimit-Remaining', String(verdict.remaining));
+    }
+    next();
+  };
+}
+
+const limitByAction = limitRequests(req => req.body?.action || 'devilPOV');
+
+// Chat sessions and memory notes belong to the principal that wrote them. With auth off
+// every caller is anonymous and nothing is scoped.
+function ownerOf(principalId) {
+  return authenticator.enabled ? principalId || null : null;
+}
+
+// ============================================
+// UNIFIED /devil-pov ENDPOINT - ALL ACTIONS
+// ============================================
+// Every action answers with the same envelope:
+//   { status: 'success', action, result, resultType, meta: { model, processingTime, ... }, ...extras }
+// resultType tells the front end what result holds: 'text' (a string), 'markers'
+// (an array of analysis markers), 'tag' ({ tag }), 'audit' (the full_audit report)
+// or 'object'. Failures answer { status: 'error', action, code, error, details }
+// with the HTTP status for the code (see lib/errors.js).
+function resultTypeOf(action, result) {
+  if (typeof result === 'string') return 'text';
+  if (Array.isArray(result)) return 'markers';
+  if (action === 'tag_generation') return 'tag';
+  if (action === 'full_audit') return 'audit';
+  return 'object';
+}
+
+function responseMeta(ctx, result, startTime) {
+  const resultType = resultTypeOf(ctx.action, result);
+  return {
+    model: ctx.model || null,
+    processingTime: Date.now() - startTime,
+    ...(resultType === 'text' && { charsGenerated: result.length }),
+    ...(resultType === 'markers' && { markerCount: result.length })
+  };
+}
+
+// The JSON body for a finished action; async jobs store the same thing as their result
+function actionResponse(ctx, result, startTime) {
+  return {
+    status: 'success',
+    action: ctx.action,
+    result: result,
+    resultType: resultTypeOf(ctx.action, result),
+    meta: responseMeta(ctx, result, startTime),
+    ...(ctx.stats && { stats: ctx.stats }),
+    ...(ctx.session && { session: ctx.session }),
+    ...(ctx.tags && { tags: ctx.tags }),
+    ...(ctx.context && { context: ctx.context }),
+    ...(ctx.prompts && { promptVersions: ctx.prompts }),
+    ...(ctx.diff && { diff: ctx.diff }),
+    ...(ctx.variants && { variants: ctx.variants }),
+    ...(ctx.styleCheck && { styleCheck: ctx.styleCheck })
+  };
+}
+
+// Sends the error envelope for err, unless a response is already on its way
+function sendError(res, err, action) {
+  if (res.headersSent) return;
+  
+  const { status, code } = classifyError(err);
+  if (code === 'QUEUE_FULL' || code === 'NOT_CONFIGURED') res.set('Retry-After', '30');
+  res.status(status).json(errorBody(err, action));
+}
+
+app.post('/devil-pov', requireAuth, limitByAction, async (req, res) => {
+  // No JSON body (or no JSON content-type) leaves req.body undefined
+  const body = req.body ?? {};
+  
+  if (body.stream && body.async) {
+    return sendError(res, apiError('VALIDATION_ERROR', "stream and async can't be combined"), body.action || 'devilPOV');
+  }
+  
+  if (body.stream) {
+    return streamAction(req, res);
+  }
+  
+  if (body.async) {
+    return enqueueAction(req, res);
+  }
+  
+  const startTime = Date.now();
+  const { action = 'devilPOV' } = body;
+  
+  try {
+    console.log(`🎯 Action: ${action.toUpperCase()}`);
+    
+    const ctx = { action, user: req.principal?.id, promptVersion: body.promptVersion };
+    const result = await runAction(action, body, ctx);
+    
+    console.log(`✅ ${action} completed in ${Date.now() - startTime}ms`);
+    
+    res.json(actionResponse(ctx, result, startTime));
+    
+  } catch (err) {
+    console.error(`❌ Error in ${action} (${classifyError(err).code}):`, err.message);
+    sendError(res, err, action);
+  }
+});
+
+// ============================================
+// ASYNC JOBS
+// ============================================
+// async: true answers 202 with a job id straight away and runs the action in the
+// job queue, outliving the HTTP request. Poll GET /jobs/:jobId for status and
+// progress, collect GET /jobs/:jobId/result, or POST /jobs/:jobId/cancel.
+const jobQueue = createJobQueue({
+  concurrency: JOB_CONCURRENCY,
+  maxQueued: JOB_QUEUE_LIMIT,
+  ttlMs: JOB_RESULT_TTL * 1000
+});
+
+setInterval(() => jobQueue.sweep(), 60 * 1000).unref();
+
+function enqueueAction(req, res) {
+  const body = req.body ?? {};
+  const { action = 'devilPOV' } = body;
+  const user = req.principal?.id;
+  
+  try {
+    // Fail now rather than in a job nobody may ever poll
+    checkAction(action, body);
+    
+    const job = jobQueue.submit(async ({ signal, report }) => {
+      const startTime = Date.now();
+      console.log(`🎯 Action: ${action.toUpperCase()} (job)`);
+      
+      const ctx = { action, user, promptVersion: body.promptVersion, signal, onProgress: report };
+      const result = await runAction(action, body, ctx);
+      
+      console.log(`✅ ${action} job completed in ${Date.now() - startTime}ms`);
+      return actionResponse(ctx, result, startTime);
+    }, { action, owner: user });
+    
+    console.log(`📥 Queued ${action} as job ${job.id}`);
+    res.status(202).json({
+      status: 'accepted',
+      jobId: job.id,
+      jobStatus: job.status,
+      queuePosition: jobQueue.queuePosition(job.id),
+      statusUrl: `/jobs/${job.id}`,
+      resultUrl: `/jobs/${job.id}/result`
+    });
+    
+  } catch (err) {
+    console.error(`❌ Could not queue ${action}:`, err.message);
+    sendError(res, err, action);
+  }
+}
+
+// Jobs are visible only to the principal that started them
+function findJob(req, res) {
+  const job = jobQueue.get(req.params.jobId);
+  
+  if (!job || job.owner !== req.principal?.id) {
+    res.status(404).json({
+      status: 'error',
+      code: 'NOT_FOUND',
+      error: "Job not found",
+      details: `No job ${req.params.jobId} (finished jobs are kept for ${JOB_RESULT_TTL}s)`
+    });
+    return null;
+  }
+  return job;
+}
+
+function jobSummary(job) {
+  return {
+    jobId: job.id,
+    action: job.action,
+    jobStatus: job.status,
+    progress: job.progress,
+    queuePosition: jobQueue.queuePosition(job.id),
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    ...(job.error && { error: job.error, errorCode: job.errorCode })
+  };
+}
+
+app.get('/jobs/:jobId', requireAuth, (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  
+  res.json({ status: 'success', ...jobSummary(job) });
+});
+
+app.get('/jobs/:jobId/result', requireAuth, (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  
+  if (job.status === 'succeeded') {
+    return res.json({ jobId: job.id, ...job.result });
+  }
+  
+  if (job.status === 'failed') {
+    const failure = apiError(job.errorCode || 'INTERNAL_ERROR', job.error);
+    return res.status(classifyError(failure).status).json({ jobId: job.id, ...errorBody(failure, job.action) });
+  }
+  
+  if (job.status === 'cancelled') {
+    return res.status(410).json({
+      jobId: job.id,
+      status: 'error',
+      action: job.action,
+      code: 'CANCELLED',
+      error: "Job was cancelled",
+      details: `Cancelled at ${job.finishedAt}`
+    });
+  }
+  
+  res.status(409).json({ ...jobSummary(job), status: 'error', code: 'CONFLICT', error: "Job not finished", details: `Job is ${job.status}` });
+});
+
+app.post('/jobs/:jobId/cancel', requireAuth, (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  
+  if (!jobQueue.cancel(job.id)) {
+    return res.status(409).json({ ...jobSummary(job), status: 'error', code: 'CONFLICT', error: "Job already finished", details: `Job is ${job.status}` });
+  }
+  
+  console.log(`🛑 Cancelled job ${job.id} (${job.action})`);
+  res.json({ status: 'success', ...jobSummary(job) });
+});
+
+// ============================================
+// STREAMING /devil-pov (SERVER-SENT EVENTS)
+// ============================================
+const STREAMABLE_ACTIONS = ['unleash', 'devilPOV', 'characterChat'];
+
+// Built-in streamable actions plus every custom action with text output
+function streamableActions() {
+  return [...STREAMABLE_ACTIONS, ...[...customActions.values()].filter(def => def.output === 'text').map(def => def.name)];
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function streamAction(req, res) {
+  const startTime = Date.now();
+  const body = req.body ?? {};
+  const { action = 'devilPOV' } = body;
+  
+  const streamable = streamableActions();
+  
+  try {
+    checkAction(action, body, { stream: true });
+  } catch (err) {
+    return sendError(res, err, action);
+  }
+  
+  if (!streamable.includes(action)) {
+    return sendError(res, apiError('VALIDATION_ERROR', `${action} does not support streaming. Streamable actions: ${streamable.join(', ')}`), action);
+  }
+  
+  console.log(`🎯 Action: ${action.toUpperCase()} (streaming)`);
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  // Stop paying for tokens nobody will read
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log(`⚠️ Client closed ${action} stream`);
+      controller.abort();
+    }
+  });
+  
+  const ctx = {
+    action,
+    user: req.principal?.id,
+    promptVersion: body.promptVersion,
+    signal: controller.signal,
+    onToken: (text) => sendEvent(res, 'token', { text })
+  };
+  
+  try {
+    const result = await runAction(action, body, ctx);
+    
+    console.log(`✅ ${action} streamed in ${Date.now() - startTime}ms`);
+    
+    // The usual envelope, minus the result the tokens already delivered
+    const done = actionResponse(ctx, result, startTime);
+    delete done.result;
+    sendEvent(res, 'done', done);
+    
+  } catch (err) {
+    console.error(`❌ Error in ${action} stream (${classifyError(err).code}):`, err.message);
+    
+    if (!controller.signal.aborted) {
+      sendEvent(res, 'error', errorBody(err, action));
+    }
+  }
+  
+  res.end();
+}
+
+app.post('/devil-pov/stream', requireAuth, limitByAction, streamAction);
+
+// ============================================
+// REWRITE OUTPUT FORMATS + STYLE CONTROLS
+// ============================================
+// The rewrite actions (unhinge, noMercy, intensify) return the new text either way;
+// format: "diff" also puts track-changes hunks against the source on the response
+// (see lib/diff.js) so the editor can offer each change for accept / reject.
+// Their style controls (intensity, lengthRatio, ...; see lib/styleControls.js) go
+// into the system prompt, and the rewrite is checked against them as styleCheck.
+const REWRITE_FORMATS = ['text', 'diff'];
+
+function checkRewriteFormat(format) {
+  if (format !== undefined && !REWRITE_FORMATS.includes(format)) {
+    throw apiError('VALIDATION_ERROR', `Unknown format: ${format}. Available: ${REWRITE_FORMATS.join(', ')}`);
+  }
+}
+
+function withStyle(systemPrompt, controls, source) {
+  return [systemPrompt, formatStyleInstructions(controls, source)].filter(Boolean).join('\n\n');
+}
+
+function finishRewrite(ctx, { format, controls }, original, revised) {
+  if (format === 'diff') {
+    ctx.diff = diffText(original, revised);
+    console.log(`🩹 Diff: ${ctx.diff.stats.hunks} hunks, ${Math.round(ctx.diff.stats.changedRatio * 100)}% of words changed`);
+  }
+  
+  if (controls) {
+    ctx.styleCheck = checkStyle(controls, original, revised);
+    if (!ctx.styleCheck.passed) {
+      console.warn(`⚠️ Style check: ${ctx.styleCheck.violations.map(violation => violation.rule).join(', ')}`);
+    }
+  }
+  return revised;
+}
+
+// ============================================
+// UNHINGE
+// ============================================
+async function handleUnhinge({ chapterContent, format, ...options }, ctx) {
+  console.log("😈 Unhinging chapter...");
+  
+  if (!chapterContent || chapterContent.trim().length === 0) {
+    throw apiError('VALIDATION_ERROR', "No content to unhinge");
+  }
+  
+  checkRewriteFormat(format);
+  const controls = parseStyleControls(options);
+  const temperature = temperatureFor(0.9, controls);
+  
+  const buildMessages = (passage, note = '') => [
     {
       role: "system",
-      content: "You are a dark, twisted muse. Your job is to take existing writing and make it DARKER, more UNHINGED, more VISCERAL. Push boundaries. Increase tension. Add psychological horror elements. Make it raw and disturbing while maintaining the core narrative. Do not add explanations or meta-commentary - ONLY return the darkened version of the text."
+      content: withStyle(renderPrompt(ctx, 'unhinge/system'), controls, passage)
     },
     {
       role: "user",
-      content: `Transform this chapter into something darker and more unhinged. Maintain the plot and characters but amplify the darkness, tension, and psychological elements:\n\n${chapterContent}`
+      content: renderPrompt(ctx, 'unhinge/user', { note, passage })
     }
   ];
   
-  return await callAI(messages, 0.9, 3000);
+  const chunks = chunkText(chapterContent, { maxWords: UNHINGE_CHUNK_WORDS, overlapWords: 0 });
+  
+  if (chunks.length <= 1) {
+    return finishRewrite(ctx, { format, controls }, chapterContent, await callAI(buildMessages(chapterContent), temperature, 3000, ctx));
+  }
+  
+  // Rewrite section by section so long chapters aren't cut off by the token cap.
+  // Each section sees the tail of the one before it, read-only, for continuity.
+  console.log(`✂️ Unhinging in ${chunks.length} sections`);
+  
+  const results = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, (chunk, idx) => {
+    const previousTail = idx > 0 ? chunks[idx - 1].text.slice(-600) : '';
+    const note = `\n(This is section ${idx + 1} of ${chunks.length}. Rewrite ONLY this section.${previousTail ? ` For continuity, it directly follows this passage - do not repeat or rewrite it: "...${previousTail}"` : ''})`;
+    return callAI(buildMessages(chunk.text, note), temperature, 3000, ctx);
+  });
+  
+  const failed = results.find(outcome => outcome.status === 'rejected');
+  if (failed) {
+    throw failed.reason;
+  }
+  
+  return finishRewrite(ctx, { format, controls }, chapterContent, results.map(outcome => outcome.value.trim()).join('\n\n'));
 }
 
 // ============================================
 // UNLEASH
 // ============================================
-async function handleUnleash({ chapterContent, characterTags, storyTags, catalystTags }) {
+async function handleUnleash({ chapterContent, characterTags, storyTags, catalystTags, variants, spreadModels, rank }, ctx = {}) {
   console.log("🔥 Unleashing continuation...");
   
   if (!chapterContent || chapterContent.trim().length === 0) {
-    throw new Error("No content to continue from");
+    throw apiError('VALIDATION_ERROR', "No content to continue from");
   }
   
   // Get context from Wix
-  const [characterContext, catalystIntel] = await Promise.all([
-    getCharacterContext(characterTags),
-    getCatalystIntel(catalystTags)
+  ctx.tags = ctx.tags || {};
+  const [characterContext, catalystIntel, storyIndex] = await Promise.all([
+    getCharacterContext(characterTags, ctx.tags),
+    getCatalystIntel(catalystTags, ctx.tags),
+    getStoryIndex(storyTags, ctx.tags)
   ]);
   
-  let systemPrompt = "You are a dark, continuation engine. Continue the chapter from where it left off. Match the tone, style, and darkness of the existing text. Write 1-4 lines per paragraphs that flow naturally from the previous content. Make it sharp and tense.  If User provides tags treat them as hard constraints and obey strictly. Do NOT add any preamble or explanation - start writing immediately where the story left off.";
+  // Earlier scenes that echo how the text currently ends
+  const passages = findPassages(storyIndex, chapterContent.slice(-2000));
   
-  if (characterContext) {
-    systemPrompt += `\n\nCHARACTER CONTEXT:\n${characterContext}`;
-  }
-  
-  if (catalystIntel) {
-    systemPrompt += `\n\nNARRATIVE CATALYST:\n${catalystIntel}`;
-  }
+  const built = assembleContext(ctx, [
+    {
+      name: 'instructions',
+      priority: CONTEXT_PRIORITY.required,
+      text: renderPrompt(ctx, 'unleash/system')
+    },
+    { name: 'characters', priority: CONTEXT_PRIORITY.personality, heading: 'CHARACTER CONTEXT:', text: characterContext, keep: 'start' },
+    { name: 'catalyst', priority: CONTEXT_PRIORITY.catalyst, heading: 'NARRATIVE CATALYST:', text: catalystIntel, keep: 'start' },
+    // Sent as the user turn; a long chapter keeps its ending so the continuation lines up
+    { name: 'chapter', priority: CONTEXT_PRIORITY.chapters, text: chapterContent, keep: 'end', inline: false },
+    // Listed after the chapter so it gives way first; least relevant passages go first
+    { name: 'passages', priority: CONTEXT_PRIORITY.chapters, heading: 'RELEVANT PASSAGES FROM THE STORY SO FAR:', items: passageItems(passages), keep: 'start' }
+  ], 2000);
   
   const messages = [
-    { role: "system", content: systemPrompt },
-    { role: "user", content: `Continue this story. Pick up EXACTLY where it ends and keep going:\n\n${chapterContent}` }
+    { role: "system", content: built.prompt },
+    { role: "user", content: renderPrompt(ctx, 'unleash/user', { chapter: built.kept.chapter }) }
   ];
   
-  return await callAI(messages, 0.85, 2000);
+  return await generateCandidates(messages, 0.85, 2000, ctx, { variants, spreadModels, rank });
 }
 
 // ============================================
 // NO MERCY
 // ============================================
-async function handleNoMercy({ selectedText }) {
+async function handleNoMercy({ selectedText, format, variants, spreadModels, rank, ...options }, ctx = {}) {
   console.log("💀 No Mercy rewrite...");
   
   if (!selectedText || selectedText.trim().length === 0) {
-    throw new Error("No text selected for rewrite");
+    throw apiError('VALIDATION_ERROR', "No text selected for rewrite");
   }
   
+  checkRewriteFormat(format);
+  const controls = parseStyleControls(options);
+  
   const messages = [
     {
       role: "system",
-      content: "You are a merciless editor who rewrites text to be DARKER, MORE INTENSE, and MORE VISCERAL. Show no mercy. Make every word count. Amplify emotions, darken the tone, and make the prose more powerful and disturbing. Return ONLY the rewritten text with no explanations."
+      content: withStyle(renderPrompt(ctx, 'noMercy/system'), controls, selectedText)
     },
     {
       role: "user",
-      content: `Rewrite this with NO MERCY - make it darker, more intense, more powerful:\n\n${selectedText}`
+      content: renderPrompt(ctx, 'noMercy/user', { selectedText })
     }
   ];
   
-  return await callAI(messages, 0.9, 1500);
+  const rewrite = await generateCandidates(messages, temperatureFor(0.9, controls), 1500, ctx, { variants, spreadModels, rank });
+  return finishRewrite(ctx, { format, controls }, selectedText, rewrite);
 }
 
 // ============================================
 // INVOKE
 // ============================================
-async function handleInvoke({ userPrompt, contextBefore, contextAfter, characterTags, storyTags, catalystTags }) {
+async function handleInvoke({ userPrompt, contextBefore, contextAfter, characterTags, storyTags, catalystTags, variants, spreadModels, rank }, ctx = {}) {
   console.log("✨ Invoke starting...");
   
   // Get context from Wix
-  const [characterContext, catalystIntel] = await Promise.all([
-    getCharacterContext(characterTags),
-    getCatalystIntel(catalystTags)
+  ctx.tags = ctx.tags || {};
+  const [characterContext, catalystIntel, storyIndex] = await Promise.all([
+    getCharacterContext(characterTags, ctx.tags),
+    getCatalystIntel(catalystTags, ctx.tags),
+    getStoryIndex(storyTags, ctx.tags)
   ]);
   
-  let systemPrompt = `You are a dark creative writing assistant. The user wants to insert specific content at their cursor position. Make sure content flows. If user provides catalyst tags or character tags use information to progress the scene.
-
-Context before cursor:
-${contextBefore}
-
-Context after cursor:
-${contextAfter}
-
-User's request: ${userPrompt}
-
-Write ONLY what they asked for. Match the tone and style of the surrounding text. Be dark and visceral.`;
-
-  if (characterContext) {
-    systemPrompt += `\n\nCHARACTER CONTEXT:\n${characterContext}`;
-  }
+  const passages = findPassages(storyIndex, `${userPrompt || ''}\n${(contextBefore || '').slice(-1500)}\n${(contextAfter || '').slice(0, 500)}`);
   
-  if (catalystIntel) {
-    systemPrompt += `\n\nNARRATIVE CATALYST:\n${catalystIntel}`;
-  }
+  // Text before the cursor outranks text after it; each side keeps the part nearest the cursor
+  const built = assembleContext(ctx, [
+    {
+      name: 'instructions',
+      priority: CONTEXT_PRIORITY.required,
+      text: renderPrompt(ctx, 'invoke/system')
+    },
+    { name: 'contextBefore', priority: CONTEXT_PRIORITY.chapters, heading: 'Context before cursor:', text: contextBefore || '', keep: 'end' },
+    { name: 'contextAfter', priority: CONTEXT_PRIORITY.history, heading: 'Context after cursor:', text: contextAfter || '', keep: 'start' },
+    {
+      name: 'request',
+      priority: CONTEXT_PRIORITY.required,
+      text: renderPrompt(ctx, 'invoke/request', { userPrompt })
+    },
+    { name: 'characters', priority: CONTEXT_PRIORITY.personality, heading: 'CHARACTER CONTEXT:', text: characterContext, keep: 'start' },
+    { name: 'catalyst', priority: CONTEXT_PRIORITY.catalyst, heading: 'NARRATIVE CATALYST:', text: catalystIntel, keep: 'start' },
+    { name: 'passages', priority: CONTEXT_PRIORITY.chapters, heading: 'RELEVANT PASSAGES FROM THE STORY SO FAR:', items: passageItems(passages), keep: 'start' }
+  ], 800);
 
   const messages = [
-    { role: "system", content: systemPrompt },
+    { role: "system", content: built.prompt },
     { role: "user", content: userPrompt }
   ];
   
-  return await callAI(messages, 0.85, 800);
+  return await generateCandidates(messages, 0.85, 800, ctx, { variants, spreadModels, rank });
 }
 
 // ============================================
 // INTENSIFY
 // ============================================
-async function handleIntensify({ selectedText }) {
+async function handleIntensify({ selectedText, format, ...options }, ctx = {}) {
   console.log("⚡ Intensifying text...");
   
   if (!selectedText || selectedText.trim().length === 0) {
-    throw new Error("No text selected to intensify");
+    throw apiError('VALIDATION_ERROR', "No text selected to intensify");
   }
   
+  checkRewriteFormat(format);
+  const controls = parseStyleControls(options);
+  
   const messages = [
     {
       role: "system",
-      content: "You are a master of prose enhancement. Take existing text and make it MORE INTENSE, MORE VIVID, MORE POWERFUL. Enhance imagery, strengthen verbs, deepen emotions, and make every sentence hit harder. Maintain the core meaning but amplify everything. Return ONLY the enhanced text."
+      content: withStyle(renderPrompt(ctx, 'intensify/system'), controls, selectedText)
     },
     {
       role: "user",
-      content: `Intensify and enhance this text - make it more vivid, powerful, and impactful:\n\n${selectedText}`
+      content: renderPrompt(ctx, 'intensify/user', { selectedText })
     }
   ];
   
-  return await callAI(messages, 0.8, 1500);
+  return finishRewrite(ctx, { format, controls }, selectedText, await callAI(messages, temperatureFor(0.8, controls), 1500, ctx));
 }
 
 // ============================================
 // CHARACTER CHAT
 // ============================================
-async function handleCharacterChat({ userMessage, characterId, characterName, personaType, chatbotInstructions, pov, characterTags, storyTags, toneTags, chatHistory }) {
+async function handleCharacterChat({ userMessage, characterId, characterName, personaType, chatbotInstructions, pov, characterTags, storyTags, toneTags, chatHistory, persist, sessionId }, ctx = {}) {
   console.log("💬 Character chat starting...");
   console.log("=" .repeat(60));
   console.log("INCOMING CHAT DATA:");
@@ -483,20 +1610,24 @@ async function handleCharacterChat({ userMessage, characterId, characterName, pe
   console.log("=" .repeat(60));
   
   if (!userMessage || userMessage.trim().length === 0) {
-    throw new Error("No message provided");
+    throw apiError('VALIDATION_ERROR', "No message provided");
   }
   
+  const receivedAt = new Date().toISOString();
+  
   // ============================================
   // FETCH FULL CONTEXT FROM WIX (LIKE DEVIL POV)
   // ============================================
   console.log("🔍 Fetching chat context from Wix CMS...");
   const contextStart = Date.now();
   
-  const [characterContext, chatHistoryContext, relatedChapters, catalystIntel] = await Promise.all([
-    getCharacterContext(characterTags),
-    getChatHistory(characterTags),
-    getRelatedChapters(storyTags),
-    getCatalystIntel(characterTags) // Characters can also have catalyst tags
+  ctx.tags = ctx.tags || {};
+  const [characterContext, chatHistoryContext, storyIndex, catalystIntel, memoryNotes] = await Promise.all([
+    getCharacterContext(characterTags, ctx.tags),
+    getChatHistory(characterTags, ownerOf(ctx.user)),
+    getStoryIndex(storyTags, ctx.tags),
+    getCatalystIntel(characterTags, ctx.tags), // Characters can also have catalyst tags
+    getCharacterMemories(characterTags, ownerOf(ctx.user))
   ]);
   
   console.log(`✅ Chat context fetched in ${Date.now() - contextStart}ms`);
@@ -512,12 +1643,16 @@ async function handleCharacterChat({ userMessage, characterId, characterName, pe
     console.log("⚠️ No character personality found");
   }
   
-  // Log related chapters
-  console.log("\n📚 RELATED CHAPTERS:");
-  if (relatedChapters.length > 0) {
-    relatedChapters.forEach((ch, idx) => {
-      console.log(`   [${idx + 1}] ${ch.title} (${ch.content.length} chars)`);
-      console.log(`       Preview: ${ch.content.substring(0, 100)}...`);
+  // Passages that bear on what the author just said (plus the last couple of turns)
+  const recentTurns = (chatHistory || []).slice(-2).map(msg => msg?.content || '').join('\n');
+  const relatedPassages = findPassages(storyIndex, `${userMessage}\n${recentTurns}`);
+  
+  // Log related passages
+  console.log("\n📚 RELATED PASSAGES:");
+  if (relatedPassages.length > 0) {
+    relatedPassages.forEach((passage, idx) => {
+      console.log(`   [${idx + 1}] ${passage.chapterTitle} ¶${passage.firstParagraph}-${passage.lastParagraph} (score ${passage.score ?? 'latest'})`);
+      console.log(`       Preview: ${passage.text.substring(0, 100)}...`);
     });
   } else {
     console.log("   ⚠️ No related chapters found");
@@ -549,130 +1684,193 @@ async function handleCharacterChat({ userMessage, characterId, characterName, pe
   // ============================================
   // BUILD SYSTEM PROMPT WITH FULL CONTEXT
   // ============================================
-  const characterTraits = characterTags?.length > 0 ? `Your character traits: ${characterTags.join(', ')}` : '';
-  const storyContext = storyTags?.length > 0 ? `Story tags: ${storyTags.join(', ')}` : '';
-  const toneContext = toneTags?.length > 0 ? `Your tone: ${toneTags.join(', ')}` : '';
+  const characterTraits = characterTags?.length > 0 ? `Your character traits: ${normalizeTags(characterTags).join(', ')}` : '';
+  const storyContext = storyTags?.length > 0 ? `Story tags: ${normalizeTags(storyTags).join(', ')}` : '';
+  const toneContext = toneTags?.length > 0 ? `Your tone: ${normalizeTags(toneTags).join(', ')}` : '';
   const personalityContext = chatbotInstructions || characterContext || '';
   const povContext = pov || '';
 
   
-  let systemPrompt = `You are ${characterName}, a dark and complex character. Stay in character at all times. Be dark, intense, and true to your nature. Be creative while driving development forward. Be aware of your arc if tagged in any chapters.\n\n`;
+  const authorMode = personaType === 'author-mode';
+  const intro = renderPrompt(ctx, authorMode ? 'characterChat/author-mode' : 'characterChat/system', { characterName });
   
-  if (personalityContext) {
-    systemPrompt += `YOUR CORE PERSONALITY:\n${personalityContext}\n\n`;
-  }
-  
-  systemPrompt += `${characterTraits}\n${storyContext}\n${toneContext}`;
-
-  if (povContext) {
-  systemPrompt += `\n\nPOV & WORLDBUILDING:\n${povContext}`;
-  }
-  
-  if (personaType === 'author-mode') {
-    systemPrompt = `You are ${characterName}, and you are AWARE you're a character created by this author. Be meta. Be accusatory. Question their choices. Challenge them. Make them uncomfortable about what they've written. Be dark and intense, blurring the line between fiction and reality.\n\n${personalityContext}`;
-  }
-  
-  // Add catalyst intel
-  if (catalystIntel) {
-    systemPrompt += `\n\nNARRATIVE CATALYST:\n${catalystIntel}`;
-  }
+  // The current session travels as chat turns rather than inside the system prompt;
+  // it is budgeted with the rest and loses its oldest turns first
+  const currentSession = (chatHistory || []).filter(msg => msg && typeof msg.content === 'string');
   
-  // Add related chapters (story context)
-  if (relatedChapters.length > 0) {
-    systemPrompt += `\n\nRELATED CHAPTERS YOU APPEAR IN:\n`;
-    relatedChapters.forEach(ch => {
-      systemPrompt += `[${ch.title}]\n${ch.content}\n\n`;
-    });
-  }
+  const built = assembleContext(ctx, [
+    { name: 'instructions', priority: CONTEXT_PRIORITY.required, text: intro },
+    { name: 'personality', priority: CONTEXT_PRIORITY.personality, heading: authorMode ? '' : 'YOUR CORE PERSONALITY:', text: personalityContext, keep: 'start' },
+    { name: 'tags', priority: CONTEXT_PRIORITY.required, text: authorMode ? '' : [characterTraits, storyContext, toneContext].join('\n').trim() },
+    { name: 'pov', priority: CONTEXT_PRIORITY.personality, heading: 'POV & WORLDBUILDING:', text: authorMode ? '' : povContext, keep: 'start' },
+    { name: 'memory', priority: CONTEXT_PRIORITY.memory, heading: 'WHAT YOU REMEMBER FROM EARLIER CONVERSATIONS:', text: memoryNotes, keep: 'start' },
+    { name: 'catalyst', priority: CONTEXT_PRIORITY.catalyst, heading: 'NARRATIVE CATALYST:', text: catalystIntel, keep: 'start' },
+    // Same rank as the story passages but listed first, so the story passages are trimmed before it
+    {
+      name: 'currentSession',
+      priority: CONTEXT_PRIORITY.chapters,
+      items: currentSession.map(msg => msg.content),
+      keep: 'end',
+      inline: false
+    },
+    {
+      name: 'passages',
+      priority: CONTEXT_PRIORITY.chapters,
+      heading: 'PASSAGES FROM CHAPTERS YOU APPEAR IN (most relevant first):',
+      items: passageItems(relatedPassages),
+      keep: 'start'
+    },
+  ], 500);
   
-  // Add previous conversations - ONLY LAST 10 MESSAGES FROM CURRENT SESSION
-  console.log("📝 Including chat history: LAST 10 MESSAGES from current session only");
+  // Kept turns are the newest ones, possibly with the oldest of them cut short
+  const keptTurns = built.kept.currentSession;
+  const sessionTurns = currentSession
+    .slice(currentSession.length - keptTurns.length)
+    .map((msg, idx) => ({ role: msg.role, content: keptTurns[idx] }));
   
   console.log("\n📊 FINAL CONTEXT SUMMARY:");
-  console.log("   Total prompt length:", systemPrompt.length, "chars");
+  console.log("   Total prompt length:", built.prompt.length, "chars");
   console.log("   Character personality:", personalityContext ? "YES" : "NO");
-  console.log("   Related chapters:", relatedChapters.length);
+  console.log("   Related passages:", relatedPassages.length);
   console.log("   Catalyst intel:", catalystIntel ? "YES" : "NO");
-  console.log("   Current session messages:", chatHistory?.length || 0, "(sending last 70)");
+  console.log("   Long-term memory:", memoryNotes ? "YES" : "NO");
+  console.log("   Current session messages:", currentSession.length, `(sending last ${sessionTurns.length})`);
   console.log("=" .repeat(60));
   
-  // Only use the CURRENT chat session's last 10 messages
   const messages = [
-    { role: "system", content: systemPrompt },
-    ...(chatHistory || []).slice(-10), // ONLY last 10 from CURRENT session
+    { role: "system", content: built.prompt },
+    ...sessionTurns,
     { role: "user", content: userMessage }
   ];
   
-  return await callAI(messages, 0.85, 500);
+  const reply = await callAI(messages, 0.85, 500, ctx);
+  
+  // Optionally save both sides of the exchange to ChatWithCharacters
+  if (persist) {
+    const charTag = normalizeTags(characterTags)[0];
+    
+    const owner = ownerOf(ctx.user);
+    
+    if (!charTag) {
+      ctx.session = { persisted: false, error: "characterTags required to persist a session" };
+    } else {
+      try {
+        ctx.session = {
+          persisted: true,
+          ...await chatSessions.appendMessages(charTag, sessionId, [
+            { type: 'user', text: userMessage, timestamp: receivedAt },
+            { type: 'character', text: reply, timestamp: new Date().toISOString() }
+          ], { owner })
+        };
+        console.log(`💾 Saved chat session ${ctx.session.sessionId} (${ctx.session.messageCount} messages)`);
+        
+        // Fold the session into long-term memory in the background; the reply doesn't wait.
+        // A failure shows up as lastUpdateError on GET /characters/:tag/memory.
+        characterMemory.update(charTag, { sessionIds: [ctx.session.sessionId], owner })
+          .catch(err => console.error(`❌ Failed to update memory for ${charTag}:`, err.message));
+      } catch (error) {
+        // The reply is still good; report the save failure instead of failing the chat
+        console.error("❌ Failed to persist chat session:", error.message);
+        ctx.session = { persisted: false, sessionId: sessionId || null, error: error.message };
+      }
+    }
+  }
+  
+  return reply;
 }
 // ============================================
 // DEVIL POV (Streamlined)
 // ============================================
-async function handleDevilPOV({ characterName, characterTags, storyTags, toneTags, catalystTags }) {
+async function handleDevilPOV({ characterName, characterTags, storyTags, toneTags, catalystTags, variants, spreadModels, rank }, ctx = {}) {
   console.log("👿 Devil POV - Full context mode");
   
   // Fetch all context from Wix in parallel
   console.log("🔍 Fetching context from Wix CMS...");
   const contextStart = Date.now();
   
-  const [characterContext, chatHistory, relatedChapters, catalystIntel] = await Promise.all([
-    getCharacterContext(characterTags),
-    getChatHistory(characterTags),
-    getRelatedChapters(storyTags),
-    getCatalystIntel(catalystTags)
+  ctx.tags = ctx.tags || {};
+  const [characterContext, chatHistory, storyIndex, catalystIntel, memoryNotes] = await Promise.all([
+    getCharacterContext(characterTags, ctx.tags),
+    getChatHistory(characterTags, ownerOf(ctx.user)),
+    getStoryIndex(storyTags, ctx.tags),
+    getCatalystIntel(catalystTags, ctx.tags),
+    getCharacterMemories(characterTags, ownerOf(ctx.user))
   ]);
   
   console.log(`✅ Context fetched in ${Date.now() - contextStart}ms`);
   
   // Build system prompt
-  const characterTraits = characterTags?.length > 0 ? `Character traits: ${characterTags.join(', ')}` : '';
-  const storyContext = storyTags?.length > 0 ? `Story: ${storyTags.join(', ')}` : '';
-  const toneContext = toneTags?.length > 0 ? `Tone: ${toneTags.join(', ')}` : '';
-  
-  let systemPrompt = `You are ${characterName || 'the antagonist'}, a dark and complex character. 
-Write from YOUR perspective based on the story context and what's happened so far. Be DARK, VISCERAL, and UNAPOLOGETICALLY YOURSELF. Show your motivations, your twisted logic, your desires. Make the reader uncomfortable. Make them understand you even as they fear you. If user provides a catalyst tag use intel to progress the narrative while obeying them strictly.
-${characterTraits}
-${storyContext}
-${toneContext}`;
-  
-  if (characterContext) {
-    systemPrompt += `\n\nYOUR CORE PERSONALITY:\n${characterContext}`;
-  }
-  
-  if (catalystIntel) {
-    systemPrompt += `\n\nNARRATIVE CATALYST:\n${catalystIntel}`;
-  }
-  
-  if (relatedChapters.length > 0) {
-    systemPrompt += `\n\nRELATED CHAPTERS FROM THIS STORY:\n`;
-    relatedChapters.forEach(ch => {
-      systemPrompt += `[${ch.title}]\n${ch.content}\n\n`;
-    });
-  }
+  const charTags = normalizeTags(characterTags);
+  const ensemble = charTags.length > 1;
+  const characterTraits = charTags.length > 0 ? `Character traits: ${charTags.join(', ')}` : '';
+  const storyContext = storyTags?.length > 0 ? `Story: ${normalizeTags(storyTags).join(', ')}` : '';
+  const toneContext = toneTags?.length > 0 ? `Tone: ${normalizeTags(toneTags).join(', ')}` : '';
   
-  if (chatHistory.length > 0) {
-    systemPrompt += `\n\nCONVERSATIONS THE AUTHOR HAS HAD WITH YOU:\n`;
-    chatHistory.forEach((session, idx) => {
-      systemPrompt += `\n[Session ${idx + 1}]\n`;
-      session.messages?.slice(-5).forEach(msg => {
-        systemPrompt += `${msg.type === 'user' ? 'AUTHOR' : 'YOU'}: ${msg.text}\n`;
-      });
-    });
-  }
+  // Scenes involving this character or the catalyst, plus where the story currently ends
+  const relatedPassages = findPassages(storyIndex, [characterName, ...charTags, catalystIntel].filter(Boolean).join('\n'), { recent: 2 });
   
-  systemPrompt += `\n\nWrite the next chapter from your POV based on everything above. No explanations, no meta-commentary. Pure character voice. Continue the story from YOUR dark perspective.`;
+  const built = assembleContext(ctx, [
+    {
+      name: 'instructions',
+      priority: CONTEXT_PRIORITY.required,
+      text: renderPrompt(ctx, 'devilPOV/system', {
+        characterName: characterName || 'the antagonist',
+        characterTraits,
+        storyContext,
+        toneContext
+      })
+    },
+    {
+      name: 'characters',
+      priority: CONTEXT_PRIORITY.personality,
+      // Several tagged characters: each block is labelled, the first tag is the narrator
+      heading: ensemble
+        ? `CHARACTERS IN THIS SCENE (you are ${characterName || charTags[0]}; the others are seen through your eyes):`
+        : 'YOUR CORE PERSONALITY:',
+      text: characterContext,
+      keep: 'start'
+    },
+    {
+      name: 'memory',
+      priority: CONTEXT_PRIORITY.memory,
+      heading: ensemble ? 'WHAT THESE CHARACTERS REMEMBER FROM TALKING WITH THE AUTHOR:' : 'WHAT YOU REMEMBER FROM TALKING WITH THE AUTHOR:',
+      text: memoryNotes,
+      keep: 'start'
+    },
+    { name: 'catalyst', priority: CONTEXT_PRIORITY.catalyst, heading: 'NARRATIVE CATALYST:', text: catalystIntel, keep: 'start' },
+    {
+      name: 'passages',
+      priority: CONTEXT_PRIORITY.chapters,
+      heading: 'RELEVANT PASSAGES FROM THIS STORY (most relevant first):',
+      items: passageItems(relatedPassages, normalizeTags(storyTags).length > 1),
+      keep: 'start'
+    },
+    {
+      name: 'chatHistory',
+      priority: CONTEXT_PRIORITY.history,
+      heading: `CONVERSATIONS THE AUTHOR HAS HAD WITH ${ensemble ? 'THESE CHARACTERS' : 'YOU'}:`,
+      items: sessionItems(chatHistory, ensemble),
+      keep: 'end',
+      shrinkItems: true
+    },
+    {
+      name: 'closing',
+      priority: CONTEXT_PRIORITY.required,
+      text: renderPrompt(ctx, 'devilPOV/closing')
+    }
+  ], 2500);
   
   console.log("📊 Context summary:");
-  console.log("   Total prompt length:", systemPrompt.length, "chars");
+  console.log("   Total prompt length:", built.prompt.length, "chars");
   console.log("   Character personality:", characterContext ? "YES" : "NO");
   console.log("   Chat history:", chatHistory.length, "sessions");
-  console.log("   Related chapters:", relatedChapters.length);
+  console.log("   Related passages:", relatedPassages.length);
   console.log("   Catalyst intel:", catalystIntel ? "YES" : "NO");
   
-  const result = await callAI([
-    { role: "system", content: systemPrompt },
-    { role: "user", content: `Write the next chapter from your twisted perspective, picking up from where the story left off:` }
-  ], 0.9, 2500);
+  const result = await generateCandidates([
+    { role: "system", content: built.prompt },
+    { role: "user", content: renderPrompt(ctx, 'devilPOV/user') }
+  ], 0.9, 2500, ctx, { variants, spreadModels, rank });
   
   return result;
 }
@@ -681,408 +1879,1082 @@ ${toneContext}`;
 // MANUSCRIPT ANALYSIS TOOLS
 // ============================================
 
-// Special AI call for Claude Sonnet 4 (for analysis tools)
-async function callClaudeForAnalysis(messages, maxTokens = 3000) {
-  const apiKey = process.env.OPENROUTER_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error("No API key configured");
+// AI call for the analysis tools: ANALYSIS_MODEL at low temperature, no fallback.
+// A custom action may bring its own chain (ctx.models, tried in order) and temperature.
+async function callClaudeForAnalysis(messages, maxTokens = 3000, ctx = {}) {
+  if (!llm.isConfigured()) {
+    throw apiError('NOT_CONFIGURED', "No API key configured");
   }
   
-  try {
-    console.log(`🔬 Using Claude Sonnet 4 for analysis`);
-    
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-        'HTTP-Referer': 'https://amygonzalez305.wixsite.com/the-draft-reaper/devil-muse-server',
-        'X-Title': 'Devil Muse - Manuscript Analysis'
-      },
-      body: JSON.stringify({
-        model: "openai/gpt-3.5-turbo",
+  const models = routeModels(ctx.models || [ANALYSIS_MODEL]);
+  
+  for (const [idx, model] of models.entries()) {
+    try {
+      console.log(`🔬 Using ${model} for analysis`);
+      
+      const { content } = await guardedComplete({
+        model,
         messages: messages,
-        temperature: 0.3, // Lower temp for analytical precision
-        max_tokens: maxTokens
-      })
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Claude API failed: ${errorText}`);
+        temperature: ctx.temperature ?? 0.3, // Lower temp for analytical precision
+        maxTokens: maxTokens,
+        title: 'Devil Muse - Manuscript Analysis',
+        signal: ctx.signal
+      }, ctx, idx + 1);
+      
+      console.log(`✅ ${model} analysis complete`);
+      ctx.model = model;
+      return content;
+      
+    } catch (error) {
+      console.error(`❌ Analysis error:`, error.message);
+      if (ctx.signal?.aborted) throw apiError('CANCELLED', "Request aborted by client");
+      if (idx === models.length - 1 || error.code === 'FIXTURE_MISSING') throw modelError(error);
     }
-    
-    const data = await response.json();
-    console.log(`✅ Claude Sonnet 4 analysis complete`);
-    return data.choices[0].message.content;
-    
-  } catch (error) {
-    console.error(`❌ Claude analysis error:`, error.message);
-    throw error;
   }
 }
 
 // ============================================
-// OVERUSE SCANNER
+// RUN ANALYSIS + VALIDATE MARKERS (WITH ONE REPAIR PASS)
 // ============================================
-async function handleOveruseScanner({ text }) {
-  console.log("🗡 Running Overuse Scanner...");
+async function runMarkerAnalysis(label, messages, maxTokens, ctx = {}) {
+  const response = await callClaudeForAnalysis(messages, maxTokens, ctx);
+  const first = parseMarkerResponse(response);
   
-  if (!text || text.trim().length === 0) {
-    throw new Error("No text provided for analysis");
+  if (first.errors.length === 0) {
+    return first.markers;
   }
   
-  const messages = [
-    {
-      role: "user",
-      content: `You are a ruthless manuscript editor analyzing for OVERUSE patterns.
-
-Analyze this chapter and identify:
-1. **Word repetition** (soft and hard) - words used excessively
-2. **Phrase echo** - repeated sentence structures or phrases
-3. **Crutch verbs** - overreliance on weak verbs (was, had, felt, seemed, etc.)
-4. **Favorite tells** - author's repetitive writing tics
-5. **Dialogue fillers** - "um," "well," "just," "actually," etc.
-
-For each finding, provide:
-- The specific issue
-- Frequency count
-- Severity (Minor/Moderate/Severe)
-- First occurrence location (approximate)
-
-Return your analysis as a JSON array of markers. Each marker must have:
-- "icon": an emoji representing the issue type
-- "type": the category (e.g., "Word Repetition", "Crutch Verb")
-- "message": brief description with frequency
-- "detail": expanded explanation and examples
-
-Example format:
-[
-  {
-    "icon": "🗡",
-    "type": "Word Repetition",
-    "message": "The word 'suddenly' appears 8 times - severe overuse",
-    "detail": "First occurrence: paragraph 2. This word loses impact through repetition. Consider alternatives: abruptly, without warning, in an instant."
-  }
-]
-
-CRITICAL: Return ONLY valid JSON. No preamble, no explanation, no markdown code blocks. Just the JSON array.
-
-Chapter text:
-${text}`
-    }
-  ];
+  console.warn(`⚠️ ${label} reply failed validation, requesting repair:`, first.errors.slice(0, 5));
   
-  const response = await callClaudeForAnalysis(messages, 3000);
+  const repaired = await callClaudeForAnalysis([
+    ...messages,
+    { role: "assistant", content: response },
+    { role: "user", content: buildRepairPrompt(first.errors) }
+  ], maxTokens, ctx);
+  const second = parseMarkerResponse(repaired);
   
-  // Parse JSON response
-  try {
-    const cleaned = response.replace(/```json|```/g, '').trim();
-    return JSON.parse(cleaned);
-  } catch (e) {
-    console.error("Failed to parse JSON:", response);
-    throw new Error("Failed to parse analysis response");
+  if (second.errors.length === 0) {
+    return second.markers;
   }
+  
+  // Keep whatever survived validation rather than failing the whole request
+  const best = second.markers.length >= first.markers.length ? second : first;
+  if (best.markers.length > 0) {
+    console.warn(`⚠️ ${label}: dropped invalid markers after repair:`, best.errors.slice(0, 5));
+    return best.markers;
+  }
+  
+  console.error(`Failed to parse ${label}:`, repaired);
+  throw apiError('MODEL_BAD_RESPONSE', `Failed to parse ${label}: ${second.errors.slice(0, 3).join('; ')}`);
 }
 
 // ============================================
-// PACING ANALYZER
+// RUN ANALYSIS OVER CHUNKS OF A LONG CHAPTER
 // ============================================
-async function handlePacingAnalyzer({ text }) {
-  console.log("🧠 Running Pacing Analyzer...");
+// buildMessages(chapterText) returns the prompt for one piece of text. Short texts
+// go through in one call; long ones are chunked, analyzed in parallel and merged.
+// With merge: false (whole-chapter verdicts like ai_critic) every chunk's markers
+// are kept and labelled with their part number instead.
+async function runChunkedAnalysis(label, text, maxTokens, buildMessages, { merge = true, ctx = {} } = {}) {
+  const chunks = chunkText(text, { maxWords: ANALYSIS_CHUNK_WORDS });
+  
+  if (chunks.length <= 1) {
+    return await runMarkerAnalysis(label, buildMessages(text), maxTokens, ctx);
+  }
+  
+  console.log(`✂️ ${label}: ${chunks.length} chunks of up to ${ANALYSIS_CHUNK_WORDS} words`);
+  let chunksDone = 0;
+  
+  const results = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, (chunk, idx) => {
+    const excerpt = `[Excerpt ${idx + 1} of ${chunks.length}: paragraphs ${chunk.firstParagraph + 1}-${chunk.lastParagraph + 1} of the chapter. Number paragraphs from 1 within this excerpt.]\n\n${chunk.text}`;
+    return runMarkerAnalysis(`${label} (chunk ${idx + 1}/${chunks.length})`, buildMessages(excerpt), maxTokens, ctx)
+      .finally(() => ctx.onProgress?.({ stage: 'analyzing', chunksDone: ++chunksDone, chunks: chunks.length }));
+  });
+  
+  rethrowMissingFixture(...results.map(outcome => outcome.reason));
+  const failedChunks = [];
+  
+  const located = results.map((outcome, idx) => {
+    const chunk = chunks[idx];
+    
+    if (outcome.status === 'rejected') {
+      console.error(`❌ ${label} chunk ${idx + 1} failed:`, outcome.reason.message);
+      failedChunks.push(chunk);
+      return [];
+    }
+    
+    return outcome.value.map(marker => marker.location?.paragraph
+      ? { ...marker, location: { ...marker.location, paragraph: marker.location.paragraph + chunk.firstParagraph } }
+      : { ...marker });
+  });
+  
+  if (failedChunks.length === chunks.length) {
+    throw results[0].reason;
+  }
+  
+  // Findings in the overlap between neighbouring chunks were reported by both
+  const markers = dropOverlapRepeats(located, chunks, text).flatMap((chunkMarkers, idx) => merge
+    ? chunkMarkers
+    : chunkMarkers.map(marker => ({ ...marker, message: `${marker.message} (part ${idx + 1}/${chunks.length})` })));
+  
+  const combined = merge ? mergeMarkers(markers) : markers;
+  
+  failedChunks.forEach(chunk => {
+    combined.push({
+      icon: "⚠️",
+      type: "Incomplete Analysis",
+      message: `Paragraphs ${chunk.firstParagraph + 1}-${chunk.lastParagraph + 1} could not be analyzed`,
+      detail: "This part of the chapter failed after a repair attempt. Re-run the tool to cover it.",
+      severity: "minor",
+      location: { paragraph: chunk.firstParagraph + 1 }
+    });
+  });
+  
+  return combined;
+}
+
+// ============================================
+// OVERUSE SCANNER
+// ============================================
+async function handleOveruseScanner({ text }, ctx = {}) {
+  console.log("🗡 Running Overuse Scanner...");
   
   if (!text || text.trim().length === 0) {
-    throw new Error("No text provided for analysis");
+    throw apiError('VALIDATION_ERROR', "No text provided for analysis");
   }
   
-  const messages = [
+  const stats = analyzeText(text);
+  ctx.stats = stats;
+  
+  const markers = await runChunkedAnalysis("overuse analysis", text, 3000, (chapterText) => [
     {
       role: "user",
-      content: `You are a story pacing expert analyzing narrative momentum.
-
-Analyze this chapter for:
-1. **Long exposition clusters** - where narrative bogs down
-2. **Dialogue deserts** - stretches without character interaction
-3. **Action compression** - rushed sequences that need expansion
-4. **Emotional flatlines** - scenes lacking emotional variation
-5. **Tension drops** - where stakes or conflict diminish
-
-Return analysis as JSON array with these fields:
-- "icon": emoji for the pacing issue
-- "type": category name
-- "message": what's wrong and where
-- "detail": why it matters and impact on reader
-
-Return ONLY valid JSON array. No markdown, no explanation.
-
-Chapter text:
-${text}`
+      content: renderPrompt(ctx, 'overuse_scanner/analysis', {
+        markerFields: MARKER_FIELDS_PROMPT,
+        stats: formatStatsForPrompt(stats, 'overuse'),
+        chapterText
+      })
     }
-  ];
+  ], { ctx });
   
-  const response = await callClaudeForAnalysis(messages, 3000);
+  // The model's frequency claims are unreliable; the local counts are not
+  return resolveAnchors(applyExactCounts(markers, text), text);
+}
+
+// ============================================
+// PACING ANALYZER
+// ============================================
+async function handlePacingAnalyzer({ text }, ctx = {}) {
+  console.log("🧠 Running Pacing Analyzer...");
   
-  try {
-    const cleaned = response.replace(/```json|```/g, '').trim();
-    return JSON.parse(cleaned);
-  } catch (e) {
-    throw new Error("Failed to parse pacing analysis");
+  if (!text || text.trim().length === 0) {
+    throw apiError('VALIDATION_ERROR', "No text provided for analysis");
   }
+  
+  const markers = await runChunkedAnalysis("pacing analysis", text, 3000, (chapterText) => [
+    {
+      role: "user",
+      content: renderPrompt(ctx, 'pacing_analyzer/analysis', {
+        markerFields: MARKER_FIELDS_PROMPT,
+        chapterText
+      })
+    }
+  ], { ctx });
+  
+  return resolveAnchors(markers, text);
 }
 
 // ============================================
 // SENTENCE MECHANICS
 // ============================================
-async function handleSentenceMechanics({ text }) {
+async function handleSentenceMechanics({ text }, ctx = {}) {
   console.log("🧬 Running Sentence Mechanics Lab...");
   
   if (!text || text.trim().length === 0) {
-    throw new Error("No text provided for analysis");
+    throw apiError('VALIDATION_ERROR', "No text provided for analysis");
   }
   
-  const messages = [
+  const stats = analyzeText(text);
+  ctx.stats = stats;
+  
+  const markers = await runChunkedAnalysis("mechanics analysis", text, 2500, (chapterText) => [
     {
       role: "user",
-      content: `You are a prose mechanics surgeon analyzing sentence-level craft.
-
-Deep dive into:
-1. **Sentence length variance** - monotonous vs dynamic rhythm
-2. **Passive density** - overuse of passive voice
-3. **Clause stacking** - overly complex nested clauses
-4. **Rhythm irregularities** - awkward cadence or flow issues
-
-This is scalpel work, not grammar police. Focus on CRAFT.
-
-Return JSON array with:
-- "icon": relevant emoji
-- "type": mechanic category
-- "message": the specific issue
-- "detail": technical explanation and improvement path
-
-Return ONLY valid JSON array.
-
-Chapter text:
-${text}`
+      content: renderPrompt(ctx, 'sentence_mechanics/analysis', {
+        markerFields: MARKER_FIELDS_PROMPT,
+        stats: formatStatsForPrompt(stats, 'mechanics'),
+        chapterText
+      })
     }
-  ];
+  ], { ctx });
   
-  const response = await callClaudeForAnalysis(messages, 2500);
-  
-  try {
-    const cleaned = response.replace(/```json|```/g, '').trim();
-    return JSON.parse(cleaned);
-  } catch (e) {
-    throw new Error("Failed to parse mechanics analysis");
-  }
+  return resolveAnchors(markers, text);
 }
 
 // ============================================
 // DIALOGUE CRITIC
 // ============================================
-async function handleDialogueCritic({ text }) {
+async function handleDialogueCritic({ text }, ctx = {}) {
   console.log("🩸 Running Dialogue Blade Critic...");
   
   if (!text || text.trim().length === 0) {
-    throw new Error("No text provided for analysis");
+    throw apiError('VALIDATION_ERROR', "No text provided for analysis");
   }
   
-  const messages = [
+  const markers = await runChunkedAnalysis("dialogue analysis", text, 2500, (chapterText) => [
     {
       role: "user",
-      content: `You are a merciless dialogue critic with surgical precision.
-
-Analyze dialogue for:
-1. **Voice consistency** - does each character sound distinct?
-2. **Power imbalance** - who controls conversations and why
-3. **Subtext density** - what's said vs what's meant
-4. **On-the-nose alerts** - characters stating emotions directly
-
-Be brutal. No rewrites. Only judgment.
-
-Return JSON array with:
-- "icon": dialogue-related emoji
-- "type": issue category
-- "message": what's wrong
-- "detail": why it fails and what it reveals about craft
-
-Return ONLY valid JSON array.
-
-Chapter text:
-${text}`
+      content: renderPrompt(ctx, 'dialogue_critic/analysis', {
+        markerFields: MARKER_FIELDS_PROMPT,
+        chapterText
+      })
     }
-  ];
+  ], { ctx });
   
-  const response = await callClaudeForAnalysis(messages, 2500);
-  
-  try {
-    const cleaned = response.replace(/```json|```/g, '').trim();
-    return JSON.parse(cleaned);
-  } catch (e) {
-    throw new Error("Failed to parse dialogue analysis");
-  }
+  return resolveAnchors(markers, text);
 }
 
 // ============================================
 // AI CRITIC MODE
 // ============================================
-async function handleAICritic({ text, persona }) {
+const CRITIC_PERSONAS = ['cold_editor', 'market_hawk', 'literary_judge', 'dark_romance_gatekeeper'];
+
+async function handleAICritic({ text, persona = 'cold_editor' }, ctx = {}) {
   console.log(`🕯️ Running AI Critic Mode: ${persona}...`);
   
   if (!text || text.trim().length === 0) {
-    throw new Error("No text provided for critique");
+    throw apiError('VALIDATION_ERROR', "No text provided for critique");
   }
   
-  const personas = {
-    cold_editor: "You are a cold, ruthless editor who has seen thousands of manuscripts. You care about craft, not feelings. Be direct, surgical, and focus on what WORKS and what DOESN'T.",
-    market_hawk: "You are a market-savvy publishing hawk who knows what SELLS. Evaluate commercial viability, genre expectations, and reader engagement. Be pragmatic and business-focused.",
-    literary_judge: "You are a literary fiction judge who values prose artistry, thematic depth, and narrative innovation. Be intellectual and demanding about craft excellence.",
-    dark_romance_gatekeeper: "You are a dark romance gatekeeper who knows the genre inside out. Judge heat levels, power dynamics, emotional stakes, and whether this delivers what readers crave. Be fierce."
-  };
+  if (!CRITIC_PERSONAS.includes(persona)) {
+    throw apiError('VALIDATION_ERROR', `Unknown persona: ${persona}. Available: ${CRITIC_PERSONAS.join(', ')}`);
+  }
   
-  const selectedPersona = personas[persona] || personas.cold_editor;
+  const selectedPersona = renderPrompt(ctx, `ai_critic/persona-${persona}`);
   
-  const messages = [
+  const markers = await runChunkedAnalysis("critic response", text, 3500, (chapterText) => [
     {
       role: "user",
-      content: `${selectedPersona}
+      content: renderPrompt(ctx, 'ai_critic/analysis', {
+        persona: selectedPersona,
+        personaLabel: persona.replace('_', ' ').toUpperCase(),
+        chapterText
+      })
+    }
+  ], { merge: false, ctx });
+  
+  return resolveAnchors(markers, text);
+}
 
-Read this chapter and provide your assessment in under 500 words.
+// ============================================
+// STRUCTURAL INTEGRITY
+// ============================================
+async function handleStructuralCheck({ text }, ctx = {}) {
+  console.log("🧿 Running Structural Integrity Check...");
+  
+  if (!text || text.trim().length === 0) {
+    throw apiError('VALIDATION_ERROR', "No text provided for analysis");
+  }
+  
+  const markers = await runChunkedAnalysis("structural analysis", text, 2500, (chapterText) => [
+    {
+      role: "user",
+      content: renderPrompt(ctx, 'structural_check/analysis', {
+        markerFields: MARKER_FIELDS_PROMPT,
+        chapterText
+      })
+    }
+  ], { ctx });
+  
+  return resolveAnchors(markers, text);
+}
+// ============================================
+// STATS ONLY (NO MODEL CALL)
+// ============================================
+async function handleStatsOnly({ text, tools }, ctx = {}) {
+  console.log("📊 Computing local text statistics...");
+  
+  if (!text || text.trim().length === 0) {
+    throw apiError('VALIDATION_ERROR', "No text provided for analysis");
+  }
+  
+  const stats = analyzeText(text);
+  ctx.stats = stats;
+  
+  const markers = statsToMarkers(stats, Array.isArray(tools) && tools.length > 0 ? tools : undefined);
+  return resolveAnchors(markers, text);
+}
 
-Focus on:
-- What works
-- What doesn't
-- Biggest issue to fix
-- Overall verdict
+// ============================================
+// FULL AUDIT (EVERY ANALYZER, ONE REPORT)
+// ============================================
+const AUDIT_TOOLS = {
+  overuse_scanner: handleOveruseScanner,
+  pacing_analyzer: handlePacingAnalyzer,
+  sentence_mechanics: handleSentenceMechanics,
+  dialogue_critic: handleDialogueCritic,
+  structural_check: handleStructuralCheck,
+  ai_critic: handleAICritic
+};
 
-NO EDITS. Only assessment.
+const SEVERITY_ORDER = { severe: 0, moderate: 1, minor: 2 };
 
-Return as JSON array with ONE marker:
-- "icon": "🎭"
-- "type": "${persona.replace('_', ' ').toUpperCase()}"
-- "message": "Overall Assessment"
-- "detail": Your full critique (under 500 words)
+async function handleFullAudit({ text, analyzers, persona = 'cold_editor' }, ctx = {}) {
+  console.log("🔎 Running Full Audit...");
+  
+  if (!text || text.trim().length === 0) {
+    throw apiError('VALIDATION_ERROR', "No text provided for analysis");
+  }
+  
+  const tools = Array.isArray(analyzers) && analyzers.length > 0 ? analyzers : Object.keys(AUDIT_TOOLS);
+  const unknown = tools.filter(tool => !AUDIT_TOOLS[tool]);
+  
+  if (unknown.length > 0) {
+    throw apiError('VALIDATION_ERROR', `Unknown analyzers: ${unknown.join(', ')}. Available: ${Object.keys(AUDIT_TOOLS).join(', ')}`);
+  }
+  
+  console.log(`   Analyzers: ${tools.join(', ')} (max ${AUDIT_CONCURRENCY} at once)`);
+  
+  // Analyzers share the request's prompt choice and report their versions into it
+  ctx.prompts = ctx.prompts || {};
+  const finished = [];
+  
+  const outcomes = await mapWithConcurrency(tools, AUDIT_CONCURRENCY, async (tool) => {
+    const toolStart = Date.now();
+    // Metered under the analyzer's own name, marked as part of the audit
+    const toolCtx = { action: tool, via: ctx.action, user: ctx.user, signal: ctx.signal, promptVersion: ctx.promptVersion, prompts: ctx.prompts };
+    try {
+      const markers = await AUDIT_TOOLS[tool]({ text, persona }, toolCtx);
+      return { markers, stats: toolCtx.stats, processingTime: Date.now() - toolStart };
+    } finally {
+      finished.push(tool);
+      ctx.onProgress?.({ stage: 'auditing', analyzersDone: finished.length, analyzers: tools.length, finished: [...finished] });
+    }
+  });
+  
+  // One failing analyzer shouldn't sink the report
+  rethrowMissingFixture(...outcomes.map(outcome => outcome.reason));
+  const sections = outcomes.map((outcome, idx) => {
+    if (outcome.status === 'fulfilled') {
+      if (outcome.value.stats) ctx.stats = outcome.value.stats;
+      return {
+        tool: tools[idx],
+        status: 'success',
+        markers: outcome.value.markers,
+        processingTime: outcome.value.processingTime
+      };
+    }
+    
+    console.error(`❌ Audit: ${tools[idx]} failed:`, outcome.reason.message);
+    return { tool: tools[idx], status: 'failed', markers: [], error: outcome.reason.message };
+  });
+  
+  if (sections.every(section => section.status === 'failed')) {
+    // Reported with the first analyzer's error code
+    throw apiError(classifyError(outcomes[0].reason).code, `All analyzers failed: ${sections[0].error}`);
+  }
+  
+  const allMarkers = sections.flatMap(section => section.markers.map(marker => ({ ...marker, tool: section.tool })));
+  const bySeverity = { severe: 0, moderate: 0, minor: 0 };
+  allMarkers.forEach(marker => { bySeverity[marker.severity]++; });
+  
+  return {
+    sections,
+    summary: {
+      analyzers: tools.length,
+      succeeded: sections.filter(section => section.status === 'success').length,
+      failed: sections.filter(section => section.status === 'failed').map(section => section.tool),
+      totalMarkers: allMarkers.length,
+      bySeverity
+    },
+    topFixes: await synthesizeTopFixes(allMarkers, ctx)
+  };
+}
 
-Return ONLY valid JSON array.
+// Highest severity first, then the most frequent; one per issue type
+function rankTopFixes(markers, limit = 5) {
+  const seenTypes = new Set();
+  
+  return [...markers]
+    .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || (b.count || 0) - (a.count || 0))
+    .filter(marker => {
+      const key = marker.type.toLowerCase();
+      if (seenTypes.has(key)) return false;
+      seenTypes.add(key);
+      return true;
+    })
+    .slice(0, limit);
+}
 
-Chapter text:
-${text}`
-    }
-  ];
+async function synthesizeTopFixes(markers, ctx = {}) {
+  if (markers.length === 0) {
+    return [];
+  }
   
-  const response = await callClaudeForAnalysis(messages, 3500);
+  const candidates = rankTopFixes(markers, 25);
+  const findings = candidates.map((marker, idx) =>
+    `${idx + 1}. [${marker.tool} / ${marker.severity}] ${marker.type}: ${marker.message}`
+  ).join('\n');
   
   try {
-    const cleaned = response.replace(/```json|```/g, '').trim();
-    return JSON.parse(cleaned);
-  } catch (e) {
-    throw new Error("Failed to parse critic response");
+    const fixes = await runMarkerAnalysis("top fixes", [
+      {
+        role: "user",
+        content: renderPrompt(ctx, 'full_audit/top-fixes', { markerFields: MARKER_FIELDS_PROMPT, findings })
+      }
+    ], 1200, ctx);
+    
+    return fixes.slice(0, 5).map((fix, idx) => ({ rank: idx + 1, ...fix }));
+    
+  } catch (error) {
+    rethrowMissingFixture(error);
+    console.error("⚠️ Top-fix synthesis failed, ranking locally:", error.message);
+    return rankTopFixes(markers).map((marker, idx) => ({ rank: idx + 1, ...marker }));
   }
 }
 
 // ============================================
-// STRUCTURAL INTEGRITY
+// ACTION INPUT SCHEMAS
 // ============================================
-async function handleStructuralCheck({ text }) {
-  console.log("🧿 Running Structural Integrity Check...");
-  
-  if (!text || text.trim().length === 0) {
-    throw new Error("No text provided for analysis");
+// The request fields each action reads (see lib/schemas.js). /devil-pov checks a
+// request against its action's schema before any Wix or model call, and GET /actions
+// lists them for front ends.
+const TAG_PARAMS = {
+  characterTags: { type: 'tags', maxItems: 20, description: "Characters to pull personality, history and memory from" },
+  storyTags: { type: 'tags', maxItems: 20, description: "Stories to pull passages from" },
+  catalystTags: { type: 'tags', maxItems: 20, description: "Catalyst records to pull intel from" }
+};
+
+const VARIANT_PARAMS = {
+  variants: { type: 'integer', min: 1, max: MAX_VARIANTS, default: 1, description: "Candidates to generate (not with stream)" },
+  spreadModels: { type: 'boolean', default: false, description: "Start each candidate on a different model" },
+  rank: { type: 'boolean', default: false, description: "Score candidates for tone and continuity and sort them" }
+};
+
+const STYLE_PARAMS = {
+  format: { type: 'string', enum: REWRITE_FORMATS, default: 'text', description: "diff adds track-changes hunks" },
+  intensity: { type: 'integer', min: 1, max: 5, default: 3 },
+  lengthRatio: { type: 'number', min: 0.25, max: 3, description: "Target length as a multiple of the input" },
+  preserveDialogue: { type: 'boolean', default: false },
+  lockPov: { type: 'boolean', default: false },
+  lockTense: { type: 'boolean', default: false },
+  locked: { type: 'array', items: 'string', maxItems: 50, description: "Names, places and facts to keep verbatim" }
+};
+
+const ANALYSIS_TEXT = { type: 'string', required: true, maxLength: MAX_INPUT_CHARS, description: "Chapter text to analyze" };
+
+const ACTION_SCHEMAS = {
+  unhinge: {
+    description: "Rewrite a chapter darker and more unhinged",
+    output: 'text',
+    params: {
+      chapterContent: { type: 'string', required: true, maxLength: MAX_INPUT_CHARS },
+      ...STYLE_PARAMS
+    }
+  },
+  unleash: {
+    description: "Continue a chapter from where it ends",
+    output: 'text',
+    params: {
+      chapterContent: { type: 'string', required: true, maxLength: MAX_INPUT_CHARS },
+      ...TAG_PARAMS,
+      ...VARIANT_PARAMS
+    }
+  },
+  noMercy: {
+    description: "Rewrite a selection without mercy",
+    output: 'text',
+    params: {
+      selectedText: { type: 'string', required: true, maxLength: MAX_INPUT_CHARS },
+      ...STYLE_PARAMS,
+      ...VARIANT_PARAMS
+    }
+  },
+  invoke: {
+    description: "Write a passage for the cursor position from a prompt",
+    output: 'text',
+    params: {
+      userPrompt: { type: 'string', maxLength: 4000 },
+      contextBefore: { type: 'string', maxLength: MAX_INPUT_CHARS },
+      contextAfter: { type: 'string', maxLength: MAX_INPUT_CHARS },
+      ...TAG_PARAMS,
+      ...VARIANT_PARAMS
+    }
+  },
+  intensify: {
+    description: "Turn up the intensity of a selection",
+    output: 'text',
+    params: {
+      selectedText: { type: 'string', required: true, maxLength: MAX_INPUT_CHARS },
+      ...STYLE_PARAMS
+    }
+  },
+  characterChat: {
+    description: "Talk to a character, or to the muse in author mode",
+    output: 'text',
+    params: {
+      userMessage: { type: 'string', required: true, maxLength: 8000 },
+      characterId: { type: 'string', maxLength: 200 },
+      characterName: { type: 'string', maxLength: 200 },
+      personaType: { type: 'string', maxLength: 100, description: "author-mode talks to the muse instead of the character" },
+      chatbotInstructions: { type: 'string', maxLength: 20000 },
+      pov: { type: 'string', maxLength: 20000 },
+      characterTags: TAG_PARAMS.characterTags,
+      storyTags: TAG_PARAMS.storyTags,
+      toneTags: { type: 'tags', maxItems: 20 },
+      chatHistory: { type: 'array', items: 'object', maxItems: 200, description: "Turns of the current session as { role, content }" },
+      persist: { type: 'boolean', default: false, description: "Save the exchange to the chat session" },
+      sessionId: { type: 'string', maxLength: 200 }
+    }
+  },
+  devilPOV: {
+    description: "The devil's point of view on the story so far",
+    output: 'text',
+    params: {
+      characterName: { type: 'string', maxLength: 200 },
+      ...TAG_PARAMS,
+      toneTags: { type: 'tags', maxItems: 20 },
+      ...VARIANT_PARAMS
+    }
+  },
+  overuse_scanner: { description: "Repeated words, phrases and tics", output: 'markers', params: { text: ANALYSIS_TEXT } },
+  pacing_analyzer: { description: "Scenes that drag or rush", output: 'markers', params: { text: ANALYSIS_TEXT } },
+  sentence_mechanics: { description: "Sentence rhythm, length and structure", output: 'markers', params: { text: ANALYSIS_TEXT } },
+  dialogue_critic: { description: "Dialogue that rings false", output: 'markers', params: { text: ANALYSIS_TEXT } },
+  ai_critic: {
+    description: "A critique in the voice of an industry persona",
+    output: 'markers',
+    params: {
+      text: ANALYSIS_TEXT,
+      persona: { type: 'string', enum: CRITIC_PERSONAS, default: 'cold_editor' }
+    }
+  },
+  structural_check: { description: "Plot and scene structure problems", output: 'markers', params: { text: ANALYSIS_TEXT } },
+  tag_generation: {
+    description: "Generate a tag for a new character or story",
+    output: 'tag',
+    params: {
+      name: { type: 'string', required: true, maxLength: 200 },
+      type: { type: 'string', enum: ['character', 'story'], default: 'story' },
+      existingTags: { type: 'array', items: 'string', maxItems: 1000, description: "Tags already in use" }
+    }
+  },
+  stats_only: {
+    description: "Local text statistics as markers, no model call",
+    output: 'markers',
+    params: {
+      text: ANALYSIS_TEXT,
+      tools: { type: 'array', items: 'string', enum: ['overuse', 'mechanics'] }
+    }
+  },
+  full_audit: {
+    description: "Run several analyzers over one text as a combined report",
+    output: 'audit',
+    params: {
+      text: ANALYSIS_TEXT,
+      analyzers: { type: 'array', items: 'string', enum: Object.keys(AUDIT_TOOLS), description: "Defaults to all of them" },
+      persona: { type: 'string', enum: CRITIC_PERSONAS, default: 'cold_editor', description: "For ai_critic" }
+    }
+  }
+};
+
+Object.entries(ACTION_SCHEMAS).forEach(([name, schema]) => checkSchema(name, schema));
+
+const BUILT_IN_ACTIONS = Object.keys(ACTION_SCHEMAS);
+
+function actionSchema(action) {
+  if (ACTION_SCHEMAS[action]) return ACTION_SCHEMAS[action];
+  return customActions.has(action) ? customActionSchema(customActions.get(action)) : null;
+}
+
+// Throws UNKNOWN_ACTION or VALIDATION_ERROR (with one entry per bad field). Only the
+// creative actions take variants, and not streamed: candidates are ranked once all
+// of them have finished, so there is nothing to send as it arrives.
+function checkAction(action, body, { stream = false } = {}) {
+  const schema = actionSchema(action);
+  if (!schema) {
+    throw unknownActionError(action);
   }
   
-  const messages = [
-    {
-      role: "user",
-      content: `You are a structural story architect analyzing narrative integrity.
+  const problems = validateInput(schema, body);
+  if (body.variants !== undefined && !schema.params?.variants) {
+    problems.push({ field: 'variants', message: `variants is not supported by ${action}` });
+  } else if (stream && body.variants > 1) {
+    problems.push({ field: 'variants', message: "variants cannot be combined with stream" });
+  }
+  if (problems.length > 0) {
+    throw apiError('VALIDATION_ERROR', `Invalid input for ${action}: ${problems.map(problem => problem.message).join('; ')}`, problems);
+  }
+}
 
-Examine:
-1. **Act alignment** - does structure follow proper story beats?
-2. **Promise vs payoff** - are setups resolved satisfyingly?
-3. **Foreshadow utilization** - planted elements that pay off
-4. **Chekhov violations** - guns on the wall that don't fire
+// ============================================
+// CUSTOM ACTIONS (CONFIG-DEFINED)
+// ============================================
+// Definitions live in ACTIONS_DIR (default ./actions); see lib/customActions.js for
+// the format. They load once at startup, and a broken definition or a prompt
+// template it names that doesn't exist stops the server from starting.
+const customActions = loadCustomActions(process.env.ACTIONS_DIR || path.join(__dirname, 'actions'), {
+  reserved: BUILT_IN_ACTIONS
+});
 
-This is architectural, not line-level editing.
+customActions.forEach(definition => {
+  if (!prompts.has(definition.prompt.user)) {
+    throw new Error(`Custom action ${definition.name}: prompt template ${definition.prompt.user} not found`);
+  }
+});
 
-Return JSON array with:
-- "icon": structure emoji
-- "type": structural element
-- "message": what's present or missing
-- "detail": impact on overall narrative
+// Context kinds and the request field each one reads
+const CONTEXT_TAG_FIELDS = { characters: 'characterTags', memory: 'characterTags', catalyst: 'catalystTags', passages: 'storyTags' };
 
-Return ONLY valid JSON array.
+function customActionSchema(definition) {
+  const params = {};
+  definition.inputs.required.forEach(field => { params[field] = { type: 'any', required: true }; });
+  definition.inputs.optional.forEach(field => { params[field] = { type: 'any' }; });
+  params[definition.textInput] = { type: 'string', required: true, maxLength: MAX_INPUT_CHARS };
+  definition.context.forEach(kind => { params[CONTEXT_TAG_FIELDS[kind]] = TAG_PARAMS[CONTEXT_TAG_FIELDS[kind]]; });
+  
+  return { description: definition.description, output: definition.output, params };
+}
 
-Chapter text:
-${text}`
+async function handleCustomAction(definition, body, ctx = {}) {
+  console.log(`🧩 Running custom action: ${definition.name}...`);
+  
+  const missing = missingInputs(definition, body);
+  if (missing.length > 0) {
+    throw apiError('VALIDATION_ERROR', `Missing required input for ${definition.name}: ${missing.join(', ')}`);
+  }
+  
+  if (definition.models) ctx.models = definition.models;
+  if (definition.output === 'markers') ctx.temperature = definition.temperature;
+  
+  const text = body[definition.textInput];
+  if (typeof text !== 'string') {
+    throw apiError('VALIDATION_ERROR', `${definition.name} expects ${definition.textInput} to be text`);
+  }
+  
+  const wants = (kind) => definition.context.includes(kind);
+  
+  ctx.tags = ctx.tags || {};
+  const [characterContext, catalystIntel, storyIndex, memoryNotes] = await Promise.all([
+    wants('characters') ? getCharacterContext(body.characterTags, ctx.tags) : '',
+    wants('catalyst') ? getCatalystIntel(body.catalystTags, ctx.tags) : '',
+    wants('passages') ? getStoryIndex(body.storyTags, ctx.tags) : null,
+    wants('memory') ? getCharacterMemories(body.characterTags, ownerOf(ctx.user)) : ''
+  ]);
+  
+  const passages = storyIndex ? findPassages(storyIndex, String(text).slice(-2000)) : [];
+  
+  // Every declared input is available to the templates; lists are joined
+  const vars = {};
+  [...definition.inputs.required, ...definition.inputs.optional].forEach(field => {
+    const value = body[field];
+    vars[field] = Array.isArray(value) ? value.join(', ') : (value ?? '');
+  });
+  
+  const systemPrompt = definition.prompt.system && prompts.has(definition.prompt.system)
+    ? renderPrompt(ctx, definition.prompt.system, vars)
+    : '';
+  
+  const built = assembleContext(ctx, [
+    { name: 'instructions', priority: CONTEXT_PRIORITY.required, text: systemPrompt },
+    { name: 'characters', priority: CONTEXT_PRIORITY.personality, heading: 'CHARACTER CONTEXT:', text: characterContext, keep: 'start' },
+    { name: 'memory', priority: CONTEXT_PRIORITY.memory, heading: 'WHAT THE CHARACTERS REMEMBER FROM TALKING WITH THE AUTHOR:', text: memoryNotes, keep: 'start' },
+    { name: 'catalyst', priority: CONTEXT_PRIORITY.catalyst, heading: 'NARRATIVE CATALYST:', text: catalystIntel, keep: 'start' },
+    { name: 'passages', priority: CONTEXT_PRIORITY.chapters, heading: 'RELEVANT PASSAGES FROM THE STORY SO FAR:', items: passageItems(passages), keep: 'start' }
+  ], definition.maxTokens);
+  
+  const buildMessages = (passage) => [
+    ...(built.prompt ? [{ role: "system", content: built.prompt }] : []),
+    {
+      role: "user",
+      content: renderPrompt(ctx, definition.prompt.user, {
+        ...vars,
+        [definition.textInput]: passage,
+        markerFields: MARKER_FIELDS_PROMPT
+      })
     }
   ];
   
-  const response = await callClaudeForAnalysis(messages, 2500);
-  
-  try {
-    const cleaned = response.replace(/```json|```/g, '').trim();
-    return JSON.parse(cleaned);
-  } catch (e) {
-    throw new Error("Failed to parse structural analysis");
+  if (definition.output === 'markers') {
+    const markers = await runChunkedAnalysis(`${definition.name} analysis`, text, definition.maxTokens, buildMessages, { ctx });
+    return resolveAnchors(markers, text);
   }
+  
+  return await callAI(buildMessages(text), definition.temperature, definition.maxTokens, ctx);
 }
+
+// ============================================
+// ACTION DISCOVERY
+// ============================================
+// Everything /devil-pov can run, with its parameters and output type, so front ends
+// can build their forms from it. Request options apply to every action.
+const REQUEST_OPTIONS = {
+  stream: { type: 'boolean', default: false, description: "Server-sent events; only for streamable actions" },
+  async: { type: 'boolean', default: false, description: "Run as a job and answer 202 with its id" },
+  promptVersion: { type: 'string', description: "Prompt template version to use instead of the pinned one" }
+};
+
+app.get('/actions', requireAuth, (req, res) => {
+  const streamable = streamableActions();
+  const describe = (name, schema, custom) => describeSchema(name, schema, {
+    custom,
+    streamable: streamable.includes(name),
+    rateLimit: ACTION_RATE_LIMITS[name] || null
+  });
+  
+  res.json({
+    status: 'success',
+    defaultAction: 'devilPOV',
+    actions: [
+      ...Object.entries(ACTION_SCHEMAS).map(([name, schema]) => describe(name, schema, false)),
+      ...[...customActions.values()].map(definition => describe(definition.name, customActionSchema(definition), true))
+    ],
+    requestOptions: describeSchema('requestOptions', { params: REQUEST_OPTIONS }).params
+  });
+});
+
 // ============================================
 // TAG JANITOR
 // ============================================
 
-async function handleTagGeneration({ name, type }) {
+async function handleTagGeneration({ name, type, existingTags }, ctx = {}) {
   console.log(`🏷️ Generating ${type} tag for: ${name}`);
   
   if (!name || name.trim().length === 0) {
-    throw new Error("No name provided for tag generation");
+    throw apiError('VALIDATION_ERROR', "No name provided for tag generation");
   }
   
-  const apiKey = process.env.OPENROUTER_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error("No API key configured");
+  if (!llm.isConfigured()) {
+    throw apiError('NOT_CONFIGURED', "No API key configured");
   }
   
-  let prompt;
-  if (type === 'character') {
-    prompt = `Generate a character tag. Rules: 1) Must start with @, 2) Format: @FirstLast or @FLast if no last name, 3) No spaces, PascalCase, 4) Remove special characters. Name: ${name}. ${existingTags?.length ? `Avoid these existing tags: ${existingTags.join(', ')}` : ''} Return ONLY the tag, nothing else.`;
-  } else {
-    prompt = `Generate a story tag. Rules: 1) Must start with @, 2) Format: @TitleWithoutSpaces, 3) PascalCase, 4) Keep concise. Title: ${name}. ${existingTags?.length ? `Avoid these existing tags: ${existingTags.join(', ')}` : ''} Return ONLY the tag, nothing else.`;
-  }
+  const prompt = renderPrompt(ctx, type === 'character' ? 'tag_generation/character' : 'tag_generation/story', {
+    name,
+    avoid: existingTags?.length ? `Avoid these existing tags: ${existingTags.join(', ')}` : ''
+  });
   
   try {
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-        'HTTP-Referer': 'https://amygonzalez305.wixsite.com/the-draft-reaper/devil-muse-server',
-        'X-Title': 'Devil Muse - Tag Janitor'
-      },
-      body: JSON.stringify({
-        model: "openai/gpt-4.1-mini",
-        messages: [{ role: "user", content: prompt }],
-        temperature: 0.1, // Very low for consistency
-        max_tokens: 50
-      })
-    });
+    const { content } = await guardedComplete({
+      model: TAG_MODEL,
+      messages: [{ role: "user", content: prompt }],
+      temperature: 0.1, // Very low for consistency
+      maxTokens: 50,
+      title: 'Devil Muse - Tag Janitor',
+      signal: ctx.signal
+    }, ctx);
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Tag generation failed: ${errorText}`);
-    }
-    
-    const data = await response.json();
-    const tag = data.choices[0].message.content.trim();
+    const tag = content.trim();
     
     console.log(`✅ Generated tag: ${tag}`);
+    ctx.model = TAG_MODEL;
     return { tag };
     
   } catch (error) {
     console.error(`❌ Tag generation error:`, error.message);
-    throw error;
+    throw ctx.signal?.aborted ? apiError('CANCELLED', "Request aborted by client") : modelError(error);
+  }
+}
+
+// ============================================
+// CHAT SESSIONS: LIST / FETCH / DELETE
+// ============================================
+// Errors use the /devil-pov envelope, with the route's operation as the action
+function sessionNotFound(req) {
+  return apiError('NOT_FOUND', `No session ${req.params.sessionId} for ${req.params.characterTag}`);
+}
+
+app.get('/chat-sessions/:characterTag', requireAuth, async (req, res) => {
+  try {
+    const sessions = await chatSessions.listSessions(req.params.characterTag, { owner: ownerOf(req.principal.id) });
+    res.json({ status: 'success', characterTag: req.params.characterTag, sessions });
+  } catch (err) {
+    console.error("❌ Error listing chat sessions:", err.message);
+    sendError(res, err, 'list_chat_sessions');
+  }
+});
+
+app.get('/chat-sessions/:characterTag/:sessionId', requireAuth, async (req, res) => {
+  try {
+    const session = await chatSessions.getSession(req.params.characterTag, req.params.sessionId, { owner: ownerOf(req.principal.id) });
+    if (!session) {
+      return sendError(res, sessionNotFound(req), 'get_chat_session');
+    }
+    res.json({ status: 'success', session });
+  } catch (err) {
+    console.error("❌ Error fetching chat session:", err.message);
+    sendError(res, err, 'get_chat_session');
+  }
+});
+
+app.delete('/chat-sessions/:characterTag/:sessionId', requireAuth, async (req, res) => {
+  try {
+    const deleted = await chatSessions.deleteSession(req.params.characterTag, req.params.sessionId, { owner: ownerOf(req.principal.id) });
+    if (!deleted) {
+      return sendError(res, sessionNotFound(req), 'delete_chat_session');
+    }
+    res.json({ status: 'success', deleted: req.params.sessionId });
+  } catch (err) {
+    console.error("❌ Error deleting chat session:", err.message);
+    sendError(res, err, 'delete_chat_session');
+  }
+});
+
+// ============================================
+// CHARACTER MEMORY
+// ============================================
+function characterNotFound(req) {
+  return apiError('NOT_FOUND', `Character not found: ${req.params.characterTag}`);
+}
+
+app.get('/characters/:characterTag/memory', requireAuth, async (req, res) => {
+  const owner = ownerOf(req.principal.id);
+  
+  try {
+    const memory = await characterMemory.getMemory(req.params.characterTag, { owner });
+    if (!memory) {
+      return sendError(res, characterNotFound(req), 'get_character_memory');
+    }
+    res.json({
+      status: 'success',
+      characterTag: req.params.characterTag,
+      memory,
+      lastUpdateError: characterMemory.lastFailure(req.params.characterTag, { owner })
+    });
+  } catch (err) {
+    console.error("❌ Error fetching character memory:", err.message);
+    sendError(res, err, 'get_character_memory');
+  }
+});
+
+// Folds every session (or body.sessionIds) in now; force includes sessions with only a few new messages
+app.post('/characters/:characterTag/memory/refresh', requireAuth, limitRequests('memory_refresh'), async (req, res) => {
+  const { sessionIds, force = false } = req.body || {};
+  
+  try {
+    const result = await characterMemory.update(req.params.characterTag, {
+      sessionIds: Array.isArray(sessionIds) ? sessionIds : null,
+      force: Boolean(force),
+      owner: ownerOf(req.principal.id)
+    });
+    res.json({ status: 'success', characterTag: req.params.characterTag, ...result });
+  } catch (err) {
+    console.error("❌ Error refreshing character memory:", err.message);
+    sendError(res, err.message.startsWith('Character not found') ? characterNotFound(req) : err, 'refresh_character_memory');
+  }
+});
+
+app.delete('/characters/:characterTag/memory', requireAuth, async (req, res) => {
+  try {
+    const cleared = await characterMemory.clear(req.params.characterTag, { owner: ownerOf(req.principal.id) });
+    if (!cleared) {
+      return sendError(res, characterNotFound(req), 'clear_character_memory');
+    }
+    res.json({ status: 'success', cleared: req.params.characterTag });
+  } catch (err) {
+    console.error("❌ Error clearing character memory:", err.message);
+    sendError(res, err, 'clear_character_memory');
+  }
+});
+
+// ============================================
+// WIX CACHE: STATS + INVALIDATION (WIX DATA-HOOK TARGET)
+// ============================================
+// Protected by CACHE_INVALIDATION_SECRET, sent as "Authorization: Bearer <secret>"
+// or "x-cache-secret". A Wix afterUpdate/afterInsert/afterRemove hook can POST
+// { "collection": "Characters" }; an empty body clears every collection.
+function requireCacheSecret(req, res, next) {
+  if (!CACHE_INVALIDATION_SECRET) {
+    return sendError(res, apiError('NOT_CONFIGURED', "Admin routes are disabled; set CACHE_INVALIDATION_SECRET to enable them"), 'admin');
+  }
+  
+  const provided = req.get('x-cache-secret') || (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const expected = Buffer.from(CACHE_INVALIDATION_SECRET);
+  const actual = Buffer.from(provided);
+  
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return sendError(res, apiError('UNAUTHORIZED', "Invalid cache secret"), 'admin');
+  }
+  
+  next();
+}
+
+app.post('/cache/invalidate', requireCacheSecret, (req, res) => {
+  const { collection, collections } = req.body || {};
+  const targets = collections || (collection ? [collection] : [null]);
+  
+  let removed = 0;
+  targets.forEach(target => { removed += wixCache.invalidate(target); });
+  
+  console.log(`🧹 Cache invalidated: ${targets.map(t => t || 'ALL').join(', ')} (${removed} entries)`);
+  res.json({ status: 'success', invalidated: targets.map(t => t || 'ALL'), removed });
+});
+
+app.get('/cache/stats', requireCacheSecret, (req, res) => {
+  res.json({
+    status: 'success',
+    ttls: { ...WIX_CACHE_TTLS, default: WIX_CACHE_DEFAULT_TTL },
+    ...wixCache.getStats(),
+    retrieval: retriever.getStats()
+  });
+});
+
+// Indexes already rebuild when the cached chapter list changes; this skips the cache TTL
+// after chapters are edited, and rebuilds the given stories straight away
+app.post('/retrieval/refresh', requireCacheSecret, async (req, res) => {
+  const storyTags = normalizeTags(req.body?.storyTags || []);
+  
+  wixCache.invalidate("BackupChapters");
+  const dropped = retriever.invalidate();
+  
+  try {
+    const rebuilt = [];
+    for (const tag of storyTags) {
+      const report = {};
+      const index = await getStoryIndex([tag], report);
+      rebuilt.push({ storyTag: tag, found: Boolean(index), passages: index ? index.passages.length : 0 });
+    }
+    
+    console.log(`🗂️ Retrieval refreshed: ${dropped} indexes dropped, ${rebuilt.length} rebuilt`);
+    res.json({ status: 'success', dropped, rebuilt });
+  } catch (err) {
+    console.error("❌ Error rebuilding retrieval indexes:", err.message);
+    sendError(res, err, 'refresh_retrieval');
+  }
+});
+
+// ============================================
+// USAGE REPORT
+// ============================================
+// GET /usage?from=2026-10-01&to=2026-10-31&groupBy=day,action,user,model&user=key:wix&action=unhinge
+// Same secret as the cache routes: it shows every caller's spend
+app.get('/usage', requireCacheSecret, async (req, res) => {
+  const { from, to, user, action } = req.query;
+  const groupBy = String(req.query.groupBy || 'day').split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = groupBy.filter(field => !GROUP_FIELDS[field]);
+  const badDate = [from, to].find(day => day !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(day));
+  
+  if (unknown.length > 0 || badDate) {
+    return sendError(res, apiError('VALIDATION_ERROR', badDate
+      ? `Dates must be YYYY-MM-DD, got ${badDate}`
+      : `Unknown groupBy fields: ${unknown.join(', ')}. Available: ${Object.keys(GROUP_FIELDS).join(', ')}`), 'usage_report');
   }
+  
+  try {
+    const report = await usageMeter.report({ from, to, groupBy, user, action });
+    res.json({ status: 'success', from: from || null, to: to || null, ...report });
+  } catch (err) {
+    console.error("❌ Error building usage report:", err.message);
+    sendError(res, err, 'usage_report');
+  }
+});
+
+// ============================================
+// PROMPT TEMPLATES: LIST / RELOAD
+// ============================================
+app.get('/prompts', requireCacheSecret, (req, res) => {
+  try {
+    res.json({ status: 'success', templates: prompts.list() });
+  } catch (err) {
+    console.error("❌ Error listing prompt templates:", err.message);
+    sendError(res, err, 'list_prompts');
+  }
+});
+
+// Templates reload on their own when files change; this forces it right away
+app.post('/prompts/reload', requireCacheSecret, (req, res) => {
+  try {
+    prompts.reload();
+    res.json({ status: 'success', templates: prompts.list() });
+  } catch (err) {
+    console.error("❌ Error reloading prompt templates:", err.message);
+    sendError(res, err, 'reload_prompts');
+  }
+});
+
+// ============================================
+// HEALTH
+// ============================================
+// Provider and key configuration, every configured model's circuit breaker, and
+// whether Wix answers. Open so load balancers and uptime checks can call it; 503 when
+// no generation model can be used.
+const WIX_PROBE_TTL = 30 * 1000;
+let wixProbe = null; // { checkedAt, result }
+
+// A one-item query, at most once per WIX_PROBE_TTL however often /health is polled
+function probeWix() {
+  if (!WIX_CONFIGURED) {
+    return Promise.resolve({ configured: false, reachable: null });
+  }
+  
+  if (!wixProbe || Date.now() - wixProbe.checkedAt > WIX_PROBE_TTL) {
+    const started = Date.now();
+    const result = wixRequest('POST', '/items/query', { dataCollectionId: 'Characters', query: { paging: { limit: 1 } } })
+      .then(() => ({ configured: true, reachable: true, latencyMs: Date.now() - started }))
+      .catch(error => ({ configured: true, reachable: false, latencyMs: Date.now() - started, error: error.message }));
+    wixProbe = { checkedAt: started, result };
+  }
+  return wixProbe.result;
 }
 
+app.get('/health', async (req, res) => {
+  const wix = await probeWix();
+  const customModels = [...customActions.values()].flatMap(definition => definition.models || []);
+  const models = modelHealth.getStatus([...GENERATION_MODELS, ANALYSIS_MODEL, TAG_MODEL, MEMORY_MODEL, ...customModels]);
+  
+  const generationUp = GENERATION_MODELS.some(model => models.find(entry => entry.model === model).breaker !== 'open');
+  const down = !llm.isConfigured() || !generationUp;
+  const degraded = models.some(entry => entry.breaker !== 'closed') || wix.reachable !== true;
+  
+  res.status(down ? 503 : 200).json({
+    status: down ? 'down' : degraded ? 'degraded' : 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    provider: { name: llm.name, configured: llm.isConfigured() },
+    keys: {
+      llm: llm.isConfigured(),
+      wix: WIX_CONFIGURED,
+      clientAuth: authenticator.enabled,
+      cacheAdmin: Boolean(CACHE_INVALIDATION_SECRET)
+    },
+    wix,
+    routing: {
+      timeoutMs: MODEL_TIMEOUT_MS,
+      retries: MODEL_RETRIES,
+      failureThreshold: MODEL_FAILURE_THRESHOLD,
+      cooldownSeconds: Math.round(MODEL_COOLDOWN_MS / 1000)
+    },
+    models
+  });
+});
+
+// ============================================
+// ERROR HANDLER
+// ============================================
+// Last in line, so errors no route caught still get the JSON error envelope rather
+// than Express's HTML page: body-parser failures (malformed JSON, a body that isn't
+// an object, too large) are the client's, anything else is INTERNAL_ERROR.
+function bodyParserError(err) {
+  if (err.type === 'entity.too.large') {
+    return apiError('PAYLOAD_TOO_LARGE', `Request body is larger than the ${err.limit} byte limit`);
+  }
+  if (err.type === 'entity.parse.failed') {
+    return apiError('VALIDATION_ERROR', `Malformed JSON body: ${err.message}`);
+  }
+  return apiError('VALIDATION_ERROR', `Unreadable request body: ${err.message}`);
+}
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  
+  // body-parser marks its errors with a type and a 4xx status
+  const isBodyError = typeof err.type === 'string' && err.status >= 400 && err.status < 500;
+  const error = isBodyError ? bodyParserError(err) : err;
+  
+  console.error(`❌ ${req.method} ${req.path} (${classifyError(error).code}):`, error.message);
+  sendError(res, error, req.body?.action || null);
+});
+
 // ============================================
 // START SERVER
 // ============================================
@@ -1090,7 +2962,13 @@ const PORT = process.env.PORT || 3333;
 app.listen(PORT, () => {
   console.log(`🔥 Devil Muse listening on port ${PORT}`);
   console.log(`   Models: ${PRIMARY_MODEL}, ${BACKUP_MODEL}, ${TERTIARY_MODEL}`);
-  console.log(`   API Key configured: ${process.env.OPENROUTER_API_KEY ? 'YES ✅' : 'NO ❌'}`);
+  console.log(`   Provider: ${llm.name}`);
+  console.log(`   Model timeout: ${MODEL_TIMEOUT_MS / 1000}s, ${MODEL_RETRIES} retries on 429/5xx, circuit opens after ${MODEL_FAILURE_THRESHOLD} failures`);
+  if (recorder.mode !== 'off') console.log(`   Record/replay: ${recorder.mode.toUpperCase()} (fixtures in ${process.env.RECORD_DIR || path.join(__dirname, 'fixtures')})`);
+  console.log(`   Custom actions: ${customActions.size > 0 ? [...customActions.keys()].join(', ') : 'none'}`);
+  console.log(`   API Key configured: ${llm.isConfigured() ? 'YES ✅' : 'NO ❌'}`);
+  console.log(`   Client auth: ${authenticator.enabled ? `${API_KEYS.size} API keys${AUTH_SIGNING_SECRET ? ' + signed tokens' : ''} 🔒` : 'OPEN ⚠️ (set API_KEYS or AUTH_SIGNING_SECRET)'}`);
+  console.log(`   CORS: ${CORS_ORIGINS.length === 0 || CORS_ORIGINS.includes('*') ? 'any origin' : CORS_ORIGINS.join(', ')}`);
 });
 
 
@@ -0,0 +1,162 @@
+// ============================================
+// MARKER ANCHORS (VERIFIED OFFSETS INTO THE TEXT)
+// ============================================
+// The editor underlines issues inline, so every analysis marker gets
+//   anchors: [{ paragraphIndex, start, end, quote }]
+// where quote === text.slice(start, end) is guaranteed. Quotes the model invented
+// or paraphrased are corrected when a near match exists and dropped otherwise.
+
+const { splitParagraphs } = require('./chunker');
+const { findOccurrences } = require('./textStats');
+
+const MAX_ANCHORS_PER_MARKER = 50;
+
+// ============================================
+// NORMALIZED SEARCH
+// ============================================
+// Lower-cases, straightens curly quotes and collapses whitespace, keeping a map from
+// each normalized character back to its offset in the original text.
+function normalizeWithMap(text) {
+  let normalized = '';
+  const map = [];
+  let lastWasSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    let ch = text[i];
+
+    if (/\s/.test(ch)) {
+      if (lastWasSpace) continue;
+      ch = ' ';
+      lastWasSpace = true;
+    } else {
+      lastWasSpace = false;
+      ch = ch.replace(/[‘’]/, "'").replace(/[“”]/, '"').replace(/[—–]/, '-').toLowerCase();
+    }
+
+    normalized += ch;
+    map.push(i);
+  }
+
+  return { normalized, map };
+}
+
+function findQuote(text, index, quote) {
+  const exact = [];
+  for (let at = text.indexOf(quote); at !== -1; at = text.indexOf(quote, at + 1)) {
+    exact.push({ start: at, end: at + quote.length });
+  }
+
+  if (exact.length > 0) {
+    return exact;
+  }
+
+  const needle = normalizeWithMap(quote.trim()).normalized;
+  if (needle.length === 0) {
+    return [];
+  }
+
+  const fuzzy = [];
+  for (let at = index.normalized.indexOf(needle); at !== -1; at = index.normalized.indexOf(needle, at + 1)) {
+    fuzzy.push({ start: index.map[at], end: index.map[at + needle.length - 1] + 1 });
+  }
+
+  return fuzzy;
+}
+
+// Models shorten long quotes with "..." - try the longest piece that survives
+function findQuoteOrFragment(text, index, quote) {
+  const hits = findQuote(text, index, quote);
+  if (hits.length > 0) {
+    return hits;
+  }
+
+  const fragments = quote.split(/\.\.\.|…/)
+    .map(piece => piece.trim())
+    .filter(piece => piece.length >= 12)
+    .sort((a, b) => b.length - a.length);
+
+  for (const fragment of fragments) {
+    const fragmentHits = findQuote(text, index, fragment);
+    if (fragmentHits.length > 0) {
+      return fragmentHits;
+    }
+  }
+
+  return [];
+}
+
+// ============================================
+// RESOLVE ANCHORS FOR A MARKER LIST
+// ============================================
+function quotedSubject(message) {
+  const quoted = message.match(/["'‘“]([^"'’”]{1,60})["'’”]/);
+  return quoted ? quoted[1] : null;
+}
+
+function resolveAnchors(markers, text) {
+  const paragraphs = splitParagraphs(text);
+  const index = normalizeWithMap(text);
+
+  const toAnchor = ({ start, end }) => {
+    const paragraph = paragraphs.find(p => start >= p.start && start < p.end);
+    return {
+      paragraphIndex: paragraph ? paragraph.index : null,
+      start,
+      end,
+      quote: text.slice(start, end)
+    };
+  };
+
+  return markers.map(marker => {
+    const hintedParagraph = marker.location?.paragraph ? marker.location.paragraph - 1 : null;
+    let hits = [];
+
+    // Counted repetitions ("'suddenly' appears 8 times") anchor every occurrence
+    const subject = quotedSubject(marker.message);
+    if (subject && Number.isInteger(marker.count)) {
+      hits = findOccurrences(text, subject);
+
+      // Lemma counts quote the base form ("stand"); fall back to the form actually used
+      if (hits.length === 0 && marker.location?.quote) {
+        hits = findOccurrences(text, marker.location.quote);
+      }
+    }
+
+    if (hits.length === 0 && marker.location?.quote) {
+      hits = findQuoteOrFragment(text, index, marker.location.quote);
+
+      // A quote can appear more than once; keep the one in the paragraph the model named
+      if (hits.length > 1 && hintedParagraph !== null) {
+        const inParagraph = hits.filter(hit => toAnchor(hit).paragraphIndex === hintedParagraph);
+        hits = inParagraph.length > 0 ? inParagraph.slice(0, 1) : hits.slice(0, 1);
+      } else {
+        hits = hits.slice(0, 1);
+      }
+    }
+
+    const anchors = hits.slice(0, MAX_ANCHORS_PER_MARKER).map(toAnchor);
+    const resolved = { ...marker, anchors };
+
+    if (anchors.length > 0) {
+      resolved.location = {
+        paragraph: anchors[0].paragraphIndex + 1,
+        quote: anchors[0].quote
+      };
+    } else if (marker.location?.quote) {
+      // Unverifiable quote: keep the paragraph hint only
+      if (marker.location.paragraph) {
+        resolved.location = { paragraph: marker.location.paragraph };
+      } else {
+        delete resolved.location;
+      }
+    }
+
+    return resolved;
+  });
+}
+
+module.exports = {
+  normalizeWithMap,
+  findQuote,
+  resolveAnchors
+};
@@ -0,0 +1,122 @@
+// ============================================
+// API KEYS + SIGNED TOKENS
+// ============================================
+// Callers authenticate with "Authorization: Bearer <credential>" or "x-api-key".
+// A credential is either
+//   - a static API key from API_KEYS, or
+//   - a token signed with AUTH_SIGNING_SECRET, minted by our Wix backend:
+//       base64url(JSON.stringify({ sub, exp })) + "." + base64url(HMAC-SHA256(secret, <first part>))
+//     sub names the caller (a Wix member id, say) and exp is in unix seconds.
+// Every authenticated request carries a principal: { id, name, type, dailyQuota?, perMinute? }.
+
+const crypto = require('crypto');
+
+// API_KEYS is either JSON - { "<key>": { "name": "wix-site", "dailyQuota": 500, "perMinute": 20 } } -
+// or a plain comma-separated list of name:key pairs
+function parseApiKeys(value) {
+  const keys = new Map();
+  if (!value || !value.trim()) return keys;
+
+  if (value.trim().startsWith('{')) {
+    const parsed = JSON.parse(value);
+    Object.entries(parsed).forEach(([key, options]) => {
+      const settings = typeof options === 'string' ? { name: options } : options || {};
+      keys.set(key, { ...settings, name: settings.name || `key-${keys.size + 1}` });
+    });
+    return keys;
+  }
+
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const at = entry.indexOf(':');
+    const name = at > 0 ? entry.slice(0, at) : `key-${keys.size + 1}`;
+    keys.set(at > 0 ? entry.slice(at + 1) : entry, { name });
+  });
+  return keys;
+}
+
+function sign(encodedPayload, secret) {
+  return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+function signToken(payload, secret) {
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${sign(encoded, secret)}`;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// The payload of a valid, unexpired token; throws otherwise
+function verifyToken(token, secret, now = Date.now()) {
+  const [encoded, signature, extra] = token.split('.');
+  if (!encoded || !signature || extra !== undefined) {
+    throw new Error("Malformed token");
+  }
+
+  if (!safeEqual(signature, sign(encoded, secret))) {
+    throw new Error("Invalid token signature");
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new Error("Malformed token");
+  }
+
+  if (!payload || typeof payload.sub !== 'string' || !payload.sub) {
+    throw new Error("Token has no subject");
+  }
+
+  if (typeof payload.exp !== 'number' || payload.exp * 1000 <= now) {
+    throw new Error("Token expired");
+  }
+
+  return payload;
+}
+
+// ============================================
+// AUTHENTICATOR
+// ============================================
+function createAuthenticator({ apiKeys = new Map(), signingSecret = null } = {}) {
+  const enabled = apiKeys.size > 0 || Boolean(signingSecret);
+
+  // Returns a principal, or throws with .status = 401
+  function authenticate({ authorization, apiKey }) {
+    const credential = apiKey || (authorization || '').replace(/^Bearer\s+/i, '').trim();
+
+    const fail = (message) => {
+      const error = new Error(message);
+      error.status = 401;
+      throw error;
+    };
+
+    if (!credential) {
+      fail("Missing API key or token");
+    }
+
+    for (const [key, settings] of apiKeys) {
+      if (safeEqual(credential, key)) {
+        return { id: `key:${settings.name}`, type: 'key', ...settings };
+      }
+    }
+
+    if (signingSecret && credential.includes('.')) {
+      try {
+        const payload = verifyToken(credential, signingSecret);
+        return { id: `token:${payload.sub}`, name: payload.sub, type: 'token' };
+      } catch (error) {
+        fail(error.message);
+      }
+    }
+
+    fail("Invalid API key");
+  }
+
+  return { enabled, authenticate };
+}
+
+module.exports = { parseApiKeys, signToken, verifyToken, createAuthenticator };
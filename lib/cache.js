@@ -0,0 +1,110 @@
+// ============================================
+// IN-PROCESS TTL CACHE WITH REQUEST COALESCING
+// ============================================
+// Entries are grouped by a namespace (the Wix collection) so a whole collection can
+// be invalidated at once. Concurrent misses for the same key share one load.
+
+function createCache({ ttlFor = () => 60000, maxEntries = 500 } = {}) {
+  const entries = new Map(); // key -> { namespace, value, expiresAt }
+  const inFlight = new Map(); // key -> Promise
+  const stats = { hits: 0, misses: 0, coalesced: 0, invalidations: 0 };
+
+  function prune() {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+
+    // Map iteration is insertion order, so this drops the oldest first
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  async function getOrLoad(namespace, key, loader) {
+    const entry = entries.get(key);
+
+    if (entry && entry.expiresAt > Date.now()) {
+      stats.hits++;
+      return entry.value;
+    }
+
+    if (inFlight.has(key)) {
+      stats.coalesced++;
+      return inFlight.get(key);
+    }
+
+    stats.misses++;
+
+    const ttl = ttlFor(namespace);
+    const promise = Promise.resolve()
+      .then(loader)
+      .then(value => {
+        // A loader that throws is never cached; an invalidation mid-load wins
+        if (ttl > 0 && inFlight.get(key) === promise) {
+          entries.set(key, { namespace, value, expiresAt: Date.now() + ttl });
+          prune();
+        }
+        return value;
+      })
+      .finally(() => {
+        if (inFlight.get(key) === promise) inFlight.delete(key);
+      });
+
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  function invalidate(namespace) {
+    let removed = 0;
+
+    for (const [key, entry] of entries) {
+      if (!namespace || entry.namespace === namespace) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+
+    // Loads already running would write stale data back; detach them
+    for (const key of inFlight.keys()) {
+      if (!namespace || key.startsWith(`${namespace}::`)) inFlight.delete(key);
+    }
+
+    stats.invalidations++;
+    return removed;
+  }
+
+  function getStats() {
+    prune();
+
+    const byNamespace = {};
+    for (const entry of entries.values()) {
+      byNamespace[entry.namespace] = (byNamespace[entry.namespace] || 0) + 1;
+    }
+
+    const lookups = stats.hits + stats.misses + stats.coalesced;
+    return {
+      ...stats,
+      hitRate: lookups ? Math.round(((stats.hits + stats.coalesced) / lookups) * 1000) / 1000 : 0,
+      entries: entries.size,
+      byNamespace
+    };
+  }
+
+  return { getOrLoad, invalidate, getStats };
+}
+
+// Stable JSON (sorted keys) so { a, b } and { b, a } filters share an entry
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+module.exports = { createCache, stableStringify };
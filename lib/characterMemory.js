@@ -0,0 +1,276 @@
+// ============================================
+// LONG-TERM CHARACTER MEMORY
+// ============================================
+// Chat sessions are folded into compact memory notes stored on the character's own
+// Characters item (field `memory`, a JSON string). Each principal gets notes of its own:
+//   { ...notes written with auth off, byOwner: { [owner]: notes } }
+// where notes are
+//   { facts: [string], promises: [string], emotionalState, sessions: { [sessionId]: { through, count } }, updatedAt }
+// `sessions` records how far each session has been summarized, so an update only
+// reads the messages that arrived since. Calls made with { owner } read and write that
+// principal's notes only, built from that principal's sessions.
+
+const COLLECTION = 'Characters';
+const MAX_FACTS = 25;
+const MAX_PROMISES = 10;
+const MAX_NOTE_CHARS = 240;
+const BATCH_CHARS = 12000;
+
+function emptyMemory() {
+  return { facts: [], promises: [], emotionalState: '', sessions: {}, updatedAt: null };
+}
+
+// The whole memory field as an object ({} when unset or unreadable)
+function parseField(value) {
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// The notes of one owner (null: the notes written with auth off)
+function parseMemory(value, owner = null) {
+  const field = parseField(value);
+  const { byOwner, ...notes } = owner ? parseField(field.byOwner?.[owner]) : field;
+  return { ...emptyMemory(), ...notes };
+}
+
+// The memory field with one owner's notes replaced
+function withNotes(value, owner, memory) {
+  const field = parseField(value);
+  if (owner) {
+    return { ...field, byOwner: { ...field.byOwner, [owner]: memory } };
+  }
+  return { ...memory, ...(field.byOwner && { byOwner: field.byOwner }) };
+}
+
+function hasNotes(memory) {
+  return memory.facts.length > 0 || memory.promises.length > 0 || Boolean(memory.emotionalState);
+}
+
+// Prompt block for one character; empty when nothing has been remembered yet
+function formatMemory(memory) {
+  if (!memory || !hasNotes(memory)) {
+    return '';
+  }
+
+  const lines = [];
+  if (memory.facts.length > 0) lines.push(`Things you know:\n${memory.facts.map(fact => `- ${fact}`).join('\n')}`);
+  if (memory.promises.length > 0) lines.push(`Promises and open threads:\n${memory.promises.map(promise => `- ${promise}`).join('\n')}`);
+  if (memory.emotionalState) lines.push(`How you feel about the author: ${memory.emotionalState}`);
+  return lines.join('\n');
+}
+
+// ============================================
+// SUMMARIZER PROMPT + PARSING
+// ============================================
+function buildSummaryPrompt(characterTag, memory, transcript) {
+  return [
+    {
+      role: "system",
+      content: `You maintain the long-term memory of a fictional character (${characterTag}) who chats with their author. Merge the new conversation into the existing notes.
+
+Return ONLY a JSON object with exactly these fields:
+- "facts": array of short statements the character has learned about the author, the story or themselves (max ${MAX_FACTS})
+- "promises": array of promises, plans or unresolved threads either side committed to (max ${MAX_PROMISES}); drop ones the conversation resolved
+- "emotionalState": one sentence on how the character currently feels towards the author
+
+Keep every entry under 200 characters. Prefer the newest information when it contradicts older notes. Drop trivia.`
+    },
+    {
+      role: "user",
+      content: `EXISTING NOTES:\n${JSON.stringify({ facts: memory.facts, promises: memory.promises, emotionalState: memory.emotionalState }, null, 2)}\n\nNEW CONVERSATION:\n${transcript}`
+    }
+  ];
+}
+
+function extractJSONObject(text) {
+  const cleaned = (text || '').replace(/```(?:json)?/gi, '').trim();
+
+  try {
+    return JSON.parse(cleaned);
+  } catch (e) {
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+
+    try {
+      return JSON.parse(cleaned.slice(start, end + 1));
+    } catch (err) {
+      return null;
+    }
+  }
+}
+
+function cleanNotes(list, max) {
+  return [...new Set(list
+    .filter(entry => typeof entry === 'string' && entry.trim().length > 0)
+    .map(entry => entry.trim().slice(0, MAX_NOTE_CHARS)))]
+    .slice(0, max);
+}
+
+// Batches of whole messages, each under BATCH_CHARS (a single huge message is cut)
+function toTranscriptBatches(messages) {
+  const batches = [];
+  let current = '';
+
+  for (const msg of messages) {
+    const line = `${msg.type === 'user' ? 'AUTHOR' : 'CHARACTER'}: ${(msg.text || '').slice(0, BATCH_CHARS)}`;
+    if (current && current.length + line.length + 1 > BATCH_CHARS) {
+      batches.push(current);
+      current = '';
+    }
+    current += (current ? '\n' : '') + line;
+  }
+
+  if (current) batches.push(current);
+  return batches;
+}
+
+// Messages a session has gained since it was last summarized
+function unsummarized(messages, progress) {
+  if (!progress) return messages;
+
+  if (progress.through && messages.every(msg => msg.timestamp)) {
+    return messages.filter(msg => msg.timestamp > progress.through);
+  }
+
+  // Front-end sessions without timestamps: fall back to the message count
+  return messages.slice(Math.min(progress.count || 0, messages.length));
+}
+
+// ============================================
+// STORE
+// ============================================
+// wix: { lookup(collection, filter, limit) - may be cached, query(...) - fresh,
+//        patch(collection, id, fields) - sets only those fields, invalidate(collection) }
+// sessions: the chat session store (listSessions, getSession)
+// summarize(messages) -> model reply text
+function createCharacterMemory({ wix, sessions, summarize }, { minNewMessages = 6 } = {}) {
+  const pending = new Map(); // characterTag -> Promise, so writes for one character never overlap
+  const failures = new Map(); // owner::characterTag -> { error, code, at } of the last update, while it stays failed
+
+  async function findCharacter(characterTag, fresh = false) {
+    const query = fresh ? wix.query : wix.lookup;
+    const { items } = await query(COLLECTION, { charactertags: { $in: [characterTag] } }, 1);
+    return items[0] || null;
+  }
+
+  // null when the character doesn't exist
+  async function getMemory(characterTag, { owner = null } = {}) {
+    const item = await findCharacter(characterTag);
+    return item ? parseMemory(item.data?.memory, owner) : null;
+  }
+
+  // Only the memory field is written, so edits made to the character meanwhile survive.
+  // item must be freshly read: the other owners' notes are written back as they were.
+  async function saveMemory(item, owner, memory) {
+    await wix.patch(COLLECTION, item.id, { memory: JSON.stringify(withNotes(item.data?.memory, owner, memory)) });
+    wix.invalidate(COLLECTION);
+  }
+
+  async function foldMessages(characterTag, memory, messages) {
+    let next = memory;
+
+    for (const transcript of toTranscriptBatches(messages)) {
+      const reply = await summarize(buildSummaryPrompt(characterTag, next, transcript));
+      const parsed = extractJSONObject(reply);
+
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`Memory summary for ${characterTag} was not a JSON object`);
+      }
+
+      next = {
+        ...next,
+        // A field the model left out keeps its old notes rather than wiping them
+        facts: Array.isArray(parsed.facts) ? cleanNotes(parsed.facts, MAX_FACTS) : next.facts,
+        promises: Array.isArray(parsed.promises) ? cleanNotes(parsed.promises, MAX_PROMISES) : next.promises,
+        emotionalState: typeof parsed.emotionalState === 'string' ? parsed.emotionalState.trim().slice(0, MAX_NOTE_CHARS) : next.emotionalState
+      };
+    }
+
+    return next;
+  }
+
+  // Fold the given sessions (default: all of the character's sessions) into memory.
+  // Sessions with fewer than minNewMessages new messages wait for the next update
+  // unless force is set.
+  async function update(characterTag, { sessionIds = null, force = false, owner = null } = {}) {
+    const item = await findCharacter(characterTag, true);
+    if (!item) {
+      throw new Error(`Character not found: ${characterTag}`);
+    }
+    let memory = parseMemory(item.data?.memory, owner);
+
+    const ids = sessionIds || (await sessions.listSessions(characterTag, { owner })).map(session => session.sessionId);
+    const folded = [];
+
+    for (const sessionId of ids) {
+      const session = await sessions.getSession(characterTag, sessionId, { owner });
+      if (!session) continue;
+
+      const fresh = unsummarized(session.messages, memory.sessions[session.sessionId]);
+      if (fresh.length === 0 || (!force && fresh.length < minNewMessages)) continue;
+
+      memory = await foldMessages(characterTag, memory, fresh);
+      const last = session.messages[session.messages.length - 1];
+      memory.sessions = {
+        ...memory.sessions,
+        [session.sessionId]: { through: last?.timestamp || null, count: session.messages.length }
+      };
+      folded.push({ sessionId: session.sessionId, messages: fresh.length });
+    }
+
+    if (folded.length === 0) {
+      return { updated: false, memory };
+    }
+
+    memory.updatedAt = new Date().toISOString();
+    await saveMemory(item, owner, memory);
+    console.log(`🧠 Memory for ${characterTag} updated from ${folded.length} session(s)`);
+    return { updated: true, folded, memory };
+  }
+
+  // Every write rewrites the whole field, all owners' notes included, so writes for
+  // one character run one at a time
+  function serialize(characterTag, task) {
+    const previous = pending.get(characterTag) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    pending.set(characterTag, next);
+    next.finally(() => {
+      if (pending.get(characterTag) === next) pending.delete(characterTag);
+    }).catch(() => {});
+    return next;
+  }
+
+  function queueUpdate(characterTag, options = {}) {
+    const next = serialize(characterTag, () => update(characterTag, options));
+    // Background updates have no caller to report to; keep the failure for the memory route
+    const failureKey = `${options.owner || ''}::${characterTag}`;
+    next.then(
+      () => failures.delete(failureKey),
+      (error) => failures.set(failureKey, { error: error.message, code: error.code || null, at: new Date().toISOString() })
+    );
+    return next;
+  }
+
+  function clear(characterTag, { owner = null } = {}) {
+    return serialize(characterTag, async () => {
+      const item = await findCharacter(characterTag, true);
+      if (!item) return false;
+
+      await saveMemory(item, owner, emptyMemory());
+      return true;
+    });
+  }
+
+  function lastFailure(characterTag, { owner = null } = {}) {
+    return failures.get(`${owner || ''}::${characterTag}`) || null;
+  }
+
+  return { getMemory, update: queueUpdate, clear, lastFailure };
+}
+
+module.exports = { createCharacterMemory, formatMemory, parseMemory };
@@ -0,0 +1,153 @@
+// ============================================
+// CHARACTER CHAT SESSIONS (ChatWithCharacters)
+// ============================================
+// One Wix item per session: { charactertags, sessionId, chatBox, owner? }, where chatBox
+// is a JSON string of [{ type: 'user' | 'character', text, timestamp }] - the same shape
+// the Wix front end writes and getChatHistory/devilPOV read.
+// owner is the principal that created the session. Every call takes { owner }: given
+// one, only that principal's sessions exist (not even the front end's unowned ones);
+// without one (auth off), nothing is scoped.
+
+const crypto = require('crypto');
+const { apiError } = require('./errors');
+
+const COLLECTION = 'ChatWithCharacters';
+
+function parseChatBox(chatBox) {
+  try {
+    const messages = typeof chatBox === 'string' ? JSON.parse(chatBox) : chatBox;
+    return Array.isArray(messages) ? messages : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Drop the oldest messages until the session fits both caps
+function trimMessages(messages, { maxMessages, maxChars }) {
+  let trimmed = messages.slice(-maxMessages);
+
+  while (trimmed.length > 1 && JSON.stringify(trimmed).length > maxChars) {
+    trimmed = trimmed.slice(1);
+  }
+
+  return { messages: trimmed, dropped: messages.length - trimmed.length };
+}
+
+function summarizeSession(item) {
+  const messages = parseChatBox(item.data?.chatBox);
+  const last = messages[messages.length - 1];
+
+  return {
+    id: item.id,
+    sessionId: item.data?.sessionId || item.id,
+    messageCount: messages.length,
+    lastMessageAt: last?.timestamp || item.data?._updatedDate || null,
+    preview: last?.text ? last.text.slice(0, 120) : ''
+  };
+}
+
+// wix: { query(collection, filter, limit), insert(collection, data), patch(collection, id, fields),
+//        remove(collection, id), invalidate(collection) } - all throwing on failure
+// Appends to one session run one at a time, so two turns arriving together both land
+// instead of the second overwriting the first. Like the rate limiter, that holds
+// within this process only.
+function createChatSessionStore(wix, { maxMessages = 200, maxChars = 50000 } = {}) {
+  const pending = new Map(); // characterTag::sessionId -> Promise of the last queued append
+  async function findAnySession(characterTag, sessionId) {
+    const { items } = await wix.query(COLLECTION, {
+      charactertags: { $eq: characterTag },
+      sessionId: { $eq: sessionId }
+    }, 1);
+
+    if (items.length > 0) {
+      return items[0];
+    }
+
+    // Sessions created by the front end have no sessionId field; accept their item id
+    const byId = await wix.query(COLLECTION, {
+      charactertags: { $eq: characterTag },
+      _id: { $eq: sessionId }
+    }, 1);
+
+    return byId.items[0] || null;
+  }
+
+  async function findSession(characterTag, sessionId, owner) {
+    const item = await findAnySession(characterTag, sessionId);
+    return item && (!owner || item.data?.owner === owner) ? item : null;
+  }
+
+  async function append(characterTag, sessionId, newMessages, owner) {
+    const id = sessionId || crypto.randomUUID();
+    const existing = sessionId ? await findAnySession(characterTag, sessionId) : null;
+
+    if (existing && owner && existing.data?.owner !== owner) {
+      throw apiError('NOT_FOUND', `No session ${sessionId} for ${characterTag}`);
+    }
+
+    const previous = existing ? parseChatBox(existing.data?.chatBox) : [];
+    const { messages, dropped } = trimMessages([...previous, ...newMessages], { maxMessages, maxChars });
+
+    if (existing) {
+      await wix.patch(COLLECTION, existing.id, { chatBox: JSON.stringify(messages) });
+    } else {
+      await wix.insert(COLLECTION, {
+        charactertags: characterTag,
+        sessionId: id,
+        chatBox: JSON.stringify(messages),
+        ...(owner && { owner })
+      });
+    }
+
+    wix.invalidate(COLLECTION);
+
+    if (dropped > 0) {
+      console.log(`✂️ Trimmed ${dropped} old messages from session ${id}`);
+    }
+
+    return { sessionId: id, created: !existing, messageCount: messages.length, trimmed: dropped };
+  }
+
+  function appendMessages(characterTag, sessionId, newMessages, { owner = null } = {}) {
+    if (!sessionId) {
+      return append(characterTag, null, newMessages, owner);
+    }
+
+    const key = `${characterTag}::${sessionId}`;
+    const previous = pending.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => append(characterTag, sessionId, newMessages, owner));
+    pending.set(key, next);
+    next.finally(() => {
+      if (pending.get(key) === next) pending.delete(key);
+    }).catch(() => {});
+    return next;
+  }
+
+  async function listSessions(characterTag, { owner = null, limit = 50 } = {}) {
+    const { items } = await wix.query(COLLECTION, {
+      charactertags: { $eq: characterTag },
+      ...(owner && { owner: { $eq: owner } })
+    }, limit);
+    return items.map(summarizeSession);
+  }
+
+  async function getSession(characterTag, sessionId, { owner = null } = {}) {
+    const item = await findSession(characterTag, sessionId, owner);
+    if (!item) return null;
+
+    return { ...summarizeSession(item), messages: parseChatBox(item.data?.chatBox) };
+  }
+
+  async function deleteSession(characterTag, sessionId, { owner = null } = {}) {
+    const item = await findSession(characterTag, sessionId, owner);
+    if (!item) return false;
+
+    await wix.remove(COLLECTION, item.id);
+    wix.invalidate(COLLECTION);
+    return true;
+  }
+
+  return { appendMessages, listSessions, getSession, deleteSession };
+}
+
+module.exports = { createChatSessionStore, parseChatBox, trimMessages };
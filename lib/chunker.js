@@ -0,0 +1,219 @@
+// ============================================
+// CHAPTER CHUNKING + MARKER MERGING
+// ============================================
+// Long chapters are split on paragraph boundaries (preferring scene breaks) into
+// overlapping chunks small enough for one analysis prompt, then the per-chunk
+// markers are merged back into one list.
+
+const SCENE_BREAK = /^\s*(?:\*\s*){3,}$|^\s*(?:#\s*){1,3}$|^\s*(?:-\s*){3,}$|^\s*(?:~\s*){1,3}$/;
+const SEVERITY_RANK = { minor: 1, moderate: 2, severe: 3 };
+
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+// ============================================
+// SPLIT INTO PARAGRAPHS (WITH OFFSETS)
+// ============================================
+function splitParagraphs(text) {
+  const paragraphs = [];
+  const pattern = /[^\n]+/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].trim().length === 0) {
+      continue;
+    }
+
+    paragraphs.push({
+      index: paragraphs.length,
+      start: match.index,
+      end: match.index + match[0].length,
+      text: match[0],
+      words: countWords(match[0]),
+      sceneBreak: SCENE_BREAK.test(match[0])
+    });
+  }
+
+  return paragraphs;
+}
+
+// ============================================
+// CHUNK TEXT
+// ============================================
+// Returns [{ text, start, end, firstParagraph, lastParagraph }] where paragraph
+// numbers are 0-based indexes into splitParagraphs(text). Each chunk after the
+// first repeats up to overlapWords of the previous chunk's tail for continuity.
+function chunkText(text, { maxWords = 2500, overlapWords = 120 } = {}) {
+  const paragraphs = splitParagraphs(text);
+
+  if (paragraphs.length === 0) {
+    return [];
+  }
+
+  const chunks = [];
+  let current = [];
+  let currentWords = 0;
+
+  const closeChunk = () => {
+    const first = current[0];
+    const last = current[current.length - 1];
+    chunks.push({
+      text: text.slice(first.start, last.end),
+      start: first.start,
+      end: last.end,
+      firstParagraph: first.index,
+      lastParagraph: last.index
+    });
+  };
+
+  for (const paragraph of paragraphs) {
+    const overBudget = current.length > 0 && currentWords + paragraph.words > maxWords;
+
+    // A scene break past the halfway mark is a better seam than a mid-scene cut
+    const goodSeam = paragraph.sceneBreak && currentWords >= maxWords / 2;
+
+    if (overBudget || goodSeam) {
+      closeChunk();
+
+      const overlap = [];
+      let overlapCount = 0;
+      if (!goodSeam) {
+        for (let i = current.length - 1; i > 0; i--) {
+          if (overlapCount + current[i].words > overlapWords) break;
+          overlap.unshift(current[i]);
+          overlapCount += current[i].words;
+        }
+      }
+
+      current = overlap;
+      currentWords = overlapCount;
+    }
+
+    current.push(paragraph);
+    currentWords += paragraph.words;
+  }
+
+  if (current.length > 0) {
+    closeChunk();
+  }
+
+  return chunks;
+}
+
+// ============================================
+// MERGE MARKERS FROM SEVERAL CHUNKS
+// ============================================
+// Markers about the same subject (the first quoted word/phrase in the message, or
+// the whole message when nothing is quoted) within the same type collapse into one.
+// When both report a count ("appears 8 times") the counts are added together.
+function markerSubject(marker) {
+  const quoted = marker.message.match(/["'‘“]([^"'’”]{1,60})["'’”]/);
+  const subject = quoted ? quoted[1] : marker.message;
+  return subject.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function markerCount(marker) {
+  if (Number.isInteger(marker.count)) {
+    return marker.count;
+  }
+
+  const match = marker.message.match(/\b(\d+)\s*(?:times|x\b|occurrences|uses|instances)/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function mergeMarkers(markers) {
+  const merged = new Map();
+
+  for (const marker of markers) {
+    const key = `${marker.type.toLowerCase()}::${markerSubject(marker)}`;
+    const existing = merged.get(key);
+
+    if (!existing) {
+      const count = markerCount(marker);
+      merged.set(key, count === null ? { ...marker } : { ...marker, count });
+      continue;
+    }
+
+    const count = markerCount(marker);
+    if (count !== null && Number.isInteger(existing.count)) {
+      existing.count += count;
+      existing.message = existing.message.replace(/\b\d+(?=\s*(?:times|x\b|occurrences|uses|instances))/i, String(existing.count));
+    }
+
+    if (SEVERITY_RANK[marker.severity] > SEVERITY_RANK[existing.severity]) {
+      existing.severity = marker.severity;
+    }
+
+    if (!existing.location && marker.location) {
+      existing.location = marker.location;
+    }
+  }
+
+  return [...merged.values()];
+}
+
+// ============================================
+// DROP REPEATS FROM CHUNK OVERLAPS
+// ============================================
+// Every chunk after the first re-reads the tail of the one before it, so findings in
+// that overlap come back twice and counts include it twice. Takes the markers of each
+// chunk (paragraph numbers already chapter-wide and 1-based) and returns them per chunk
+// with repeats removed: a marker located in the overlap is dropped when the previous
+// chunk reported the same type there (same quote, or same subject and paragraph), and
+// a count the previous chunk also reported loses the occurrences inside the overlap.
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function countOccurrences(text, phrase) {
+  const words = phrase.trim().split(/\s+/).filter(Boolean).map(escapeRegExp);
+  if (words.length === 0) return 0;
+  return (text.match(new RegExp(`(?<![A-Za-z'’])${words.join('\\s+')}(?![A-Za-z'’])`, 'gi')) || []).length;
+}
+
+function markerKeys(marker) {
+  const type = marker.type.toLowerCase();
+  const keys = [`${type}::${markerSubject(marker)}::${marker.location?.paragraph ?? ''}`];
+  if (marker.location?.quote) keys.push(`${type}::quote::${marker.location.quote.toLowerCase()}`);
+  return keys;
+}
+
+function dropOverlapRepeats(chunkMarkers, chunks, text) {
+  return chunkMarkers.map((markers, idx) => {
+    const previous = chunks[idx - 1];
+    const chunk = chunks[idx];
+    if (!previous || chunk.start >= previous.end) return markers;
+
+    const overlap = text.slice(chunk.start, previous.end);
+    const reported = new Set(chunkMarkers[idx - 1].flatMap(markerKeys));
+    const counted = new Set(chunkMarkers[idx - 1].map(marker => `${marker.type.toLowerCase()}::${markerSubject(marker)}`));
+
+    return markers.flatMap(marker => {
+      const paragraph = marker.location?.paragraph;
+      const inOverlap = paragraph >= chunk.firstParagraph + 1 && paragraph <= previous.lastParagraph + 1;
+      if (inOverlap && markerKeys(marker).some(key => reported.has(key))) return [];
+
+      const count = markerCount(marker);
+      if (count === null || !counted.has(`${marker.type.toLowerCase()}::${markerSubject(marker)}`)) return [marker];
+
+      const repeated = countOccurrences(overlap, markerSubject(marker));
+      if (repeated === 0) return [marker];
+      if (repeated >= count) return [];
+
+      return [{
+        ...marker,
+        count: count - repeated,
+        message: marker.message.replace(/\b\d+(?=\s*(?:times|x\b|occurrences|uses|instances))/i, String(count - repeated))
+      }];
+    });
+  });
+}
+
+module.exports = {
+  countWords,
+  splitParagraphs,
+  chunkText,
+  mergeMarkers,
+  dropOverlapRepeats
+};
@@ -0,0 +1,189 @@
+// ============================================
+// TOKEN-BUDGETED CONTEXT ASSEMBLY
+// ============================================
+// Prompts are built from named sections with a priority (0 = required, higher =
+// less important). When the estimated total exceeds the model budget, sections are
+// trimmed from the least important up, and the caller gets a breakdown of what was
+// kept, trimmed or dropped.
+//
+// Section shapes:
+//   { name, priority, heading?, text, keep: 'start' | 'end' }         - one block of text
+//   { name, priority, heading?, items: [string], keep: 'start' | 'end',
+//     shrinkItems?: boolean }                                          - a list
+// keep says which end survives trimming. Lists drop whole items from the other end;
+// with shrinkItems every item is first cut down towards its kept end. An item can be
+// { label, text } so a title ("[Chapter 3]") survives when its text is cut.
+// inline: false keeps a section out of the assembled prompt (the caller places it).
+
+// Context windows in tokens; anything unknown falls back to DEFAULT_CONTEXT_WINDOW
+const MODEL_CONTEXT_WINDOWS = {
+  'deepseek/deepseek-v3.1-terminus:exacto': 131072,
+  'deepseek/deepseek-v3.1-terminus': 131072,
+  'deepseek/deepseek-v3.2': 131072,
+  'mistralai/mistral-large': 131072,
+  'openai/gpt-3.5-turbo': 16385,
+  'openai/gpt-4.1-mini': 1047576
+};
+const DEFAULT_CONTEXT_WINDOW = 32768;
+const RESPONSE_RESERVE = 512;
+const MIN_SECTION_TOKENS = 40;
+const MIN_ITEM_TOKENS = 150;
+
+// ~4 characters per token is close enough for English prose on BPE tokenizers
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// The smallest window in the fallback chain wins: any of them may end up answering
+function contextBudget(models, maxTokens, cap = Infinity) {
+  const window = Math.min(...models.map(model => MODEL_CONTEXT_WINDOWS[model] || DEFAULT_CONTEXT_WINDOW));
+  return Math.max(0, Math.min(window - maxTokens - RESPONSE_RESERVE, cap));
+}
+
+// Cut to roughly `tokens`, snapping to a line or sentence boundary when one is close
+function truncateText(text, tokens, keep = 'start') {
+  const maxChars = tokens * 4;
+  if (text.length <= maxChars) {
+    return text;
+  }
+
+  if (keep === 'end') {
+    let cut = text.slice(text.length - maxChars);
+    const boundary = cut.search(/[\n.!?]\s/);
+    if (boundary !== -1 && boundary < cut.length / 4) cut = cut.slice(boundary + 1).trimStart();
+    return `…${cut}`;
+  }
+
+  let cut = text.slice(0, maxChars);
+  const boundary = Math.max(cut.lastIndexOf('\n'), cut.search(/[.!?]\s[^.!?]*$/) + 1);
+  if (boundary > cut.length * 0.75) cut = cut.slice(0, boundary);
+  return `${cut.trimEnd()}…`;
+}
+
+function itemText(item) {
+  return typeof item === 'string' ? item : `${item.label}\n${item.text}`;
+}
+
+function truncateItem(item, tokens, keep) {
+  if (typeof item === 'string') {
+    return truncateText(item, tokens, keep);
+  }
+  return { ...item, text: truncateText(item.text, Math.max(tokens - estimateTokens(item.label) - 1, 1), keep) };
+}
+
+function sectionTokens(section) {
+  const heading = section.heading ? estimateTokens(section.heading) + 1 : 0;
+  if (section.items) {
+    return section.items.length === 0 ? 0 : heading + section.items.reduce((sum, item) => sum + estimateTokens(itemText(item)) + 1, 0);
+  }
+  return section.text ? heading + estimateTokens(section.text) : 0;
+}
+
+// Shrink one section to at most `target` tokens
+function shrinkSection(section, target) {
+  const headingTokens = section.heading ? estimateTokens(section.heading) + 1 : 0;
+  const room = target - headingTokens;
+
+  if (!section.items) {
+    if (room < MIN_SECTION_TOKENS) return { ...section, text: '' };
+    return { ...section, text: truncateText(section.text, room, section.keep) };
+  }
+
+  let items = [...section.items];
+  const dropOne = () => (section.keep === 'end' ? items.shift() : items.pop());
+
+  if (section.shrinkItems) {
+    // Trim every item evenly, dropping items only when each would get too little
+    while (items.length > 0 && room / items.length < MIN_ITEM_TOKENS) dropOne();
+    if (items.length === 0 || room <= 0) return { ...section, items: [] };
+    const perItem = Math.floor(room / items.length) - 1;
+    items = items.map(item => truncateItem(item, perItem, section.keep));
+    return { ...section, items };
+  }
+
+  while (items.length > 0 && sectionTokens({ ...section, items }) > target) dropOne();
+
+  // A single item that is still too big gets cut rather than lost
+  if (items.length === 0 && section.items.length > 0 && room >= MIN_SECTION_TOKENS) {
+    const kept = section.keep === 'end' ? section.items[section.items.length - 1] : section.items[0];
+    items = [truncateItem(kept, room - 1, section.keep)];
+  }
+
+  return { ...section, items };
+}
+
+function renderSection(section) {
+  const body = section.items ? section.items.map(itemText).join('\n\n') : section.text;
+  if (!body) return '';
+  return section.heading ? `${section.heading}\n${body}` : body;
+}
+
+// ============================================
+// BUILD
+// ============================================
+function buildContext(sections, budget) {
+  let working = sections.map(section => ({ ...section }));
+  let total = working.reduce((sum, section) => sum + sectionTokens(section), 0);
+
+  const order = working
+    .map((section, idx) => ({ idx, priority: section.priority }))
+    .filter(entry => entry.priority > 0)
+    .sort((a, b) => b.priority - a.priority || b.idx - a.idx);
+
+  for (const { idx } of order) {
+    if (total <= budget) break;
+
+    const before = sectionTokens(working[idx]);
+    const target = Math.max(0, before - (total - budget));
+    working[idx] = shrinkSection(working[idx], target);
+    total -= before - sectionTokens(working[idx]);
+  }
+
+  const breakdown = sections.map((original, idx) => {
+    const originalTokens = sectionTokens(original);
+    const tokens = sectionTokens(working[idx]);
+    const entry = {
+      name: original.name,
+      priority: original.priority,
+      tokens,
+      originalTokens,
+      status: originalTokens === 0 ? 'empty' : tokens === 0 ? 'dropped' : tokens < originalTokens ? 'trimmed' : 'included'
+    };
+
+    if (original.items) {
+      entry.items = { included: working[idx].items.length, total: original.items.length };
+    }
+
+    return entry;
+  });
+
+  const kept = {};
+  working.forEach(section => {
+    kept[section.name] = section.items ? section.items : section.text;
+  });
+
+  const prompt = working
+    .filter(section => section.inline !== false)
+    .map(renderSection)
+    .filter(Boolean)
+    .join('\n\n');
+
+  return {
+    prompt,
+    kept,
+    report: {
+      budget,
+      totalTokens: total,
+      overBudget: total > budget,
+      sections: breakdown
+    }
+  };
+}
+
+module.exports = {
+  MODEL_CONTEXT_WINDOWS,
+  estimateTokens,
+  contextBudget,
+  truncateText,
+  buildContext
+};
@@ -0,0 +1,132 @@
+// ============================================
+// DECLARATIVE CUSTOM ACTIONS
+// ============================================
+// New muse tools can ship as config instead of code: one JSON file per action in the
+// actions directory, e.g. actions/sensory_pass.json:
+//   {
+//     "name": "sensory_pass",                     // defaults to the file name
+//     "description": "Layer sensory detail into the selection",
+//     "inputs": { "required": ["selectedText"], "optional": ["mood"] },
+//     "textInput": "selectedText",                // the text the action works on (default: first required input)
+//     "context": ["characters", "catalyst", "passages", "memory"],
+//     "prompt": { "system": "sensory_pass/system", "user": "sensory_pass/user" },
+//     "models": ["deepseek/deepseek-v3.2"],       // fallback chain (default: the server's chain)
+//     "temperature": 0.85,
+//     "maxTokens": 1200,
+//     "output": "text"                            // or "markers"
+//   }
+// Prompts are names in the prompt template registry (prompts/<group>/<part>.<version>.txt)
+// and default to "<name>/system" and "<name>/user". Context kinds read the usual
+// request fields: characters and memory use characterTags, catalyst catalystTags and
+// passages storyTags.
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTEXT_KINDS = ['characters', 'catalyst', 'passages', 'memory'];
+const OUTPUT_TYPES = ['text', 'markers'];
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.length > 0);
+}
+
+// A normalized definition, or throws naming the first problem
+function normalizeDefinition(raw, fallbackName) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error("definition must be a JSON object");
+  }
+
+  const name = raw.name ?? fallbackName;
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error(`invalid name ${JSON.stringify(name)} (letters, digits and _ only)`);
+  }
+
+  const inputs = raw.inputs || {};
+  const required = inputs.required || [];
+  const optional = inputs.optional || [];
+  if (!isStringList(required) || !isStringList(optional)) {
+    throw new Error("inputs.required and inputs.optional must be lists of field names");
+  }
+
+  const textInput = raw.textInput ?? required[0];
+  if (typeof textInput !== 'string' || !required.includes(textInput)) {
+    throw new Error("textInput must name one of the required inputs");
+  }
+
+  const context = raw.context || [];
+  const unknownContext = isStringList(context) ? context.filter(kind => !CONTEXT_KINDS.includes(kind)) : [String(context)];
+  if (unknownContext.length > 0) {
+    throw new Error(`unknown context ${unknownContext.join(', ')} (available: ${CONTEXT_KINDS.join(', ')})`);
+  }
+
+  const output = raw.output || 'text';
+  if (!OUTPUT_TYPES.includes(output)) {
+    throw new Error(`output must be one of ${OUTPUT_TYPES.join(', ')}`);
+  }
+
+  if (raw.models !== undefined && (!isStringList(raw.models) || raw.models.length === 0)) {
+    throw new Error("models must be a non-empty list of model names");
+  }
+
+  for (const field of ['temperature', 'maxTokens']) {
+    if (raw[field] !== undefined && (typeof raw[field] !== 'number' || raw[field] < 0)) {
+      throw new Error(`${field} must be a non-negative number`);
+    }
+  }
+
+  return {
+    name,
+    description: typeof raw.description === 'string' ? raw.description : '',
+    inputs: { required, optional },
+    textInput,
+    context,
+    prompt: {
+      system: raw.prompt?.system ?? `${name}/system`,
+      user: raw.prompt?.user ?? `${name}/user`
+    },
+    models: raw.models || null,
+    temperature: raw.temperature ?? (output === 'markers' ? 0.3 : 0.85),
+    maxTokens: raw.maxTokens ?? (output === 'markers' ? 3000 : 1500),
+    output
+  };
+}
+
+// name -> definition for every *.json file in dir. reserved lists the built-in
+// actions, which config can't replace. A bad file stops the load so a broken tool
+// never half-ships.
+function loadCustomActions(dir, { reserved = [] } = {}) {
+  const actions = new Map();
+  if (!dir || !fs.existsSync(dir)) return actions;
+
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+
+  for (const file of files) {
+    let definition;
+    try {
+      const raw = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      definition = normalizeDefinition(raw, path.basename(file, '.json'));
+    } catch (error) {
+      throw new Error(`Invalid custom action ${file}: ${error.message}`);
+    }
+
+    if (reserved.includes(definition.name) || actions.has(definition.name)) {
+      throw new Error(`Invalid custom action ${file}: the name ${definition.name} is already taken`);
+    }
+
+    actions.set(definition.name, definition);
+  }
+
+  return actions;
+}
+
+// Names of required inputs that are missing or empty in the request body
+function missingInputs(definition, body) {
+  return definition.inputs.required.filter(field => {
+    const value = body[field];
+    if (Array.isArray(value)) return value.length === 0;
+    return typeof value !== 'string' || value.trim().length === 0;
+  });
+}
+
+module.exports = { CONTEXT_KINDS, OUTPUT_TYPES, loadCustomActions, missingInputs };
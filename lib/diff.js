@@ -0,0 +1,244 @@
+// ============================================
+// TRACK-CHANGES DIFF
+// ============================================
+// Diffs a rewrite against its source as change hunks the editor can show and let the
+// author accept or reject one by one:
+//   { id, type: 'insert' | 'delete' | 'replace',
+//     original: { start, end, text },   // offsets into the source text
+//     revised:  { start, end, text } }  // offsets into the rewrite
+// Offsets are JavaScript string indices; an insert has an empty original range at
+// the point it goes in, a delete an empty revised range. Differences in spacing
+// alone are not reported (a line or paragraph break that comes or goes is); otherwise
+// accepting every hunk gives back the rewrite exactly.
+//
+// Two passes keep whole-chapter rewrites cheap: sentences are aligned first, then
+// each run of changed sentences is diffed word by word. Runs too large to align
+// word by word (a chapter rewritten from scratch) stay one sentence-level hunk.
+
+const MAX_TABLE_CELLS = 2000000;
+
+// Sentences and the whitespace around them as separate pieces, so the pieces cover
+// the text exactly and a moved sentence doesn't drag its neighbour's spacing along
+function splitSentences(text) {
+  const pieces = [];
+  const pattern = /[^.!?\n]*(?:[.!?]+["'”’)\]]*|\n|$)\s*/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null && match.index < text.length) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+
+    const [, leading, sentence, trailing] = match[0].match(/^(\s*)([\s\S]*?)(\s*)$/);
+    let start = match.index;
+    [leading, sentence, trailing].forEach(part => {
+      if (part) pieces.push({ text: part, start });
+      start += part.length;
+    });
+  }
+  return pieces;
+}
+
+function isSpace(piece) {
+  return /^\s+$/.test(piece.text);
+}
+
+// Whitespace matches whitespace with as many line breaks (none, one, a paragraph
+// break), so re-spacing alone never makes a hunk
+function lineBreaks(piece) {
+  return Math.min((piece.text.match(/\n/g) || []).length, 2);
+}
+
+function samePiece(x, y) {
+  return x.text === y.text || (isSpace(x) && isSpace(y) && lineBreaks(x) === lineBreaks(y));
+}
+
+// Words and the whitespace between them as separate tokens
+function splitWords(text, offset = 0) {
+  const pieces = [];
+  const pattern = /\s+|[^\s]+/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    pieces.push({ text: match[0], start: offset + match.index });
+  }
+  return pieces;
+}
+
+function countWords(text) {
+  return (text.match(/[^\s]+/g) || []).length;
+}
+
+// Longest-common-subsequence alignment of two token lists as
+// [{ op: 'equal' | 'delete' | 'insert', a?, b? }], or null when the table would be too big.
+// Shared leading and trailing tokens are matched up front.
+function align(a, b, same) {
+  let head = 0;
+  while (head < a.length && head < b.length && same(a[head], b[head])) head++;
+
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && same(a[a.length - 1 - tail], b[b.length - 1 - tail])) tail++;
+
+  const n = a.length - head - tail;
+  const m = b.length - head - tail;
+  if (n * m > MAX_TABLE_CELLS) return null;
+
+  // lengths[i][j]: LCS of a[head+i..] and b[head+j..], flattened
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * width + j] = same(a[head + i], b[head + j])
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  for (let k = 0; k < head; k++) ops.push({ op: 'equal', a: k, b: k });
+
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && same(a[head + i], b[head + j])) {
+      ops.push({ op: 'equal', a: head + i, b: head + j });
+      i++;
+      j++;
+    } else if (j < m && (i === n || lengths[i * width + j + 1] >= lengths[(i + 1) * width + j])) {
+      ops.push({ op: 'insert', b: head + j });
+      j++;
+    } else {
+      ops.push({ op: 'delete', a: head + i });
+      i++;
+    }
+  }
+
+  for (let k = tail; k > 0; k--) ops.push({ op: 'equal', a: a.length - k, b: b.length - k });
+  return ops;
+}
+
+// Consecutive non-equal ops grouped into runs: { a: [first, last+1], b: [first, last+1] }.
+// With bridgeable(op), short equal stretches (whitespace between two changed words)
+// are folded into the surrounding run rather than splitting it.
+function changeRuns(ops, aLength, bLength, bridgeable = () => false) {
+  const runs = [];
+  let current = null;
+  let nextA = 0;
+  let nextB = 0;
+
+  for (const op of ops) {
+    if (op.op === 'equal') {
+      if (!current || !bridgeable(op)) {
+        current = null;
+      }
+      nextA = op.a + 1;
+      nextB = op.b + 1;
+      continue;
+    }
+
+    if (!current) {
+      current = { a: [nextA, nextA], b: [nextB, nextB] };
+      runs.push(current);
+    }
+
+    if (op.op === 'delete') {
+      current.a[1] = op.a + 1;
+      nextA = op.a + 1;
+    } else {
+      current.b[1] = op.b + 1;
+      nextB = op.b + 1;
+    }
+    // Anything bridged so far now sits inside the run on both sides
+    current.a[1] = Math.max(current.a[1], nextA);
+    current.b[1] = Math.max(current.b[1], nextB);
+  }
+
+  return runs.map(run => ({
+    a: [run.a[0], Math.min(run.a[1], aLength)],
+    b: [run.b[0], Math.min(run.b[1], bLength)]
+  }));
+}
+
+function span(pieces, [from, to], text, fallback) {
+  if (from >= to) {
+    const at = from < pieces.length ? pieces[from].start : fallback;
+    return { start: at, end: at, text: '' };
+  }
+  const start = pieces[from].start;
+  const end = to < pieces.length ? pieces[to].start : fallback;
+  return { start, end, text: text.slice(start, end) };
+}
+
+function makeHunk(original, revised) {
+  const type = original.text === '' ? 'insert' : revised.text === '' ? 'delete' : 'replace';
+  return { type, original, revised };
+}
+
+// Word-level hunks inside one changed sentence run (or the run itself when too big)
+function wordHunks(original, revised, outer) {
+  const a = splitWords(outer.original.text, outer.original.start);
+  const b = splitWords(outer.revised.text, outer.revised.start);
+  const ops = align(a, b, samePiece);
+  if (!ops) return [outer];
+
+  return changeRuns(ops, a.length, b.length, op => isSpace(a[op.a])).map(run => makeHunk(
+    span(a, run.a, original, outer.original.end),
+    span(b, run.b, revised, outer.revised.end)
+  ));
+}
+
+function diffText(original = '', revised = '') {
+  const a = splitSentences(original);
+  const b = splitSentences(revised);
+  const sentenceOps = align(a, b, samePiece);
+
+  const outer = sentenceOps
+    ? changeRuns(sentenceOps, a.length, b.length, op => isSpace(a[op.a])).map(run => makeHunk(
+      span(a, run.a, original, original.length),
+      span(b, run.b, revised, revised.length)
+    ))
+    : [makeHunk({ start: 0, end: original.length, text: original }, { start: 0, end: revised.length, text: revised })];
+
+  const hunks = outer
+    .flatMap(hunk => hunk.type === 'replace' ? wordHunks(original, revised, hunk) : [hunk])
+    .map((hunk, idx) => ({ id: idx + 1, ...hunk }));
+
+  const originalWords = countWords(original);
+  const revisedWords = countWords(revised);
+  const wordsRemoved = hunks.reduce((sum, hunk) => sum + countWords(hunk.original.text), 0);
+  const wordsAdded = hunks.reduce((sum, hunk) => sum + countWords(hunk.revised.text), 0);
+
+  return {
+    hunks,
+    stats: {
+      hunks: hunks.length,
+      inserts: hunks.filter(hunk => hunk.type === 'insert').length,
+      deletes: hunks.filter(hunk => hunk.type === 'delete').length,
+      replaces: hunks.filter(hunk => hunk.type === 'replace').length,
+      originalWords,
+      revisedWords,
+      wordsAdded,
+      wordsRemoved,
+      wordsUnchanged: originalWords - wordsRemoved,
+      changedRatio: originalWords > 0 ? Math.round((wordsRemoved / originalWords) * 1000) / 1000 : (revisedWords > 0 ? 1 : 0)
+    }
+  };
+}
+
+// The source with only the accepted hunks (by id) applied
+function applyHunks(original, hunks, acceptedIds) {
+  const accepted = new Set(acceptedIds);
+  let result = '';
+  let cursor = 0;
+
+  [...hunks].sort((x, y) => x.original.start - y.original.start).forEach(hunk => {
+    if (!accepted.has(hunk.id)) return;
+    result += original.slice(cursor, hunk.original.start) + hunk.revised.text;
+    cursor = hunk.original.end;
+  });
+
+  return result + original.slice(cursor);
+}
+
+module.exports = { diffText, applyHunks, splitSentences };
@@ -0,0 +1,73 @@
+// ============================================
+// ERROR TAXONOMY
+// ============================================
+// Every failure the API reports carries a stable machine-readable code the front
+// end can switch on, and the HTTP status that goes with it:
+//   { status: 'error', action, code, error: "<action> failed", details: "<what went wrong>",
+//     fields?: [{ field, message }] }   // input validation problems, one per field
+// Throw apiError(code, message) where the cause is known; anything uncoded is
+// reported as INTERNAL_ERROR.
+
+const ERROR_CODES = {
+  VALIDATION_ERROR: 400, // missing or malformed input
+  UNAUTHORIZED: 401,
+  UNKNOWN_ACTION: 404,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,
+  CANCELLED: 499, // the client went away or cancelled the job
+  INTERNAL_ERROR: 500,
+  FIXTURE_MISSING: 500, // replay mode met a request that was never recorded
+  MODEL_UNAVAILABLE: 502, // every model in the chain failed
+  MODEL_BAD_RESPONSE: 502, // a model answered, but not in a usable shape
+  WIX_UNAVAILABLE: 502,
+  NOT_CONFIGURED: 503,
+  QUEUE_FULL: 503,
+  UPSTREAM_TIMEOUT: 504
+};
+
+function apiError(code, message, fields) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = ERROR_CODES[code] || 500;
+  if (fields !== undefined) error.fields = fields;
+  return error;
+}
+
+function isTimeout(error) {
+  return error?.name === 'TimeoutError' || error?.code === 'UPSTREAM_TIMEOUT';
+}
+
+// { status, code, message } for any thrown value
+function classifyError(error) {
+  if (error && ERROR_CODES[error.code]) {
+    return { status: ERROR_CODES[error.code], code: error.code, message: error.message };
+  }
+
+  if (isTimeout(error)) {
+    return { status: ERROR_CODES.UPSTREAM_TIMEOUT, code: 'UPSTREAM_TIMEOUT', message: error.message };
+  }
+
+  if (error?.name === 'AbortError') {
+    return { status: ERROR_CODES.CANCELLED, code: 'CANCELLED', message: error.message };
+  }
+
+  return { status: 500, code: 'INTERNAL_ERROR', message: error?.message || String(error) };
+}
+
+// The JSON error body for an action that failed
+function errorBody(error, action) {
+  const { code, message } = classifyError(error);
+  return {
+    status: 'error',
+    action: action || null,
+    code,
+    error: `${action || 'Action'} failed`,
+    details: message,
+    ...(Array.isArray(error?.fields) && { fields: error.fields })
+  };
+}
+
+module.exports = { ERROR_CODES, apiError, classifyError, errorBody, isTimeout };
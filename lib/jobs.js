@@ -0,0 +1,125 @@
+// ============================================
+// ASYNC JOB QUEUE (IN MEMORY)
+// ============================================
+// Long actions can run detached from the HTTP request that started them. A job is
+//   { id, action, owner, status: 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled',
+//     progress, createdAt, startedAt, finishedAt, result?, error?, errorCode? }
+// At most `concurrency` jobs run at once and at most `maxQueued` wait behind them.
+// Finished jobs are kept for ttlMs so the caller can collect the result. Like the
+// rate limiter, state lives in this process only and is lost on restart.
+
+const crypto = require('crypto');
+const { apiError } = require('./errors');
+
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+function createJobQueue({ concurrency = 2, maxQueued = 20, ttlMs = 60 * 60 * 1000 } = {}) {
+  const jobs = new Map(); // id -> job (public fields)
+  const internals = new Map(); // id -> { run, controller }
+  const waiting = []; // ids in submission order
+  let running = 0;
+
+  function finish(job, status, fields = {}) {
+    Object.assign(job, { status, finishedAt: new Date().toISOString(), ...fields });
+    internals.delete(job.id);
+  }
+
+  function pump() {
+    while (running < concurrency && waiting.length > 0) {
+      const id = waiting.shift();
+      const job = jobs.get(id);
+      const internal = internals.get(id);
+      if (!job || !internal || job.status !== 'queued') continue;
+
+      running++;
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+      job.progress = { stage: 'started' };
+
+      const report = (progress) => {
+        if (job.status === 'running') job.progress = { ...progress, updatedAt: new Date().toISOString() };
+      };
+
+      Promise.resolve()
+        .then(() => internal.run({ signal: internal.controller.signal, report }))
+        .then(
+          (result) => {
+            if (job.status === 'running') finish(job, 'succeeded', { result, progress: { stage: 'done' } });
+          },
+          (error) => {
+            if (job.status === 'running') finish(job, 'failed', { error: error.message, errorCode: error.code || null, progress: { stage: 'failed' } });
+          }
+        )
+        .finally(() => {
+          running--;
+          pump();
+        });
+    }
+  }
+
+  // run({ signal, report }) -> result. Throws QUEUE_FULL when the queue is full.
+  function submit(run, { action, owner } = {}) {
+    if (waiting.length >= maxQueued) {
+      throw apiError('QUEUE_FULL', `Job queue is full (${maxQueued} waiting)`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      action: action || null,
+      owner: owner || null,
+      status: 'queued',
+      progress: { stage: 'queued' },
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    jobs.set(job.id, job);
+    internals.set(job.id, { run, controller: new AbortController() });
+    waiting.push(job.id);
+    pump();
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  // Position in line for a queued job (1 = next), otherwise null
+  function queuePosition(id) {
+    const at = waiting.indexOf(id);
+    return at === -1 ? null : at + 1;
+  }
+
+  // Cancels a queued or running job; a running job's model calls are aborted.
+  // Returns false when the job has already finished.
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job || FINISHED.includes(job.status)) return false;
+
+    const internal = internals.get(id);
+    const at = waiting.indexOf(id);
+    if (at !== -1) waiting.splice(at, 1);
+
+    finish(job, 'cancelled', { progress: { stage: 'cancelled' } });
+    internal?.controller.abort();
+    return true;
+  }
+
+  // Forget finished jobs older than ttlMs
+  function sweep(now = Date.now()) {
+    for (const [id, job] of jobs) {
+      if (FINISHED.includes(job.status) && now - Date.parse(job.finishedAt) > ttlMs) jobs.delete(id);
+    }
+  }
+
+  function getStats() {
+    const counts = { queued: 0, running: 0, succeeded: 0, failed: 0, cancelled: 0 };
+    jobs.forEach(job => { counts[job.status]++; });
+    return { ...counts, concurrency, maxQueued, ttlSeconds: Math.round(ttlMs / 1000) };
+  }
+
+  return { submit, get, queuePosition, cancel, sweep, getStats };
+}
+
+module.exports = { createJobQueue, FINISHED_STATUSES: FINISHED };
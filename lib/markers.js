@@ -0,0 +1,194 @@
+// ============================================
+// ANALYSIS MARKER SCHEMA
+// ============================================
+// Every analysis tool returns an array of markers the editor renders in its sidebar:
+//   { icon, type, message, detail, severity, location? }
+// location is optional: { paragraph: <1-based number>, quote: "<exact text>" }
+// Markers merged across chunks may also carry a combined `count`, and every marker
+// leaving the server carries verified `anchors` (see anchors.js).
+
+const SEVERITIES = ['minor', 'moderate', 'severe'];
+const REQUIRED_STRING_FIELDS = ['icon', 'type', 'message', 'detail'];
+
+// Field list pasted into every analysis prompt so all tools ask for the same shape
+const MARKER_FIELDS_PROMPT = `- "icon": a single emoji for the issue type
+- "type": the category name
+- "message": one-line summary of the finding
+- "detail": expanded explanation
+- "severity": exactly one of "minor", "moderate", "severe"
+- "location" (optional): { "paragraph": <1-based paragraph number>, "quote": "<short quote copied character-for-character from the text>" }`;
+
+// ============================================
+// TOLERANT JSON ARRAY EXTRACTOR
+// ============================================
+// Models like to wrap JSON in fences or prose ("Here is the analysis: [...] Hope
+// this helps!"). Walk the text and return the first balanced [...] that parses, or
+// the `markers` array of a top-level object.
+function extractJSONArray(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const cleaned = text.replace(/```(?:json)?/gi, '').trim();
+
+  try {
+    const parsed = JSON.parse(cleaned);
+    if (Array.isArray(parsed)) return parsed;
+    if (Array.isArray(parsed?.markers)) return parsed.markers;
+  } catch (e) {
+    // Fall through to the bracket scan
+  }
+
+  for (let start = cleaned.indexOf('['); start !== -1; start = cleaned.indexOf('[', start + 1)) {
+    const end = findClosingBracket(cleaned, start);
+    if (end === -1) {
+      continue;
+    }
+
+    try {
+      const parsed = JSON.parse(cleaned.slice(start, end + 1));
+      if (Array.isArray(parsed)) return parsed;
+    } catch (e) {
+      // Try the next opening bracket
+    }
+  }
+
+  return null;
+}
+
+function findClosingBracket(text, start) {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"') inString = true;
+    else if (ch === '[' || ch === '{') depth++;
+    else if (ch === ']' || ch === '}') {
+      depth--;
+      if (depth === 0) return ch === ']' ? i : -1;
+    }
+  }
+
+  return -1;
+}
+
+// ============================================
+// VALIDATE + NORMALIZE
+// ============================================
+// Returns the markers that passed (trimmed, severity lower-cased) and a list of
+// human-readable errors that can be fed back to the model in a repair prompt.
+function validateMarkers(value) {
+  if (!Array.isArray(value)) {
+    return { markers: [], errors: ["Response must be a JSON array of markers"] };
+  }
+
+  const markers = [];
+  const errors = [];
+
+  value.forEach((raw, idx) => {
+    const markerErrors = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push(`markers[${idx}] must be an object`);
+      return;
+    }
+
+    const marker = {};
+
+    for (const field of REQUIRED_STRING_FIELDS) {
+      if (typeof raw[field] !== 'string' || raw[field].trim().length === 0) {
+        markerErrors.push(`markers[${idx}].${field} must be a non-empty string`);
+      } else {
+        marker[field] = raw[field].trim();
+      }
+    }
+
+    const severity = typeof raw.severity === 'string' ? raw.severity.trim().toLowerCase() : raw.severity;
+    if (!SEVERITIES.includes(severity)) {
+      markerErrors.push(`markers[${idx}].severity must be one of ${SEVERITIES.join(', ')} (got ${JSON.stringify(raw.severity)})`);
+    } else {
+      marker.severity = severity;
+    }
+
+    if (raw.location !== undefined && raw.location !== null) {
+      const location = validateLocation(raw.location, idx, markerErrors);
+      if (location) marker.location = location;
+    }
+
+    if (markerErrors.length > 0) {
+      errors.push(...markerErrors);
+    } else {
+      markers.push(marker);
+    }
+  });
+
+  return { markers, errors };
+}
+
+function validateLocation(raw, idx, errors) {
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push(`markers[${idx}].location must be an object`);
+    return null;
+  }
+
+  const location = {};
+
+  if (raw.paragraph !== undefined) {
+    const paragraph = Number(raw.paragraph);
+    if (!Number.isInteger(paragraph) || paragraph < 1) {
+      errors.push(`markers[${idx}].location.paragraph must be a positive integer`);
+    } else {
+      location.paragraph = paragraph;
+    }
+  }
+
+  if (raw.quote !== undefined) {
+    if (typeof raw.quote !== 'string') {
+      errors.push(`markers[${idx}].location.quote must be a string`);
+    } else if (raw.quote.trim().length > 0) {
+      location.quote = raw.quote.trim();
+    }
+  }
+
+  return Object.keys(location).length > 0 ? location : null;
+}
+
+// ============================================
+// PARSE A MODEL REPLY
+// ============================================
+function parseMarkerResponse(text) {
+  const value = extractJSONArray(text);
+
+  if (value === null) {
+    return { markers: [], errors: ["Response did not contain a JSON array"] };
+  }
+
+  return validateMarkers(value);
+}
+
+function buildRepairPrompt(errors) {
+  return `Your previous reply could not be used. Fix these problems:
+${errors.slice(0, 20).map(err => `- ${err}`).join('\n')}
+
+Return the COMPLETE corrected analysis as a JSON array. Each marker must have:
+${MARKER_FIELDS_PROMPT}
+
+Return ONLY the JSON array. No preamble, no explanation, no markdown code blocks.`;
+}
+
+module.exports = {
+  SEVERITIES,
+  MARKER_FIELDS_PROMPT,
+  extractJSONArray,
+  validateMarkers,
+  parseMarkerResponse,
+  buildRepairPrompt
+};
@@ -0,0 +1,154 @@
+// ============================================
+// MODEL HEALTH + CIRCUIT BREAKERS
+// ============================================
+// Tracks how each model has been answering so the fallback chain can route around
+// the ones that are down. Every model has a breaker:
+//   closed     - calls go through
+//   open       - failureThreshold failures in a row; the model is skipped until
+//                cooldownMs has passed
+//   half-open  - the cooldown is over and one trial call is let through (another
+//                after a further cooldown if the first never reports back); success
+//                closes the breaker, failure opens it again
+// Routing only asks (allows, arrange); the trial slot is claimed by startCall when
+// the call actually goes out, so a model further down a chain that never gets called
+// doesn't hold it.
+// Only failures that say something about the model count: timeouts, network errors,
+// 429 and 5xx. A 4xx is the request's fault and leaves the breaker alone. Like the
+// rate limiter, state lives in this process only.
+
+const RETRYABLE_STATUS = (status) => status === 429 || status >= 500;
+
+// Whether a failed call is worth repeating against the same model after a pause
+function isRetryable(error) {
+  return typeof error?.status === 'number' && RETRYABLE_STATUS(error.status) && error.code !== 'UPSTREAM_TIMEOUT';
+}
+
+function countsAgainstModel(error) {
+  if (error?.name === 'AbortError') return false;
+  if (typeof error?.status !== 'number') return true; // timeouts, refused connections, bad streams
+  return RETRYABLE_STATUS(error.status) || error.code === 'UPSTREAM_TIMEOUT';
+}
+
+// Full-jitter exponential backoff: a random wait up to baseMs * 2^retry, capped at maxMs
+function backoffDelay(retry, { baseMs = 500, maxMs = 8000 } = {}) {
+  return Math.round(Math.random() * Math.min(maxMs, baseMs * 2 ** retry));
+}
+
+function createModelHealth({ failureThreshold = 3, cooldownMs = 60 * 1000 } = {}) {
+  const models = new Map(); // model -> state
+
+  function stateOf(model) {
+    if (!models.has(model)) {
+      models.set(model, {
+        breaker: 'closed',
+        consecutiveFailures: 0,
+        calls: 0,
+        failures: 0,
+        avgLatencyMs: null,
+        openedAt: null,
+        probeStartedAt: null,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        lastError: null
+      });
+    }
+    return models.get(model);
+  }
+
+  function open(state, now) {
+    state.breaker = 'open';
+    state.openedAt = now;
+    state.probeStartedAt = null;
+  }
+
+  // Whether the trial call of an open breaker is free to go out
+  function probeAvailable(state, now) {
+    if (state.breaker === 'open') return now - state.openedAt >= cooldownMs;
+    return state.breaker === 'half-open' && (state.probeStartedAt === null || now - state.probeStartedAt >= cooldownMs);
+  }
+
+  // Whether a call to model may go out now: the breaker is closed, or its trial call
+  // is free. Changes nothing.
+  function allows(model, now = Date.now()) {
+    const state = stateOf(model);
+    return state.breaker === 'closed' || probeAvailable(state, now);
+  }
+
+  // Called right before a call to model goes out. Claims the trial call when it is
+  // free; returns false only while another trial call is in flight. A breaker still
+  // cooling down lets the call through unclaimed: arrange only routes to one when
+  // every model in the chain is open.
+  function startCall(model, now = Date.now()) {
+    const state = stateOf(model);
+    if (state.breaker === 'closed') return true;
+
+    if (probeAvailable(state, now)) {
+      state.breaker = 'half-open';
+      state.probeStartedAt = now;
+      return true;
+    }
+    return state.breaker === 'open';
+  }
+
+  // The chain with models whose breaker is open left out. When every breaker is
+  // open the whole chain is returned: a request is better spent on one more try
+  // than on failing without one.
+  function arrange(chain, now = Date.now()) {
+    const usable = chain.filter(model => allows(model, now));
+    return usable.length > 0 ? usable : [...chain];
+  }
+
+  function recordSuccess(model, latencyMs, now = Date.now()) {
+    const state = stateOf(model);
+    state.calls++;
+    state.breaker = 'closed';
+    state.consecutiveFailures = 0;
+    state.openedAt = null;
+    state.probeStartedAt = null;
+    state.lastSuccessAt = now;
+    state.avgLatencyMs = state.avgLatencyMs === null ? latencyMs : Math.round(state.avgLatencyMs * 0.8 + latencyMs * 0.2);
+  }
+
+  function recordFailure(model, error, now = Date.now()) {
+    const state = stateOf(model);
+    if (!countsAgainstModel(error)) {
+      state.probeStartedAt = null;
+      return;
+    }
+
+    state.calls++;
+    state.failures++;
+    state.consecutiveFailures++;
+    state.lastFailureAt = now;
+    state.lastError = error?.message || String(error);
+
+    if (state.breaker === 'half-open' || state.consecutiveFailures >= failureThreshold) {
+      if (state.breaker !== 'open') console.warn(`⛔ Circuit open for ${model} (${state.consecutiveFailures} failures in a row)`);
+      open(state, now);
+    }
+  }
+
+  // Per-model snapshot for /health; models never called show as closed
+  function getStatus(names = [...models.keys()], now = Date.now()) {
+    return [...new Set(names)].map(model => {
+      const state = stateOf(model);
+      const reopensAt = state.breaker === 'open' ? state.openedAt + cooldownMs : null;
+      return {
+        model,
+        breaker: state.breaker,
+        consecutiveFailures: state.consecutiveFailures,
+        calls: state.calls,
+        failures: state.failures,
+        avgLatencyMs: state.avgLatencyMs,
+        lastSuccessAt: state.lastSuccessAt && new Date(state.lastSuccessAt).toISOString(),
+        lastFailureAt: state.lastFailureAt && new Date(state.lastFailureAt).toISOString(),
+        lastError: state.lastError,
+        ...(reopensAt && { retryInSeconds: Math.max(0, Math.ceil((reopensAt - now) / 1000)) })
+      };
+    });
+  }
+
+  return { allows, arrange, startCall, recordSuccess, recordFailure, getStatus, failureThreshold, cooldownMs };
+}
+
+module.exports = { createModelHealth, isRetryable, backoffDelay };
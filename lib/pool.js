@@ -0,0 +1,27 @@
+// ============================================
+// BOUNDED CONCURRENCY
+// ============================================
+// Like Promise.allSettled(items.map(fn)) but with at most `limit` calls in flight,
+// so a long manuscript can't fire dozens of model requests at once.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const idx = next++;
+      try {
+        results[idx] = { status: 'fulfilled', value: await fn(items[idx], idx) };
+      } catch (error) {
+        results[idx] = { status: 'rejected', reason: error };
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
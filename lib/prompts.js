@@ -0,0 +1,132 @@
+// ============================================
+// PROMPT TEMPLATE REGISTRY
+// ============================================
+// Prompts live in files instead of string literals:
+//   prompts/<group>/<part>.<version>.txt   ->  template "<group>/<part>", version "<version>"
+// e.g. prompts/unhinge/system.v1.txt is "unhinge/system" v1. Templates use {{variable}}
+// placeholders; a placeholder the caller didn't supply is an error, so typos surface
+// on the first request instead of reaching the model.
+//
+// The default version of a template is the one pinned in prompts/versions.json
+// ({ "unhinge/system": "v1" }) or else the highest version on disk. A request can ask
+// for another version (promptVersion: "v2"); templates without that version fall back
+// to their default. The directory is re-read when files change, at most every reloadMs.
+
+const fs = require('fs');
+const path = require('path');
+
+const FILE_PATTERN = /^(.+)\.([A-Za-z0-9_-]+)\.(?:txt|md)$/;
+const MANIFEST = 'versions.json';
+
+// v2 > v1, v10 > v9; anything non-numeric sorts by name
+function compareVersions(a, b) {
+  const numA = parseInt(a.replace(/^\D+/, ''), 10);
+  const numB = parseInt(b.replace(/^\D+/, ''), 10);
+  if (!Number.isNaN(numA) && !Number.isNaN(numB) && numA !== numB) return numA - numB;
+  return a.localeCompare(b);
+}
+
+function createPromptRegistry({ dir, reloadMs = 2000 } = {}) {
+  let templates = new Map(); // name -> Map(version -> text)
+  let pinned = {};
+  let signature = null;
+  let checkedAt = 0;
+
+  function listFiles() {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .flatMap(group => fs.readdirSync(path.join(dir, group.name))
+        .filter(file => FILE_PATTERN.test(file))
+        .map(file => ({ group: group.name, file, full: path.join(dir, group.name, file) })));
+  }
+
+  function currentSignature(files) {
+    const manifest = path.join(dir, MANIFEST);
+    const parts = files.map(({ full }) => `${full}:${fs.statSync(full).mtimeMs}`);
+    if (fs.existsSync(manifest)) parts.push(`${manifest}:${fs.statSync(manifest).mtimeMs}`);
+    return parts.sort().join('|');
+  }
+
+  function load() {
+    const files = listFiles();
+    const next = new Map();
+
+    for (const { group, file, full } of files) {
+      const [, part, version] = file.match(FILE_PATTERN);
+      const name = `${group}/${part}`;
+      if (!next.has(name)) next.set(name, new Map());
+      // Editors add a trailing newline; the prompt shouldn't carry it
+      next.get(name).set(version, fs.readFileSync(full, 'utf8').replace(/\r?\n$/, ''));
+    }
+
+    const manifest = path.join(dir, MANIFEST);
+    const nextPinned = fs.existsSync(manifest) ? JSON.parse(fs.readFileSync(manifest, 'utf8')) : {};
+
+    const reloaded = signature !== null;
+    templates = next;
+    pinned = nextPinned;
+    signature = currentSignature(files);
+    console.log(`📜 ${reloaded ? 'Reloaded' : 'Loaded'} ${templates.size} prompt templates from ${dir}`);
+  }
+
+  function refresh(force = false) {
+    const now = Date.now();
+    if (!force && signature !== null && now - checkedAt < reloadMs) return;
+    checkedAt = now;
+
+    try {
+      if (force || signature === null || currentSignature(listFiles()) !== signature) load();
+    } catch (error) {
+      // A half-saved file or bad manifest keeps the last good set
+      if (signature === null) throw error;
+      console.error("❌ Prompt reload failed, keeping previous templates:", error.message);
+    }
+  }
+
+  function defaultVersion(name) {
+    const versions = templates.get(name);
+    if (pinned[name] && versions.has(pinned[name])) return pinned[name];
+    return [...versions.keys()].sort(compareVersions).pop();
+  }
+
+  // { text, version } with every {{variable}} filled in
+  function render(name, vars = {}, requestedVersion = null) {
+    refresh();
+
+    const versions = templates.get(name);
+    if (!versions) {
+      throw new Error(`Unknown prompt template: ${name}`);
+    }
+
+    const version = requestedVersion && versions.has(requestedVersion) ? requestedVersion : defaultVersion(name);
+    const text = versions.get(version).replace(/\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g, (match, key) => {
+      if (!(key in vars)) {
+        throw new Error(`Prompt ${name}@${version} uses unknown variable {{${key}}}`);
+      }
+      return vars[key] ?? '';
+    });
+
+    return { text, version };
+  }
+
+  function has(name) {
+    refresh();
+    return templates.has(name);
+  }
+
+  function list() {
+    refresh();
+    return [...templates.keys()].sort().map(name => ({
+      name,
+      versions: [...templates.get(name).keys()].sort(compareVersions),
+      default: defaultVersion(name)
+    }));
+  }
+
+  refresh(true);
+  return { render, has, list, reload: () => refresh(true) };
+}
+
+module.exports = { createPromptRegistry };
@@ -0,0 +1,98 @@
+// ============================================
+// RATE LIMITS + DAILY QUOTAS (IN MEMORY)
+// ============================================
+// Three checks per request, all keyed by the caller's principal id:
+//   - a per-minute limit across everything the caller does,
+//   - an optional per-minute limit for each action (full_audit is far pricier than invoke),
+//   - a daily request quota that resets at 00:00 UTC.
+// Limits are sliding one-minute windows. State lives in this process only, so running
+// several instances multiplies the effective limits.
+
+const WINDOW_MS = 60 * 1000;
+
+function nextUtcMidnight(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+function createRateLimiter({ perMinute = 30, actionLimits = {}, dailyQuota = 500 } = {}) {
+  const windows = new Map(); // "<principal>|<scope>" -> [timestamps]
+  const daily = new Map(); // principal -> { day, count }
+
+  function recent(key, now) {
+    const hits = (windows.get(key) || []).filter(at => at > now - WINDOW_MS);
+    windows.set(key, hits);
+    return hits;
+  }
+
+  function rejection(code, error, details, retryAfterMs, extra = {}) {
+    return { allowed: false, status: 429, code, error, details, retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000)), ...extra };
+  }
+
+  // Records the request when it is allowed; a rejected request costs nothing
+  function check(principal, action, now = Date.now()) {
+    const limit = principal.perMinute || perMinute;
+    const actionLimit = action ? (principal.actionLimits?.[action] ?? actionLimits[action]) : undefined;
+    const quota = principal.dailyQuota ?? dailyQuota;
+
+    const day = new Date(now).toISOString().slice(0, 10);
+    const usage = daily.get(principal.id);
+    const used = usage && usage.day === day ? usage.count : 0;
+
+    if (quota > 0 && used >= quota) {
+      const resetsAt = nextUtcMidnight(now);
+      return rejection(
+        'QUOTA_EXCEEDED',
+        "Daily quota exceeded",
+        `${principal.name || principal.id} has used all ${quota} requests for ${day}; the quota resets at 00:00 UTC`,
+        resetsAt - now,
+        { quota: { limit: quota, used, resetsAt: new Date(resetsAt).toISOString() } }
+      );
+    }
+
+    const overall = recent(`${principal.id}|*`, now);
+    if (limit > 0 && overall.length >= limit) {
+      return rejection('RATE_LIMITED', "Rate limit exceeded", `Limit is ${limit} requests per minute`, overall[0] + WINDOW_MS - now, { limit });
+    }
+
+    const perAction = action ? recent(`${principal.id}|${action}`, now) : [];
+    if (actionLimit > 0 && perAction.length >= actionLimit) {
+      return rejection(
+        'RATE_LIMITED',
+        "Rate limit exceeded",
+        `Limit for ${action} is ${actionLimit} requests per minute`,
+        perAction[0] + WINDOW_MS - now,
+        { limit: actionLimit, action }
+      );
+    }
+
+    overall.push(now);
+    if (action) perAction.push(now);
+    daily.set(principal.id, { day, count: used + 1 });
+
+    return {
+      allowed: true,
+      limit,
+      remaining: limit > 0 ? limit - overall.length : null,
+      quota: quota > 0 ? { limit: quota, used: used + 1 } : null
+    };
+  }
+
+  // Drop windows nobody has touched for a minute, and yesterday's counters, so idle
+  // callers don't pile up
+  function sweep(now = Date.now()) {
+    const today = new Date(now).toISOString().slice(0, 10);
+
+    for (const [key, hits] of windows) {
+      if (!hits.some(at => at > now - WINDOW_MS)) windows.delete(key);
+    }
+
+    for (const [id, usage] of daily) {
+      if (usage.day !== today) daily.delete(id);
+    }
+  }
+
+  return { check, sweep };
+}
+
+module.exports = { createRateLimiter };
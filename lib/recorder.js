@@ -0,0 +1,143 @@
+// ============================================
+// RECORD / REPLAY OF OUTBOUND CALLS
+// ============================================
+// Wraps the model provider and the Wix Data requests so the server can run offline:
+//   record  - make the real call and save the request/response pair as a fixture
+//   replay  - serve saved fixtures and never touch the network; a request with no
+//             fixture throws (code FIXTURE_MISSING) instead of falling through
+//   off     - pass everything straight through
+// Fixtures are JSON files under <dir>/<kind>/, named by a readable label plus a
+// hash of the request. Failures are recorded too, so a replay reproduces fallback
+// paths where the primary model errors. ISO timestamps and UUIDs are masked before
+// hashing so session writes replay across runs. Identical requests share one
+// fixture; the last recording wins.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { stableStringify } = require('./cache');
+const { apiError } = require('./errors');
+
+const MODES = ['off', 'record', 'replay'];
+const TIMESTAMP_PATTERN = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/g;
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+
+function fixtureKey(request) {
+  const material = stableStringify(request)
+    .replace(TIMESTAMP_PATTERN, '<timestamp>')
+    .replace(UUID_PATTERN, '<uuid>');
+  return crypto.createHash('sha256').update(material).digest('hex').slice(0, 16);
+}
+
+function slug(text) {
+  return String(text || 'request').replace(/[^A-Za-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'request';
+}
+
+// name and code survive the round trip, so a replayed timeout is still a TimeoutError
+// and a replayed WIX_UNAVAILABLE still carries its code
+function serializeError(error) {
+  return {
+    message: error.message,
+    ...(error.name && error.name !== 'Error' && { name: error.name }),
+    ...(error.code && { code: error.code }),
+    ...(error.status && { status: error.status })
+  };
+}
+
+function restoreError({ message, name, code, status }) {
+  const error = new Error(message);
+  if (name) error.name = name;
+  if (code) error.code = code;
+  if (status) error.status = status;
+  return error;
+}
+
+function createRecorder({ mode = 'off', dir } = {}) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown record mode: ${mode}. Available: ${MODES.join(', ')}`);
+  }
+
+  const counts = { recorded: 0, replayed: 0, missing: 0 };
+
+  function fixturePath(kind, label, request) {
+    return path.join(dir, kind, `${slug(label)}-${fixtureKey(request)}.json`);
+  }
+
+  async function save(file, fixture) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify(fixture, null, 2) + '\n');
+    counts.recorded++;
+  }
+
+  function replay(kind, label, request) {
+    const file = fixturePath(kind, label, request);
+
+    if (!fs.existsSync(file)) {
+      counts.missing++;
+      console.error(`❌ Replay: no ${kind} fixture for ${label} (${path.relative(process.cwd(), file)})`);
+      throw apiError('FIXTURE_MISSING', `No recorded ${kind} fixture for ${label}; record it with RECORD_MODE=record`);
+    }
+
+    counts.replayed++;
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (fixture.error) {
+      throw restoreError(fixture.error);
+    }
+    return fixture.response;
+  }
+
+  // perform() makes the real call; label names the fixture file (model, Wix path)
+  async function call(kind, label, request, perform) {
+    if (mode === 'replay') {
+      return replay(kind, label, request);
+    }
+
+    if (mode === 'off') {
+      return await perform();
+    }
+
+    const file = fixturePath(kind, label, request);
+    const fixture = { kind, label, recordedAt: new Date().toISOString(), request };
+
+    try {
+      const response = await perform();
+      await save(file, { ...fixture, response });
+      return response;
+    } catch (error) {
+      // An aborted call says nothing about the upstream service
+      if (error.name !== 'AbortError') {
+        await save(file, { ...fixture, error: serializeError(error) });
+      }
+      throw error;
+    }
+  }
+
+  // The provider with complete() going through call(). Streaming callers get the
+  // replayed completion as a single token.
+  function wrapProvider(provider) {
+    if (mode === 'off') return provider;
+
+    return {
+      ...provider,
+      name: `${provider.name}+${mode}`,
+
+      isConfigured() {
+        return mode === 'replay' || provider.isConfigured();
+      },
+
+      async complete(request) {
+        const { model, messages, temperature, maxTokens } = request;
+        const response = await call('llm', model, { model, messages, temperature, maxTokens }, () => provider.complete(request));
+
+        if (mode === 'replay' && typeof request.onToken === 'function' && response.content) {
+          request.onToken(response.content);
+        }
+        return response;
+      }
+    };
+  }
+
+  return { mode, call, wrapProvider, getStats: () => ({ mode, dir, ...counts }) };
+}
+
+module.exports = { createRecorder, fixtureKey, RECORD_MODES: MODES };
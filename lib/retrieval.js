@@ -0,0 +1,182 @@
+// ============================================
+// PASSAGE RETRIEVAL (BM25 OVER STORY CHAPTERS)
+// ============================================
+// Chapters are cut into paragraph-aligned passages of roughly passageWords words and
+// ranked against free text (the scene being written, a prompt, a chat message) with
+// Okapi BM25. Indexes are kept in memory per story and rebuilt whenever the chapter
+// list they were built from changes.
+//
+// Chapters: [{ id, title, storyTag, number, total, updatedAt, content }]
+// Passages: { chapterTitle, storyTag, chapterNumber, chapterCount, firstParagraph,
+//             lastParagraph, paragraphCount, text, words } (paragraphs 1-based)
+
+const { splitParagraphs } = require('./chunker');
+const { tokenizeWords, lemmatize, STOPWORDS } = require('./textStats');
+
+const K1 = 1.2;
+const B = 0.75;
+
+function toTerms(text) {
+  return tokenizeWords(text || '')
+    .map(token => token.word)
+    .filter(word => word.length > 2 && !STOPWORDS.has(word))
+    .map(lemmatize);
+}
+
+function splitPassages(chapter, passageWords) {
+  const paragraphs = splitParagraphs(chapter.content || '');
+  const passages = [];
+  let current = null;
+
+  const close = () => {
+    if (current) passages.push(current);
+    current = null;
+  };
+
+  for (const paragraph of paragraphs) {
+    // A scene break ends the passage and is not indexed itself
+    if (paragraph.sceneBreak) {
+      close();
+      continue;
+    }
+
+    if (current && current.words + paragraph.words > passageWords) close();
+
+    if (!current) {
+      current = {
+        chapterTitle: chapter.title,
+        storyTag: chapter.storyTag,
+        chapterNumber: chapter.number,
+        chapterCount: chapter.total,
+        firstParagraph: paragraph.index + 1,
+        lastParagraph: paragraph.index + 1,
+        paragraphCount: paragraphs.length,
+        text: '',
+        words: 0
+      };
+    }
+
+    current.text += (current.text ? '\n\n' : '') + paragraph.text;
+    current.words += paragraph.words;
+    current.lastParagraph = paragraph.index + 1;
+  }
+
+  close();
+  return passages;
+}
+
+// ============================================
+// INDEX
+// ============================================
+function createPassageIndex(chapters, { passageWords = 220 } = {}) {
+  const passages = chapters.flatMap(chapter => splitPassages(chapter, passageWords));
+  const termFrequencies = passages.map(passage => {
+    const counts = new Map();
+    toTerms(passage.text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    return counts;
+  });
+  const lengths = termFrequencies.map(counts => [...counts.values()].reduce((sum, n) => sum + n, 0));
+  const averageLength = lengths.reduce((sum, n) => sum + n, 0) / (lengths.length || 1);
+
+  const documentFrequency = new Map();
+  termFrequencies.forEach(counts => {
+    for (const term of counts.keys()) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  });
+
+  function idf(term) {
+    const df = documentFrequency.get(term) || 0;
+    return Math.log(1 + (passages.length - df + 0.5) / (df + 0.5));
+  }
+
+  // Ranked best first; passages sharing no term with the query are never returned
+  function search(query, { limit = 5 } = {}) {
+    const queryTerms = [...new Set(toTerms(query))].filter(term => documentFrequency.has(term));
+    if (queryTerms.length === 0) return [];
+
+    return passages
+      .map((passage, idx) => {
+        const counts = termFrequencies[idx];
+        const norm = K1 * (1 - B + B * (lengths[idx] / (averageLength || 1)));
+        const score = queryTerms.reduce((sum, term) => {
+          const tf = counts.get(term) || 0;
+          return tf === 0 ? sum : sum + idf(term) * ((tf * (K1 + 1)) / (tf + norm));
+        }, 0);
+        return { ...passage, score: Math.round(score * 1000) / 1000 };
+      })
+      .filter(passage => passage.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // The last passages of the newest chapter: where the story currently stands
+  function latest(count = 1) {
+    if (passages.length === 0 || count <= 0) return [];
+    const last = passages[passages.length - 1];
+    return passages
+      .filter(passage => passage.chapterNumber === last.chapterNumber && passage.storyTag === last.storyTag)
+      .slice(-count);
+  }
+
+  return { passages, search, latest };
+}
+
+// ============================================
+// PER-STORY INDEX CACHE
+// ============================================
+function fingerprint(chapters) {
+  return chapters.map(chapter => `${chapter.id}:${chapter.updatedAt || ''}:${(chapter.content || '').length}`).join('|');
+}
+
+function createRetriever({ passageWords = 220, maxIndexes = 20 } = {}) {
+  const indexes = new Map(); // key -> { fingerprint, index, builtAt }
+  const stats = { builds: 0, reuses: 0 };
+
+  function getIndex(key, chapters) {
+    const print = fingerprint(chapters);
+    const entry = indexes.get(key);
+
+    if (entry && entry.fingerprint === print) {
+      stats.reuses++;
+      // Re-insert so the least recently used index is the one evicted
+      indexes.delete(key);
+      indexes.set(key, entry);
+      return entry.index;
+    }
+
+    const index = createPassageIndex(chapters, { passageWords });
+    indexes.delete(key);
+    indexes.set(key, { fingerprint: print, index, builtAt: new Date().toISOString() });
+    stats.builds++;
+
+    while (indexes.size > maxIndexes) {
+      indexes.delete(indexes.keys().next().value);
+    }
+
+    console.log(`🗂️ Indexed ${index.passages.length} passages from ${chapters.length} chapters (${key})`);
+    return index;
+  }
+
+  function invalidate(key) {
+    if (!key) {
+      const removed = indexes.size;
+      indexes.clear();
+      return removed;
+    }
+    return indexes.delete(key) ? 1 : 0;
+  }
+
+  function getStats() {
+    return {
+      ...stats,
+      indexes: [...indexes.entries()].map(([key, entry]) => ({
+        key,
+        passages: entry.index.passages.length,
+        builtAt: entry.builtAt
+      }))
+    };
+  }
+
+  return { getIndex, invalidate, getStats };
+}
+
+module.exports = { createPassageIndex, createRetriever, toTerms };
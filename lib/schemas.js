@@ -0,0 +1,135 @@
+// ============================================
+// ACTION INPUT SCHEMAS
+// ============================================
+// Every action declares the request fields it reads, so a bad request is turned
+// away before any Wix or model call and front ends can build forms from GET /actions:
+//   {
+//     description: "Rewrite a chapter darker",
+//     output: 'text',                      // resultType of a successful response
+//     params: {
+//       chapterContent: { type: 'string', required: true, maxLength: 200000, description: "..." },
+//       format: { type: 'string', enum: ['text', 'diff'], default: 'text' },
+//       variants: { type: 'integer', min: 1, max: 4 },
+//       analyzers: { type: 'array', items: 'string', enum: [...], maxItems: 6 }
+//     }
+//   }
+// Types: string, integer, number, boolean, tags (one tag or a list of tags), array
+// (items: the entry type; enum applies to the entries), object and any (custom action
+// inputs, which may be text or a list). A required string must be non-empty and a
+// required array must have an entry. Fields a schema doesn't name are left alone;
+// request options such as stream and async aren't part of it.
+
+const TYPES = ['string', 'integer', 'number', 'boolean', 'tags', 'array', 'object', 'any'];
+const TYPE_NAMES = { integer: 'an integer', tags: 'a tag or a list of tags', array: 'a list', object: 'an object' };
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'tags':
+      return typeof value === 'string' || (Array.isArray(value) && value.every(tag => typeof tag === 'string'));
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    case 'any':
+      return true;
+    default:
+      return typeof value === type;
+  }
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim().length === 0;
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+}
+
+// Problems with one field as [{ field, message }]
+function checkParam(field, spec, value) {
+  if (isEmpty(value)) {
+    return spec.required ? [{ field, message: `${field} is required` }] : [];
+  }
+
+  if (!matchesType(value, spec.type)) {
+    return [{ field, message: `${field} must be ${TYPE_NAMES[spec.type] || `a ${spec.type}`}, got ${typeOf(value)}` }];
+  }
+
+  const problems = [];
+  const fail = (message) => problems.push({ field, message });
+  const length = typeof value === 'string' || Array.isArray(value) ? value.length : null;
+
+  if (spec.maxLength && typeof value === 'string' && length > spec.maxLength) {
+    fail(`${field} is ${length} characters; the limit is ${spec.maxLength}`);
+  }
+
+  if (spec.maxItems && Array.isArray(value) && length > spec.maxItems) {
+    fail(`${field} has ${length} entries; the limit is ${spec.maxItems}`);
+  }
+
+  if (spec.min !== undefined && value < spec.min) fail(`${field} must be at least ${spec.min}`);
+  if (spec.max !== undefined && value > spec.max) fail(`${field} must be at most ${spec.max}`);
+
+  if (Array.isArray(value) && spec.items && value.some(entry => !matchesType(entry, spec.items))) {
+    fail(`${field} entries must be ${spec.items} values`);
+  }
+
+  if (spec.enum) {
+    const entries = Array.isArray(value) ? value : [value];
+    const unknown = entries.filter(entry => !spec.enum.includes(entry));
+    if (unknown.length > 0) {
+      fail(`${field} has unknown value${unknown.length > 1 ? 's' : ''} ${unknown.map(entry => JSON.stringify(entry)).join(', ')}. Available: ${spec.enum.join(', ')}`);
+    }
+  }
+
+  return problems;
+}
+
+// [{ field, message }], empty when the body satisfies the schema
+function validateInput(schema, body = {}) {
+  return Object.entries(schema.params || {}).flatMap(([field, spec]) => checkParam(field, spec, body[field]));
+}
+
+// The schema as GET /actions lists it
+function describeSchema(name, schema, extra = {}) {
+  return {
+    name,
+    description: schema.description || '',
+    output: schema.output,
+    ...extra,
+    params: Object.entries(schema.params || {}).map(([field, spec]) => ({
+      name: field,
+      type: spec.type,
+      required: Boolean(spec.required),
+      ...(spec.items && { items: spec.items }),
+      ...(spec.enum && { enum: spec.enum }),
+      ...(spec.default !== undefined && { default: spec.default }),
+      ...(spec.maxLength && { maxLength: spec.maxLength }),
+      ...(spec.maxItems && { maxItems: spec.maxItems }),
+      ...(spec.min !== undefined && { min: spec.min }),
+      ...(spec.max !== undefined && { max: spec.max }),
+      ...(spec.description && { description: spec.description })
+    }))
+  };
+}
+
+// Fails fast on typos in the schema tables themselves
+function checkSchema(name, schema) {
+  Object.entries(schema.params || {}).forEach(([field, spec]) => {
+    if (!TYPES.includes(spec.type)) {
+      throw new Error(`Schema for ${name}: ${field} has unknown type ${spec.type}`);
+    }
+  });
+  return schema;
+}
+
+module.exports = { validateInput, describeSchema, checkSchema, SCHEMA_TYPES: TYPES };
@@ -0,0 +1,214 @@
+// ============================================
+// STYLE CONTROLS FOR THE DARKENING REWRITES
+// ============================================
+// unhinge, noMercy and intensify share one set of request controls:
+//   intensity         1 (a shade darker) .. 5 (no limits); 3 is the classic behaviour
+//   lengthRatio       target output length as a multiple of the input, 0.25 .. 3
+//   preserveDialogue  every quoted line must survive word for word
+//   lockPov / lockTense  keep the source's point of view / tense
+//   locked            strings (names, places, facts) the rewrite must keep verbatim
+// They are spelled out in the system prompt and checked against the rewrite
+// afterwards; the check reports violations rather than failing the request.
+
+const { apiError } = require('./errors');
+
+const INTENSITY_LEVELS = {
+  1: "Intensity 1 of 5: a shade darker. Sharpen the mood and tension with a light touch; keep the prose close to the original.",
+  2: "Intensity 2 of 5: noticeably darker. Deepen the dread and the characters' inner conflict while keeping the original's restraint.",
+  3: "Intensity 3 of 5: dark and visceral. Amplify tension, menace and psychological weight throughout.",
+  4: "Intensity 4 of 5: brutal. Make it raw, disturbing and relentless; push every beat as far as the scene allows.",
+  5: "Intensity 5 of 5: no limits. Make it as harrowing, unhinged and extreme as the scene can carry without breaking the plot."
+};
+
+const LENGTH_TOLERANCE = 0.25;
+const DIALOGUE_PATTERN = /"([^"\n]{2,})"|“([^”\n]{2,})”/g;
+
+const PERSON_WORDS = {
+  first: /\b(I|me|my|mine|myself|we|us|our|ours)\b/gi,
+  second: /\b(you|your|yours|yourself)\b/gi,
+  third: /\b(he|him|his|himself|she|her|hers|herself|they|them|their|theirs)\b/gi
+};
+const PAST_WORDS = /\b(was|were|had|did|said|went|felt|looked|turned|knew|thought|could|would|saw|came|took)\b/gi;
+const PRESENT_WORDS = /\b(is|are|am|has|does|says|goes|feels|looks|turns|knows|thinks|can|will|sees|comes|takes)\b/gi;
+
+const CONTROL_FIELDS = ['intensity', 'lengthRatio', 'preserveDialogue', 'lockPov', 'lockTense', 'locked'];
+
+// Normalized controls from a request body, or null when it sets none of them.
+// Throws a VALIDATION_ERROR on values that can't be honoured.
+function parseStyleControls(body = {}) {
+  if (!CONTROL_FIELDS.some(field => body[field] !== undefined)) {
+    return null;
+  }
+
+  const intensity = body.intensity === undefined ? 3 : Number(body.intensity);
+  if (!Number.isInteger(intensity) || !INTENSITY_LEVELS[intensity]) {
+    throw apiError('VALIDATION_ERROR', "intensity must be a whole number from 1 to 5");
+  }
+
+  const lengthRatio = body.lengthRatio === undefined ? null : Number(body.lengthRatio);
+  if (lengthRatio !== null && !(lengthRatio >= 0.25 && lengthRatio <= 3)) {
+    throw apiError('VALIDATION_ERROR', "lengthRatio must be between 0.25 and 3");
+  }
+
+  const locked = body.locked === undefined ? [] : body.locked;
+  if (!Array.isArray(locked) || locked.some(entry => typeof entry !== 'string' || !entry.trim())) {
+    throw apiError('VALIDATION_ERROR', "locked must be a list of non-empty strings");
+  }
+
+  return {
+    intensity,
+    lengthRatio,
+    preserveDialogue: Boolean(body.preserveDialogue),
+    lockPov: Boolean(body.lockPov),
+    lockTense: Boolean(body.lockTense),
+    locked: [...new Set(locked.map(entry => entry.trim()))]
+  };
+}
+
+// Sampling temperature nudged by intensity around the action's usual value
+function temperatureFor(base, controls) {
+  if (!controls) return base;
+  return Math.round(Math.min(1.2, Math.max(0.2, base + (controls.intensity - 3) * 0.05)) * 100) / 100;
+}
+
+function countWords(text) {
+  return (text.match(/[^\s]+/g) || []).length;
+}
+
+function extractDialogue(text) {
+  return [...text.matchAll(DIALOGUE_PATTERN)].map(match => (match[1] || match[2]).trim());
+}
+
+function narration(text) {
+  return text.replace(DIALOGUE_PATTERN, ' ');
+}
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+// 'first' | 'second' | 'third', or null when there's too little to tell
+function detectPov(text) {
+  const prose = narration(text);
+  const counts = Object.fromEntries(Object.entries(PERSON_WORDS).map(([person, pattern]) => [person, countMatches(prose, pattern)]));
+  const total = counts.first + counts.second + counts.third;
+  if (total < 5) return null;
+
+  if (counts.first / total >= 0.3) return 'first';
+  if (counts.second / total >= 0.4) return 'second';
+  return 'third';
+}
+
+// 'past' | 'present', or null when neither clearly dominates
+function detectTense(text) {
+  const prose = narration(text);
+  const past = countMatches(prose, PAST_WORDS);
+  const present = countMatches(prose, PRESENT_WORDS);
+  if (past + present < 4) return null;
+
+  if (past >= present * 2) return 'past';
+  if (present >= past * 2) return 'present';
+  return null;
+}
+
+// The block appended to the action's system prompt
+function formatStyleInstructions(controls, source) {
+  if (!controls) return '';
+
+  const lines = [INTENSITY_LEVELS[controls.intensity]];
+
+  if (controls.lengthRatio !== null) {
+    const target = Math.round(countWords(source) * controls.lengthRatio);
+    lines.push(`Length: about ${target} words (${controls.lengthRatio}x the original). Stay within ${Math.round(LENGTH_TOLERANCE * 100)}% of that.`);
+  }
+
+  if (controls.preserveDialogue) {
+    lines.push("Dialogue: keep every line of dialogue exactly as written, word for word. Only the prose around it may change.");
+  }
+
+  if (controls.lockPov) {
+    const pov = detectPov(source);
+    lines.push(`Point of view: keep the original's ${pov ? `${pov}-person ` : ''}point of view. Do not switch narrators.`);
+  }
+
+  if (controls.lockTense) {
+    const tense = detectTense(source);
+    lines.push(`Tense: keep the original's ${tense ? `${tense} ` : ''}tense throughout.`);
+  }
+
+  if (controls.locked.length > 0) {
+    lines.push(`Do NOT change, rename or remove these elements; they must appear exactly as written: ${controls.locked.map(entry => `"${entry}"`).join(', ')}.`);
+  }
+
+  return `STYLE CONTROLS (hard constraints):\n${lines.map(line => `- ${line}`).join('\n')}`;
+}
+
+// { passed, lengthRatio: { target, actual }, violations: [{ rule, message }] }
+function checkStyle(controls, source, output) {
+  const violations = [];
+  const sourceWords = countWords(source);
+  const actual = sourceWords > 0 ? Math.round((countWords(output) / sourceWords) * 100) / 100 : null;
+
+  if (controls.lengthRatio !== null && actual !== null && Math.abs(actual - controls.lengthRatio) > controls.lengthRatio * LENGTH_TOLERANCE) {
+    violations.push({
+      rule: 'lengthRatio',
+      message: `Output is ${actual}x the input length; target was ${controls.lengthRatio}x (±${Math.round(LENGTH_TOLERANCE * 100)}%)`
+    });
+  }
+
+  if (controls.preserveDialogue) {
+    const normalized = output.replace(/[“”]/g, '"');
+    const lost = extractDialogue(source).filter(line => !normalized.includes(line));
+    if (lost.length > 0) {
+      violations.push({
+        rule: 'preserveDialogue',
+        message: `${lost.length} line(s) of dialogue were changed or dropped`,
+        lines: lost
+      });
+    }
+  }
+
+  if (controls.lockPov) {
+    const before = detectPov(source);
+    const after = detectPov(output);
+    if (before && after && before !== after) {
+      violations.push({ rule: 'lockPov', message: `Point of view changed from ${before} to ${after} person` });
+    }
+  }
+
+  if (controls.lockTense) {
+    const before = detectTense(source);
+    const after = detectTense(output);
+    if (before && after && before !== after) {
+      violations.push({ rule: 'lockTense', message: `Tense changed from ${before} to ${after}` });
+    }
+  }
+
+  // Only elements the source actually contains can be lost
+  const lowerSource = source.toLowerCase();
+  const lowerOutput = output.toLowerCase();
+  const missing = controls.locked.filter(entry => lowerSource.includes(entry.toLowerCase()) && !lowerOutput.includes(entry.toLowerCase()));
+  if (missing.length > 0) {
+    violations.push({
+      rule: 'locked',
+      message: `${missing.length} locked element(s) are missing from the rewrite`,
+      elements: missing
+    });
+  }
+
+  return {
+    passed: violations.length === 0,
+    lengthRatio: { target: controls.lengthRatio, actual },
+    violations
+  };
+}
+
+module.exports = {
+  INTENSITY_LEVELS,
+  parseStyleControls,
+  temperatureFor,
+  formatStyleInstructions,
+  checkStyle,
+  detectPov,
+  detectTense
+};
@@ -0,0 +1,571 @@
+// ============================================
+// LOCAL TEXT STATISTICS (NO LLM)
+// ============================================
+// Exact counts the models are bad at: word/lemma frequency, repeated phrases,
+// crutch verbs, fillers, sentence-length spread, passive voice and clause depth.
+// The numbers are returned to the editor as-is and pasted into the overuse and
+// mechanics prompts so the model interprets them instead of recounting.
+
+const { splitParagraphs } = require('./chunker');
+
+const STOPWORDS = new Set(`a about above after again against all am an and any are aren't as at be because been
+before being below between both but by can can't cannot could couldn't did didn't do does doesn't doing don't down
+during each few for from further had hadn't has hasn't have haven't having he he'd he'll he's her here here's hers
+herself him himself his how how's i i'd i'll i'm i've if in into is isn't it it's its itself let's me more most
+mustn't my myself no nor not of off on once only or other ought our ours ourselves out over own same shan't she
+she'd she'll she's should shouldn't so some such than that that's the their theirs them themselves then there
+there's these they they'd they'll they're they've this those through to too under until up very was wasn't we we'd
+we'll we're we've were weren't what what's when when's where where's which while who who's whom why why's with
+won't would wouldn't you you'd you'll you're you've your yours yourself yourselves said says say`.split(/\s+/));
+
+const CRUTCH_VERBS = ['was', 'were', 'had', 'felt', 'seemed', 'looked', 'got', 'started', 'began', 'realized',
+  'knew', 'thought', 'saw', 'heard', 'noticed', 'decided', 'tried', 'turned', 'nodded', 'shrugged', 'smiled', 'sighed'];
+
+const FILLERS = ['just', 'really', 'very', 'actually', 'basically', 'literally', 'quite', 'rather', 'somehow',
+  'suddenly', 'simply', 'totally', 'completely', 'slightly', 'almost', 'maybe', 'perhaps', 'um', 'uh', 'well',
+  'kind of', 'sort of', 'a little', 'a bit', 'i mean', 'you know'];
+
+const IRREGULAR_LEMMAS = {
+  was: 'be', were: 'be', is: 'be', are: 'be', been: 'be', being: 'be', am: 'be',
+  had: 'have', has: 'have', having: 'have', did: 'do', does: 'do', done: 'do',
+  went: 'go', gone: 'go', goes: 'go', saw: 'see', seen: 'see', knew: 'know', known: 'know',
+  felt: 'feel', thought: 'think', got: 'get', gotten: 'get', took: 'take', taken: 'take',
+  came: 'come', made: 'make', said: 'say', told: 'tell', found: 'find', left: 'leave',
+  held: 'hold', stood: 'stand', ran: 'run', eyes: 'eye', men: 'man', women: 'woman'
+};
+
+const IRREGULAR_PARTICIPLES = new Set(`been born beaten become begun bent bitten blown broken brought built burnt
+bought caught chosen come cut dealt done drawn dreamt driven drunk eaten fallen fed felt fought found flown forgotten
+forgiven frozen given gone ground grown hung heard hidden hit held hurt kept known laid led left lent let lain lit
+lost made meant met paid put read ridden rung risen run said seen sought sold sent set shaken shot shown shut sung
+sunk sat slain slept slid spoken spent spun split spread stood stolen stuck stung struck sworn swept swum swung
+taken taught torn told thought thrown understood woken worn woven won wound written`.split(/\s+/));
+
+const SUBORDINATORS = new Set(['which', 'that', 'who', 'whom', 'whose', 'because', 'although', 'though', 'while',
+  'whereas', 'when', 'whenever', 'where', 'wherever', 'if', 'unless', 'since', 'until', 'after', 'before', 'as']);
+
+const ABBREVIATIONS = /\b(?:Mr|Mrs|Ms|Dr|St|Jr|Sr|Prof|vs|etc)\.$/;
+
+// ============================================
+// TOKENIZING
+// ============================================
+function tokenizeWords(text) {
+  const words = [];
+  const pattern = /[A-Za-zÀ-ɏ]+(?:['’][A-Za-z]+)*/g;
+  let match;
+
+  let lastEnd = 0;
+
+  while ((match = pattern.exec(text)) !== null) {
+    words.push({
+      word: match[0].toLowerCase().replace(/’/g, "'"),
+      start: match.index,
+      end: match.index + match[0].length,
+      // Sentence-ending punctuation or a line break since the previous word
+      breakBefore: /[.!?;:\n]/.test(text.slice(lastEnd, match.index))
+    });
+    lastEnd = match.index + match[0].length;
+  }
+
+  return words;
+}
+
+function splitSentences(text) {
+  const sentences = [];
+  const pattern = /[^.!?\n]+(?:[.!?]+["'”’)\]]*|$)/gm;
+  let pending = null;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+
+    const start = pending ? pending.start : match.index;
+    const end = match.index + match[0].length;
+    const raw = text.slice(start, end);
+
+    // "Mr. Grey" shouldn't end a sentence
+    if (ABBREVIATIONS.test(raw.trim())) {
+      pending = { start };
+      continue;
+    }
+
+    pending = null;
+    const trimmed = raw.trim();
+    if (trimmed.length === 0 || !/[A-Za-z]/.test(trimmed)) {
+      continue;
+    }
+
+    const leading = raw.length - raw.trimStart().length;
+    sentences.push({
+      text: trimmed,
+      start: start + leading,
+      end: start + leading + trimmed.length,
+      words: tokenizeWords(trimmed).length
+    });
+  }
+
+  return sentences;
+}
+
+function lemmatize(word) {
+  if (IRREGULAR_LEMMAS[word]) return IRREGULAR_LEMMAS[word];
+
+  let base = word.replace(/'s$/, '');
+  if (base.length <= 4) return base;
+
+  if (/ies$/.test(base)) return base.slice(0, -3) + 'y';
+  if (/(?:ss|us|is)$/.test(base)) return base;
+  if (/(?:ches|shes|xes|sses)$/.test(base)) return base.slice(0, -2);
+  if (/s$/.test(base)) return base.slice(0, -1);
+
+  if (/ing$/.test(base) && base.length > 5) base = base.slice(0, -3);
+  else if (/ied$/.test(base)) return base.slice(0, -3) + 'y';
+  else if (/ed$/.test(base) && base.length > 4) base = base.slice(0, -2);
+  else return base;
+
+  // "stopped" -> "stop", "dragging" -> "drag"
+  if (/([b-df-hj-np-tv-z])\1$/.test(base) && !/(?:ll|ss|ff|zz)$/.test(base)) {
+    base = base.slice(0, -1);
+  }
+
+  return base;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Case-insensitive, whole-word occurrences of a word or phrase
+function findOccurrences(text, phrase) {
+  const words = phrase.trim().split(/\s+/).map(escapeRegExp);
+  if (words.length === 0 || words[0] === '') {
+    return [];
+  }
+
+  const pattern = new RegExp(`(?<![A-Za-z'’])${words.join("\\s+")}(?![A-Za-z'’])`, 'gi');
+  const hits = [];
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    hits.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  return hits;
+}
+
+function paragraphAt(paragraphs, offset) {
+  const paragraph = paragraphs.find(p => offset >= p.start && offset < p.end);
+  return paragraph ? paragraph.index + 1 : null;
+}
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// ============================================
+// WORD / LEMMA FREQUENCY
+// ============================================
+function wordFrequency(words, paragraphs, { limit = 25, minCount = 3 } = {}) {
+  const groups = new Map();
+
+  for (const token of words) {
+    if (STOPWORDS.has(token.word) || token.word.length < 3) {
+      continue;
+    }
+
+    const lemma = lemmatize(token.word);
+    if (!groups.has(lemma)) {
+      groups.set(lemma, { lemma, count: 0, forms: {}, firstOffset: token.start });
+    }
+
+    const group = groups.get(lemma);
+    group.count++;
+    group.forms[token.word] = (group.forms[token.word] || 0) + 1;
+  }
+
+  const perThousand = 1000 / Math.max(words.length, 1);
+
+  return [...groups.values()]
+    .filter(group => group.count >= minCount)
+    .sort((a, b) => b.count - a.count || a.firstOffset - b.firstOffset)
+    .slice(0, limit)
+    .map(group => ({
+      lemma: group.lemma,
+      count: group.count,
+      per1000: round(group.count * perThousand),
+      forms: group.forms,
+      firstParagraph: paragraphAt(paragraphs, group.firstOffset),
+      firstOffset: group.firstOffset
+    }));
+}
+
+// ============================================
+// REPEATED PHRASES (N-GRAM ECHO)
+// ============================================
+function phraseEchoes(words, paragraphs, { minN = 3, maxN = 6, minCount = 2, limit = 20 } = {}) {
+  const found = [];
+
+  // Longest first, so "the back of his neck" hides "back of his"
+  for (let n = maxN; n >= minN; n--) {
+    const grams = new Map();
+
+    for (let i = 0; i + n <= words.length; i++) {
+      const slice = words.slice(i, i + n);
+      if (slice.slice(1).some(token => token.breakBefore) || slice.every(token => STOPWORDS.has(token.word))) {
+        continue;
+      }
+
+      const phrase = slice.map(token => token.word).join(' ');
+      if (!grams.has(phrase)) {
+        grams.set(phrase, { phrase, count: 0, firstOffset: slice[0].start });
+      }
+      grams.get(phrase).count++;
+    }
+
+    for (const gram of grams.values()) {
+      if (gram.count < minCount) continue;
+      if (found.some(longer => longer.phrase.includes(gram.phrase) && longer.count >= gram.count)) continue;
+      found.push(gram);
+    }
+  }
+
+  return found
+    .sort((a, b) => b.count - a.count || b.phrase.length - a.phrase.length)
+    .slice(0, limit)
+    .map(gram => ({ ...gram, firstParagraph: paragraphAt(paragraphs, gram.firstOffset) }));
+}
+
+// ============================================
+// WORD LISTS (CRUTCH VERBS, FILLERS)
+// ============================================
+function countList(text, list, wordCount) {
+  const perThousand = 1000 / Math.max(wordCount, 1);
+
+  return list
+    .map(entry => ({ word: entry, count: findOccurrences(text, entry).length }))
+    .filter(entry => entry.count > 0)
+    .sort((a, b) => b.count - a.count)
+    .map(entry => ({ ...entry, per1000: round(entry.count * perThousand) }));
+}
+
+// ============================================
+// SENTENCE LENGTH DISTRIBUTION
+// ============================================
+function sentenceLengths(sentences) {
+  const lengths = sentences.map(sentence => sentence.words);
+
+  if (lengths.length === 0) {
+    return { count: 0, mean: 0, median: 0, stdDev: 0, min: 0, max: 0, buckets: {}, monotonousRuns: [] };
+  }
+
+  const sorted = [...lengths].sort((a, b) => a - b);
+  const mean = lengths.reduce((sum, n) => sum + n, 0) / lengths.length;
+  const variance = lengths.reduce((sum, n) => sum + (n - mean) ** 2, 0) / lengths.length;
+  const mid = Math.floor(sorted.length / 2);
+
+  const buckets = { '1-5': 0, '6-10': 0, '11-20': 0, '21-30': 0, '31+': 0 };
+  for (const n of lengths) {
+    if (n <= 5) buckets['1-5']++;
+    else if (n <= 10) buckets['6-10']++;
+    else if (n <= 20) buckets['11-20']++;
+    else if (n <= 30) buckets['21-30']++;
+    else buckets['31+']++;
+  }
+
+  // Four or more consecutive sentences within three words of each other read as a drone
+  const monotonousRuns = [];
+  let runStart = 0;
+  for (let i = 1; i <= lengths.length; i++) {
+    const runLengths = lengths.slice(runStart, i + 1);
+    const spread = Math.max(...runLengths) - Math.min(...runLengths);
+
+    if (i === lengths.length || spread > 3) {
+      if (i - runStart >= 4) {
+        monotonousRuns.push({
+          sentences: i - runStart,
+          averageLength: round(lengths.slice(runStart, i).reduce((sum, n) => sum + n, 0) / (i - runStart)),
+          start: sentences[runStart].start,
+          end: sentences[i - 1].end
+        });
+      }
+      runStart = i;
+    }
+  }
+
+  const longest = sentences.reduce((best, sentence) => (sentence.words > best.words ? sentence : best), sentences[0]);
+
+  return {
+    count: lengths.length,
+    mean: round(mean),
+    median: sorted.length % 2 ? sorted[mid] : round((sorted[mid - 1] + sorted[mid]) / 2),
+    stdDev: round(Math.sqrt(variance)),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    buckets,
+    longest: { words: longest.words, start: longest.start, end: longest.end },
+    monotonousRuns
+  };
+}
+
+// ============================================
+// PASSIVE VOICE (HEURISTIC)
+// ============================================
+// A form of "to be"/"get", an optional -ly adverb, then a past participle.
+function passiveVoice(text, sentences) {
+  const pattern = /\b(?:am|is|are|was|were|be|been|being|get|gets|got|gotten)\s+(?:\w+ly\s+)?([a-z]+ed|[a-z]+)\b/gi;
+  const hits = [];
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const participle = match[1].toLowerCase();
+    if (!/ed$/.test(participle) && !IRREGULAR_PARTICIPLES.has(participle)) {
+      continue;
+    }
+
+    // "was tired"/"was scared" read as adjectives unless an agent follows
+    const agent = /^\s+by\b/i.test(text.slice(match.index + match[0].length, match.index + match[0].length + 4));
+    hits.push({ phrase: match[0], start: match.index, end: match.index + match[0].length, withAgent: agent });
+  }
+
+  const sentencesWithPassive = sentences.filter(sentence =>
+    hits.some(hit => hit.start >= sentence.start && hit.start < sentence.end)
+  ).length;
+
+  return {
+    count: hits.length,
+    withAgent: hits.filter(hit => hit.withAgent).length,
+    sentencePercent: sentences.length ? round((sentencesWithPassive / sentences.length) * 100) : 0,
+    examples: hits.slice(0, 10)
+  };
+}
+
+// ============================================
+// CLAUSE DEPTH (ESTIMATE)
+// ============================================
+// 1 + subordinating words + semicolons/dashes + one per two commas. Rough, but it
+// ranks the sentences a reader has to hold in their head.
+function clauseDepth(sentences) {
+  if (sentences.length === 0) {
+    return { average: 0, max: 0, deepSentences: [] };
+  }
+
+  const scored = sentences.map(sentence => {
+    const subordinate = tokenizeWords(sentence.text).filter(token => SUBORDINATORS.has(token.word)).length;
+    const joiners = (sentence.text.match(/[;:—]|--/g) || []).length;
+    const commas = (sentence.text.match(/,/g) || []).length;
+    return { depth: 1 + subordinate + joiners + Math.floor(commas / 2), start: sentence.start, end: sentence.end, words: sentence.words };
+  });
+
+  return {
+    average: round(scored.reduce((sum, s) => sum + s.depth, 0) / scored.length),
+    max: Math.max(...scored.map(s => s.depth)),
+    deepSentences: scored.filter(s => s.depth >= 4).sort((a, b) => b.depth - a.depth).slice(0, 10)
+  };
+}
+
+// ============================================
+// FULL REPORT
+// ============================================
+function analyzeText(text) {
+  const words = tokenizeWords(text);
+  const sentences = splitSentences(text);
+  const paragraphs = splitParagraphs(text);
+
+  return {
+    counts: { words: words.length, sentences: sentences.length, paragraphs: paragraphs.length },
+    wordFrequency: wordFrequency(words, paragraphs),
+    phraseEchoes: phraseEchoes(words, paragraphs),
+    crutchVerbs: countList(text, CRUTCH_VERBS, words.length),
+    fillers: countList(text, FILLERS, words.length),
+    sentenceLengths: sentenceLengths(sentences),
+    passiveVoice: passiveVoice(text, sentences),
+    clauseDepth: clauseDepth(sentences)
+  };
+}
+
+// ============================================
+// STATS -> PROMPT BLOCK
+// ============================================
+function formatStatsForPrompt(stats, tool) {
+  const lines = [`MEASURED STATISTICS (exact, computed locally for the WHOLE chapter - use these numbers, do not recount):`,
+    `- ${stats.counts.words} words, ${stats.counts.sentences} sentences, ${stats.counts.paragraphs} paragraphs`];
+
+  if (tool === 'overuse') {
+    lines.push(`- Most frequent words (lemma: count): ${stats.wordFrequency.slice(0, 15).map(w => `${w.lemma}: ${w.count}`).join(', ') || 'none'}`);
+    lines.push(`- Repeated phrases: ${stats.phraseEchoes.slice(0, 10).map(p => `"${p.phrase}" x${p.count}`).join(', ') || 'none'}`);
+    lines.push(`- Crutch verbs: ${stats.crutchVerbs.slice(0, 10).map(v => `${v.word}: ${v.count}`).join(', ') || 'none'}`);
+    lines.push(`- Fillers: ${stats.fillers.slice(0, 10).map(f => `${f.word}: ${f.count}`).join(', ') || 'none'}`);
+  }
+
+  if (tool === 'mechanics') {
+    const lengths = stats.sentenceLengths;
+    lines.push(`- Sentence length: mean ${lengths.mean}, median ${lengths.median}, std dev ${lengths.stdDev}, range ${lengths.min}-${lengths.max} words`);
+    lines.push(`- Length buckets: ${Object.entries(lengths.buckets).map(([range, n]) => `${range}: ${n}`).join(', ')}`);
+    lines.push(`- Monotonous runs (4+ similar-length sentences in a row): ${lengths.monotonousRuns.length}`);
+    lines.push(`- Passive constructions: ${stats.passiveVoice.count} (${stats.passiveVoice.sentencePercent}% of sentences)`);
+    lines.push(`- Clause depth: average ${stats.clauseDepth.average}, max ${stats.clauseDepth.max}, ${stats.clauseDepth.deepSentences.length} sentences at depth 4+`);
+  }
+
+  return lines.join('\n');
+}
+
+// ============================================
+// STATS -> MARKERS (stats_only action)
+// ============================================
+function severityFor(per1000, moderate, severe) {
+  if (per1000 >= severe) return 'severe';
+  if (per1000 >= moderate) return 'moderate';
+  return 'minor';
+}
+
+function statsToMarkers(stats, tools = ['overuse', 'mechanics']) {
+  const markers = [];
+
+  if (tools.includes('overuse')) {
+    const crutchVerbs = stats.crutchVerbs.filter(v => v.count >= 3 && v.per1000 >= 8);
+    const fillers = stats.fillers.filter(f => f.count >= 3 && f.per1000 >= 3);
+    // A repeated word that already gets a Crutch Verb or Filler marker isn't flagged twice
+    const listed = new Set([...crutchVerbs, ...fillers].map(entry => entry.word));
+
+    stats.wordFrequency.filter(w => w.per1000 >= 4).map(w => ({
+      ...w,
+      topForm: Object.entries(w.forms).sort((a, b) => b[1] - a[1])[0][0]
+    })).filter(w => !listed.has(w.topForm)).slice(0, 10).forEach(w => {
+      markers.push({
+        icon: "🗡",
+        type: "Word Repetition",
+        message: `'${w.lemma}' appears ${w.count} times (${w.per1000} per 1,000 words)`,
+        detail: `Forms used: ${Object.entries(w.forms).map(([form, n]) => `${form} (${n})`).join(', ')}. First seen in paragraph ${w.firstParagraph}.`,
+        severity: severityFor(w.per1000, 6, 10),
+        count: w.count,
+        location: { paragraph: w.firstParagraph, quote: w.topForm }
+      });
+    });
+
+    stats.phraseEchoes.slice(0, 8).forEach(p => {
+      markers.push({
+        icon: "🔁",
+        type: "Phrase Echo",
+        message: `"${p.phrase}" appears ${p.count} times`,
+        detail: `Repeated ${p.phrase.split(' ').length}-word phrase. First seen in paragraph ${p.firstParagraph}.`,
+        severity: p.count >= 4 ? 'severe' : p.count === 3 ? 'moderate' : 'minor',
+        count: p.count,
+        location: { paragraph: p.firstParagraph }
+      });
+    });
+
+    crutchVerbs.forEach(v => {
+      markers.push({
+        icon: "🩼",
+        type: "Crutch Verb",
+        message: `'${v.word}' appears ${v.count} times (${v.per1000} per 1,000 words)`,
+        detail: "Weak or filter verbs flatten the prose. Replace some with concrete action.",
+        severity: severityFor(v.per1000, 12, 20),
+        count: v.count
+      });
+    });
+
+    fillers.forEach(f => {
+      markers.push({
+        icon: "🧽",
+        type: "Filler",
+        message: `'${f.word}' appears ${f.count} times (${f.per1000} per 1,000 words)`,
+        detail: "Fillers soften every line they touch. Cut most of them.",
+        severity: severityFor(f.per1000, 5, 8),
+        count: f.count
+      });
+    });
+  }
+
+  if (tools.includes('mechanics')) {
+    const lengths = stats.sentenceLengths;
+
+    if (lengths.count >= 5) {
+      markers.push({
+        icon: "📏",
+        type: "Sentence Length Variance",
+        message: `Sentences average ${lengths.mean} words with a spread of ${lengths.stdDev}`,
+        detail: `Median ${lengths.median}, range ${lengths.min}-${lengths.max}. Buckets: ${Object.entries(lengths.buckets).map(([range, n]) => `${range}: ${n}`).join(', ')}.`,
+        severity: lengths.stdDev < 4 ? 'severe' : lengths.stdDev < 6 ? 'moderate' : 'minor'
+      });
+    }
+
+    lengths.monotonousRuns.slice(0, 5).forEach(run => {
+      markers.push({
+        icon: "🥁",
+        type: "Rhythm",
+        message: `${run.sentences} sentences in a row of about ${run.averageLength} words`,
+        detail: "Consecutive sentences of near-identical length create a monotonous beat. Break the pattern.",
+        severity: run.sentences >= 6 ? 'moderate' : 'minor'
+      });
+    });
+
+    if (stats.passiveVoice.count > 0) {
+      markers.push({
+        icon: "🫥",
+        type: "Passive Density",
+        message: `${stats.passiveVoice.count} passive constructions (${stats.passiveVoice.sentencePercent}% of sentences)`,
+        detail: `Examples: ${stats.passiveVoice.examples.slice(0, 5).map(hit => `"${hit.phrase}"`).join(', ')}.`,
+        severity: severityFor(stats.passiveVoice.sentencePercent, 10, 20)
+      });
+    }
+
+    const deep = stats.clauseDepth.deepSentences.length;
+    if (deep > 0) {
+      markers.push({
+        icon: "🪜",
+        type: "Clause Stacking",
+        message: `${deep} ${deep === 1 ? 'sentence' : 'sentences'} with 4+ stacked clauses (max depth ${stats.clauseDepth.max})`,
+        detail: `Average clause depth is ${stats.clauseDepth.average}. Deeply nested sentences make readers hold too much at once.`,
+        severity: stats.clauseDepth.max >= 6 ? 'moderate' : 'minor'
+      });
+    }
+  }
+
+  return markers;
+}
+
+// ============================================
+// OVERRIDE MODEL COUNTS WITH EXACT ONES
+// ============================================
+// For any marker that quotes a word/phrase and claims a count ("appears 8 times"),
+// replace the number with the real count in the text.
+function applyExactCounts(markers, text) {
+  return markers.map(marker => {
+    const quoted = marker.message.match(/["'‘“]([^"'’”]{1,60})["'’”]/);
+    const claimed = marker.message.match(/\b(\d+)(?=\s*(?:times|x\b|occurrences|uses|instances))/i);
+
+    if (!quoted || !claimed) {
+      return marker;
+    }
+
+    const exact = findOccurrences(text, quoted[1]).length;
+    if (exact === 0) {
+      return marker;
+    }
+
+    return {
+      ...marker,
+      message: marker.message.replace(claimed[0], String(exact)),
+      count: exact
+    };
+  });
+}
+
+module.exports = {
+  STOPWORDS,
+  CRUTCH_VERBS,
+  FILLERS,
+  tokenizeWords,
+  splitSentences,
+  lemmatize,
+  findOccurrences,
+  analyzeText,
+  formatStatsForPrompt,
+  statsToMarkers,
+  applyExactCounts
+};
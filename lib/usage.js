@@ -0,0 +1,144 @@
+// ============================================
+// USAGE + COST METERING
+// ============================================
+// One record per model call (fallback attempts and failures included), appended as a
+// JSON line to a local file:
+//   { at, action, via?, user, model, attempt, ok, promptTokens, completionTokens,
+//     estimated, latencyMs, cost, error? }
+// Token counts come from the provider's `usage`; when it has none (local servers,
+// some streams) they are estimated from the text and flagged `estimated: true`.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// USD per million tokens. List prices at the time of writing - override with MODEL_PRICES
+const DEFAULT_PRICES = {
+  'deepseek/deepseek-v3.1-terminus:exacto': { prompt: 0.27, completion: 1.0 },
+  'deepseek/deepseek-v3.1-terminus': { prompt: 0.27, completion: 1.0 },
+  'deepseek/deepseek-v3.2': { prompt: 0.27, completion: 0.4 },
+  'mistralai/mistral-large': { prompt: 2.0, completion: 6.0 },
+  'openai/gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'openai/gpt-4.1-mini': { prompt: 0.4, completion: 1.6 }
+};
+
+const GROUP_FIELDS = {
+  day: record => record.at.slice(0, 10),
+  action: record => record.action || 'unknown',
+  user: record => record.user || 'anonymous',
+  model: record => record.model || 'unknown'
+};
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function createUsageMeter({ file, prices = {} } = {}) {
+  const priceTable = { ...DEFAULT_PRICES, ...prices };
+  let writes = Promise.resolve();
+  let dirReady = false;
+
+  function estimateCost(model, promptTokens, completionTokens) {
+    const price = priceTable[model];
+    if (!price) return null;
+    return roundCost((promptTokens * price.prompt + completionTokens * price.completion) / 1e6);
+  }
+
+  // usage is the provider's raw usage object (OpenAI shape) or null
+  function record({ action, via, user, model, attempt = 1, ok = true, usage, estimate, latencyMs, error }) {
+    const promptTokens = usage?.prompt_tokens ?? estimate?.promptTokens ?? 0;
+    const completionTokens = usage?.completion_tokens ?? estimate?.completionTokens ?? 0;
+
+    const entry = {
+      at: new Date().toISOString(),
+      action: action || null,
+      ...(via && { via }),
+      user: user || null,
+      model,
+      attempt,
+      ok,
+      promptTokens,
+      completionTokens,
+      estimated: !usage,
+      latencyMs,
+      // OpenRouter reports the real charge when usage accounting is on
+      cost: typeof usage?.cost === 'number' ? roundCost(usage.cost) : estimateCost(model, promptTokens, completionTokens),
+      ...(error && { error: String(error).slice(0, 300) })
+    };
+
+    // Writes are chained so lines never interleave; a failed write is logged, not thrown
+    writes = writes.then(async () => {
+      if (!dirReady) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        dirReady = true;
+      }
+      await fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+    }).catch(err => console.error("❌ Failed to write usage record:", err.message));
+
+    return entry;
+  }
+
+  // Totals plus one row per combination of the groupBy fields.
+  // from / to are inclusive YYYY-MM-DD days (UTC).
+  async function report({ from, to, groupBy = ['day'], user, action } = {}) {
+    const fields = groupBy.filter(field => GROUP_FIELDS[field]);
+    const groups = new Map();
+    const totals = { calls: 0, failures: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpricedCalls: 0, latencyMs: 0 };
+
+    await writes;
+    if (!fs.existsSync(file)) {
+      return { groupBy: fields, totals: { ...totals, avgLatencyMs: 0 }, groups: [] };
+    }
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        continue;
+      }
+
+      const day = entry.at.slice(0, 10);
+      if ((from && day < from) || (to && day > to)) continue;
+      if (user && entry.user !== user) continue;
+      if (action && entry.action !== action) continue;
+
+      const key = fields.map(field => GROUP_FIELDS[field](entry)).join('|');
+      if (!groups.has(key)) {
+        const row = { calls: 0, failures: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpricedCalls: 0, latencyMs: 0 };
+        fields.forEach(field => { row[field] = GROUP_FIELDS[field](entry); });
+        groups.set(key, row);
+      }
+
+      for (const target of [groups.get(key), totals]) {
+        target.calls++;
+        if (!entry.ok) target.failures++;
+        target.promptTokens += entry.promptTokens || 0;
+        target.completionTokens += entry.completionTokens || 0;
+        target.latencyMs += entry.latencyMs || 0;
+        if (typeof entry.cost === 'number') target.cost += entry.cost;
+        else target.unpricedCalls++;
+      }
+    }
+
+    const finish = ({ latencyMs, ...row }) => ({
+      ...row,
+      cost: roundCost(row.cost),
+      avgLatencyMs: row.calls ? Math.round(latencyMs / row.calls) : 0
+    });
+
+    return {
+      groupBy: fields,
+      totals: finish(totals),
+      groups: [...groups.values()].map(finish).sort((a, b) => b.cost - a.cost || b.calls - a.calls)
+    };
+  }
+
+  return { record, report, estimateCost };
+}
+
+module.exports = { DEFAULT_PRICES, GROUP_FIELDS, createUsageMeter };
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveAnchors } = require('../lib/anchors');
+
+const text = 'The door creaked open.\n\nShe said “don’t go” and   meant it.\n\nThe door creaked open again.';
+const base = { icon: '⚠️', type: 'Dialogue', message: 'Stiff line', detail: '', severity: 'minor' };
+
+// Every anchor's quote is exactly the text at its offsets
+function assertVerified(anchors) {
+  anchors.forEach(anchor => assert.equal(text.slice(anchor.start, anchor.end), anchor.quote));
+}
+
+test('an exact quote anchors to its offsets', () => {
+  const [marker] = resolveAnchors([{ ...base, location: { quote: 'meant it' } }], text);
+
+  assert.equal(marker.anchors.length, 1);
+  assert.equal(marker.anchors[0].paragraphIndex, 1);
+  assertVerified(marker.anchors);
+  assert.deepEqual(marker.location, { paragraph: 2, quote: 'meant it' });
+});
+
+test('a quote with straight quotes and collapsed spaces is corrected to the real text', () => {
+  const [marker] = resolveAnchors([{ ...base, location: { quote: '"Don\'t go" and meant' } }], text);
+
+  assertVerified(marker.anchors);
+  assert.equal(marker.location.quote, '“don’t go” and   meant');
+});
+
+test('a repeated quote keeps the occurrence in the named paragraph', () => {
+  const [marker] = resolveAnchors([{ ...base, location: { paragraph: 3, quote: 'The door creaked open' } }], text);
+
+  assert.equal(marker.anchors.length, 1);
+  assert.equal(marker.anchors[0].paragraphIndex, 2);
+  assertVerified(marker.anchors);
+});
+
+test('an invented quote is dropped but the paragraph hint stays', () => {
+  const [marker] = resolveAnchors([{ ...base, location: { paragraph: 2, quote: 'nothing like this' } }], text);
+
+  assert.deepEqual(marker.anchors, []);
+  assert.deepEqual(marker.location, { paragraph: 2 });
+});
+
+test('a counted repetition anchors every occurrence', () => {
+  const [marker] = resolveAnchors([{ ...base, type: 'Word Repetition', message: '"door" appears 2 times', count: 2 }], text);
+
+  assert.equal(marker.anchors.length, 2);
+  assertVerified(marker.anchors);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseApiKeys, signToken, verifyToken, createAuthenticator } = require('../lib/auth');
+
+const SECRET = 'test-secret';
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+test('parseApiKeys reads name:key pairs and JSON', () => {
+  const plain = parseApiKeys('wix:abc, def');
+  assert.deepEqual(plain.get('abc'), { name: 'wix' });
+  assert.deepEqual(plain.get('def'), { name: 'key-2' });
+
+  const json = parseApiKeys('{ "abc": { "name": "wix", "dailyQuota": 10 }, "def": "studio" }');
+  assert.deepEqual(json.get('abc'), { name: 'wix', dailyQuota: 10 });
+  assert.deepEqual(json.get('def'), { name: 'studio' });
+
+  assert.equal(parseApiKeys('').size, 0);
+});
+
+test('a signed token verifies until it expires', () => {
+  const token = signToken({ sub: 'member-1', exp: inAnHour() }, SECRET);
+  assert.equal(verifyToken(token, SECRET).sub, 'member-1');
+
+  assert.throws(() => verifyToken(token, 'other-secret'), /Invalid token signature/);
+  assert.throws(() => verifyToken(signToken({ sub: 'member-1', exp: 1 }, SECRET), SECRET), /Token expired/);
+  assert.throws(() => verifyToken(signToken({ exp: inAnHour() }, SECRET), SECRET), /Token has no subject/);
+  assert.throws(() => verifyToken('not-a-token', SECRET), /Malformed token/);
+});
+
+test('the authenticator turns a key or token into a principal', () => {
+  const authenticator = createAuthenticator({ apiKeys: parseApiKeys('wix:abc'), signingSecret: SECRET });
+  assert.equal(authenticator.enabled, true);
+
+  assert.equal(authenticator.authenticate({ apiKey: 'abc' }).id, 'key:wix');
+  assert.equal(authenticator.authenticate({ authorization: 'Bearer abc' }).id, 'key:wix');
+
+  const token = signToken({ sub: 'member-1', exp: inAnHour() }, SECRET);
+  assert.deepEqual(authenticator.authenticate({ authorization: `Bearer ${token}` }), { id: 'token:member-1', name: 'member-1', type: 'token' });
+});
+
+test('a missing or unknown credential is a 401', () => {
+  const authenticator = createAuthenticator({ apiKeys: parseApiKeys('wix:abc') });
+
+  assert.throws(() => authenticator.authenticate({}), { status: 401, message: 'Missing API key or token' });
+  assert.throws(() => authenticator.authenticate({ apiKey: 'abd' }), { status: 401, message: 'Invalid API key' });
+  assert.equal(createAuthenticator().enabled, false);
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCache, stableStringify } = require('../lib/cache');
+
+test('a second lookup is served from the cache', async () => {
+  const cache = createCache();
+  let loads = 0;
+  const load = async () => ++loads;
+
+  assert.equal(await cache.getOrLoad('Characters', 'Characters::a', load), 1);
+  assert.equal(await cache.getOrLoad('Characters', 'Characters::a', load), 1);
+  assert.equal(cache.getStats().hits, 1);
+});
+
+test('concurrent misses share one load', async () => {
+  const cache = createCache();
+  let loads = 0;
+  const load = () => new Promise(resolve => setTimeout(() => resolve(++loads), 5));
+
+  const values = await Promise.all([1, 2, 3].map(() => cache.getOrLoad('Characters', 'Characters::a', load)));
+  assert.deepEqual(values, [1, 1, 1]);
+  assert.equal(cache.getStats().coalesced, 2);
+});
+
+test('a failed load and a zero ttl are never cached', async () => {
+  const cache = createCache({ ttlFor: (namespace) => (namespace === 'Live' ? 0 : 60000) });
+  let loads = 0;
+
+  await assert.rejects(cache.getOrLoad('Characters', 'Characters::a', async () => { throw new Error('down'); }));
+  assert.equal(await cache.getOrLoad('Characters', 'Characters::a', async () => 'up'), 'up');
+
+  await cache.getOrLoad('Live', 'Live::a', async () => ++loads);
+  await cache.getOrLoad('Live', 'Live::a', async () => ++loads);
+  assert.equal(loads, 2);
+});
+
+test('invalidating a collection drops only its entries and detaches running loads', async () => {
+  const cache = createCache();
+  await cache.getOrLoad('Characters', 'Characters::a', async () => 'old');
+  await cache.getOrLoad('StoryChapters', 'StoryChapters::a', async () => 'chapter');
+
+  let finishStale;
+  const stale = cache.getOrLoad('Characters', 'Characters::b', () => new Promise(resolve => { finishStale = resolve; }));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(cache.invalidate('Characters'), 1);
+  finishStale('stale');
+  await stale;
+
+  assert.equal(await cache.getOrLoad('Characters', 'Characters::b', async () => 'fresh'), 'fresh');
+  assert.deepEqual(cache.getStats().byNamespace, { StoryChapters: 1, Characters: 1 });
+});
+
+test('the oldest entries go first past maxEntries', async () => {
+  const cache = createCache({ maxEntries: 2 });
+  for (const key of ['a', 'b', 'c']) await cache.getOrLoad('Characters', key, async () => key);
+
+  let reloaded = false;
+  await cache.getOrLoad('Characters', 'a', async () => { reloaded = true; });
+  assert.equal(reloaded, true);
+});
+
+test('stableStringify ignores key order', () => {
+  assert.equal(stableStringify({ b: 1, a: [{ d: 2, c: 3 }] }), stableStringify({ a: [{ c: 3, d: 2 }], b: 1 }));
+});
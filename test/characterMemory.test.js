@@ -0,0 +1,170 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCharacterMemory, formatMemory, parseMemory } = require('../lib/characterMemory');
+
+// Progress logs on stdout can garble the Node 20 test runner's report stream
+mock.method(console, 'log', () => {});
+
+function fakeWix(items) {
+  const patches = [];
+  const find = async (collection, filter) => ({
+    items: items.filter(item => filter.charactertags.$in.some(tag => item.data.charactertags.includes(tag)))
+  });
+  return {
+    patches,
+    lookup: find,
+    query: find,
+    patch: async (collection, id, fields) => {
+      patches.push({ collection, id, fields });
+      const item = items.find(entry => entry.id === id);
+      Object.assign(item.data, fields);
+    },
+    invalidate: () => {}
+  };
+}
+
+function fakeSessions(sessions) {
+  return {
+    listSessions: async () => sessions.map(session => ({ sessionId: session.sessionId })),
+    getSession: async (tag, sessionId) => sessions.find(session => session.sessionId === sessionId) || null
+  };
+}
+
+function chat(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    type: i % 2 === 0 ? 'user' : 'character',
+    text: `message ${i}`,
+    timestamp: `2026-01-01T00:00:${String(i).padStart(2, '0')}.000Z`
+  }));
+}
+
+const reply = JSON.stringify({ facts: ['The author drinks tea'], promises: ['Finish chapter 3'], emotionalState: 'Warm' });
+
+test('update folds new messages and patches only the memory field', async () => {
+  const character = { id: 'c1', data: { title: 'Mara', charactertags: ['@Mara'], chatbot: 'cold' } };
+  const wix = fakeWix([character]);
+  const memory = createCharacterMemory({
+    wix,
+    sessions: fakeSessions([{ sessionId: 's1', messages: chat(6) }]),
+    summarize: async () => reply
+  });
+
+  const result = await memory.update('@Mara');
+
+  assert.equal(result.updated, true);
+  assert.deepEqual(result.folded, [{ sessionId: 's1', messages: 6 }]);
+  assert.equal(wix.patches.length, 1);
+  assert.deepEqual(Object.keys(wix.patches[0].fields), ['memory']);
+  assert.equal(character.data.chatbot, 'cold');
+
+  const saved = parseMemory(character.data.memory);
+  assert.deepEqual(saved.facts, ['The author drinks tea']);
+  assert.equal(saved.sessions.s1.count, 6);
+});
+
+test('sessions with too few new messages wait unless forced', async () => {
+  const character = { id: 'c1', data: { charactertags: ['@Mara'] } };
+  const wix = fakeWix([character]);
+  const memory = createCharacterMemory({
+    wix,
+    sessions: fakeSessions([{ sessionId: 's1', messages: chat(2) }]),
+    summarize: async () => reply
+  });
+
+  assert.equal((await memory.update('@Mara')).updated, false);
+  assert.equal(wix.patches.length, 0);
+  assert.equal((await memory.update('@Mara', { force: true })).updated, true);
+});
+
+test('already summarized messages are not folded again', async () => {
+  const character = { id: 'c1', data: { charactertags: ['@Mara'] } };
+  const prompts = [];
+  const messages = chat(6);
+  const memory = createCharacterMemory({
+    wix: fakeWix([character]),
+    sessions: fakeSessions([{ sessionId: 's1', messages }]),
+    summarize: async (prompt) => {
+      prompts.push(prompt[1].content);
+      return reply;
+    }
+  }, { minNewMessages: 1 });
+
+  await memory.update('@Mara');
+  messages.push({ type: 'user', text: 'a new question', timestamp: '2026-01-01T00:01:00.000Z' });
+  await memory.update('@Mara');
+
+  assert.equal(prompts.length, 2);
+  assert.ok(prompts[1].includes('a new question'));
+  assert.ok(!prompts[1].includes('message 0'));
+});
+
+test('a summary that is not a JSON object fails the update without saving', async () => {
+  const wix = fakeWix([{ id: 'c1', data: { charactertags: ['@Mara'] } }]);
+  const memory = createCharacterMemory({
+    wix,
+    sessions: fakeSessions([{ sessionId: 's1', messages: chat(6) }]),
+    summarize: async () => 'I could not do that'
+  });
+
+  await assert.rejects(memory.update('@Mara'), /not a JSON object/);
+  assert.equal(wix.patches.length, 0);
+});
+
+test('updates for one character run one at a time', async () => {
+  let running = 0;
+  let overlapped = false;
+  const memory = createCharacterMemory({
+    wix: fakeWix([{ id: 'c1', data: { charactertags: ['@Mara'] } }]),
+    sessions: fakeSessions([{ sessionId: 's1', messages: chat(6) }]),
+    summarize: async () => {
+      running++;
+      overlapped = overlapped || running > 1;
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return reply;
+    }
+  }, { minNewMessages: 1 });
+
+  await Promise.all([memory.update('@Mara', { force: true }), memory.update('@Mara', { force: true })]);
+  assert.equal(overlapped, false);
+});
+
+test('two owners build separate notes on the same character', async () => {
+  const character = { id: 'c1', data: { charactertags: ['@Mara'] } };
+  const wix = fakeWix([character]);
+  const chats = {
+    'key:alice': [{ sessionId: 'a1', messages: chat(6) }],
+    'key:bob': [{ sessionId: 'b1', messages: chat(6) }]
+  };
+  const memory = createCharacterMemory({
+    wix,
+    sessions: {
+      listSessions: async (tag, { owner }) => chats[owner].map(session => ({ sessionId: session.sessionId })),
+      getSession: async (tag, sessionId, { owner }) => chats[owner].find(session => session.sessionId === sessionId) || null
+    },
+    summarize: async (messages) => JSON.stringify({
+      facts: [messages[1].content.includes('"facts": []') ? 'First note' : 'Second note'],
+      promises: [],
+      emotionalState: ''
+    })
+  });
+
+  await Promise.all([memory.update('@Mara', { owner: 'key:alice' }), memory.update('@Mara', { owner: 'key:bob' })]);
+
+  const alice = await memory.getMemory('@Mara', { owner: 'key:alice' });
+  const bob = await memory.getMemory('@Mara', { owner: 'key:bob' });
+  assert.deepEqual(alice.facts, ['First note']);
+  assert.deepEqual(Object.keys(alice.sessions), ['a1']);
+  assert.deepEqual(bob.facts, ['First note']);
+  assert.deepEqual(Object.keys(bob.sessions), ['b1']);
+  assert.deepEqual((await memory.getMemory('@Mara')).facts, []);
+
+  assert.equal(await memory.clear('@Mara', { owner: 'key:bob' }), true);
+  assert.deepEqual((await memory.getMemory('@Mara', { owner: 'key:bob' })).facts, []);
+  assert.deepEqual((await memory.getMemory('@Mara', { owner: 'key:alice' })).facts, ['First note']);
+});
+
+test('formatMemory is empty until something is remembered', () => {
+  assert.equal(formatMemory(parseMemory(null)), '');
+  assert.match(formatMemory(parseMemory(reply)), /Things you know:\n- The author drinks tea/);
+});
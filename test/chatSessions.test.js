@@ -0,0 +1,120 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChatSessionStore, parseChatBox, trimMessages } = require('../lib/chatSessions');
+
+// Progress logs on stdout can garble the Node 20 test runner's report stream
+mock.method(console, 'log', () => {});
+
+// A Wix collection in memory; every read and write yields first, as the network would
+function fakeWix() {
+  const items = [];
+  let nextId = 0;
+  const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+  const matches = (item, filter) => Object.entries(filter).every(([field, { $eq }]) =>
+    (field === '_id' ? item.id : item.data[field]) === $eq);
+
+  return {
+    items,
+    patches: [],
+    async query(collection, filter, limit) {
+      await tick();
+      return { items: items.filter(item => matches(item, filter)).slice(0, limit).map(item => ({ ...item, data: { ...item.data } })) };
+    },
+    async insert(collection, data) {
+      await tick();
+      items.push({ id: `item-${++nextId}`, data: { ...data } });
+    },
+    async patch(collection, id, fields) {
+      await tick();
+      this.patches.push(fields);
+      Object.assign(items.find(item => item.id === id).data, fields);
+    },
+    async remove(collection, id) {
+      items.splice(items.findIndex(item => item.id === id), 1);
+    },
+    invalidate() {}
+  };
+}
+
+const turn = (text) => [{ type: 'user', text, timestamp: '2026-01-01T00:00:00.000Z' }];
+
+test('a new session is created and then appended to', async () => {
+  const wix = fakeWix();
+  const store = createChatSessionStore(wix);
+
+  const first = await store.appendMessages('@Mara', null, turn('hello'));
+  assert.equal(first.created, true);
+
+  const second = await store.appendMessages('@Mara', first.sessionId, turn('again'));
+  assert.equal(second.created, false);
+  assert.equal(second.messageCount, 2);
+
+  const session = await store.getSession('@Mara', first.sessionId);
+  assert.deepEqual(session.messages.map(msg => msg.text), ['hello', 'again']);
+});
+
+test('concurrent appends to one session all land, in order', async () => {
+  const wix = fakeWix();
+  const store = createChatSessionStore(wix);
+  const { sessionId } = await store.appendMessages('@Mara', null, turn('0'));
+
+  await Promise.all(['1', '2', '3', '4'].map(text => store.appendMessages('@Mara', sessionId, turn(text))));
+
+  const session = await store.getSession('@Mara', sessionId);
+  assert.deepEqual(session.messages.map(msg => msg.text), ['0', '1', '2', '3', '4']);
+});
+
+test('appends only write the chatBox field', async () => {
+  const wix = fakeWix();
+  const store = createChatSessionStore(wix);
+  const { sessionId } = await store.appendMessages('@Mara', null, turn('hello'));
+  wix.items[0].data.title = 'Edited in Wix';
+
+  await store.appendMessages('@Mara', sessionId, turn('again'));
+
+  assert.deepEqual(wix.patches.map(fields => Object.keys(fields)), [['chatBox']]);
+  assert.equal(wix.items[0].data.title, 'Edited in Wix');
+});
+
+test('front-end sessions are found by their item id', async () => {
+  const wix = fakeWix();
+  wix.items.push({ id: 'wix-1', data: { charactertags: '@Mara', chatBox: JSON.stringify(turn('from the site')) } });
+  const store = createChatSessionStore(wix);
+
+  const session = await store.getSession('@Mara', 'wix-1');
+  assert.equal(session.messageCount, 1);
+  assert.equal(await store.deleteSession('@Mara', 'wix-1'), true);
+  assert.equal(await store.getSession('@Mara', 'wix-1'), null);
+});
+
+test('trimMessages drops the oldest messages to fit both caps', () => {
+  const messages = Array.from({ length: 10 }, (_, i) => ({ type: 'user', text: `message ${i}` }));
+
+  assert.equal(trimMessages(messages, { maxMessages: 4, maxChars: 100000 }).messages[0].text, 'message 6');
+
+  const { messages: kept, dropped } = trimMessages(messages, { maxMessages: 10, maxChars: 100 });
+  assert.ok(JSON.stringify(kept).length <= 100);
+  assert.equal(dropped, 10 - kept.length);
+});
+
+test('parseChatBox tolerates missing and malformed values', () => {
+  assert.deepEqual(parseChatBox(undefined), []);
+  assert.deepEqual(parseChatBox('not json'), []);
+  assert.deepEqual(parseChatBox('{"a":1}'), []);
+  assert.equal(parseChatBox(JSON.stringify(turn('x'))).length, 1);
+});
+
+test('an owner only sees and changes their own sessions', async () => {
+  const wix = fakeWix();
+  const store = createChatSessionStore(wix);
+  const { sessionId } = await store.appendMessages('@Mara', null, turn('mine'), { owner: 'key:alice' });
+
+  assert.equal(await store.getSession('@Mara', sessionId, { owner: 'key:bob' }), null);
+  assert.deepEqual(await store.listSessions('@Mara', { owner: 'key:bob' }), []);
+  assert.equal(await store.deleteSession('@Mara', sessionId, { owner: 'key:bob' }), false);
+  await assert.rejects(store.appendMessages('@Mara', sessionId, turn('theirs'), { owner: 'key:bob' }), { code: 'NOT_FOUND' });
+
+  const session = await store.getSession('@Mara', sessionId, { owner: 'key:alice' });
+  assert.deepEqual(session.messages.map(msg => msg.text), ['mine']);
+  assert.equal((await store.listSessions('@Mara', { owner: 'key:alice' })).length, 1);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitParagraphs, chunkText, mergeMarkers, dropOverlapRepeats } = require('../lib/chunker');
+
+const paragraphs = [
+  'Alpha storm one two three four five.',
+  'Beta storm six seven eight nine ten.',
+  'Gamma eleven twelve thirteen fourteen fifteen.',
+  'Delta storm sixteen seventeen eighteen nineteen.'
+];
+const text = paragraphs.join('\n\n');
+
+function marker(fields) {
+  return { icon: '🗡', detail: 'd', severity: 'minor', ...fields };
+}
+
+test('splitParagraphs records offsets and scene breaks', () => {
+  const split = splitParagraphs('One.\n\n* * *\n\nTwo.');
+  assert.deepEqual(split.map(p => [p.index, p.text, p.sceneBreak]), [[0, 'One.', false], [1, '* * *', true], [2, 'Two.', false]]);
+  assert.equal(split[2].start, 13);
+});
+
+test('chunkText repeats the tail of the previous chunk', () => {
+  const chunks = chunkText(text, { maxWords: 14, overlapWords: 7 });
+
+  assert.deepEqual(chunks.map(chunk => [chunk.firstParagraph, chunk.lastParagraph]), [[0, 1], [1, 2], [2, 3]]);
+  chunks.forEach(chunk => assert.equal(chunk.text, text.slice(chunk.start, chunk.end)));
+});
+
+test('chunkText cuts at a scene break past the halfway mark without overlap', () => {
+  const withBreak = [paragraphs[0], paragraphs[1], '* * *', paragraphs[2]].join('\n\n');
+  const chunks = chunkText(withBreak, { maxWords: 20, overlapWords: 7 });
+
+  assert.deepEqual(chunks.map(chunk => [chunk.firstParagraph, chunk.lastParagraph]), [[0, 1], [2, 3]]);
+});
+
+test('mergeMarkers collapses the same subject and adds counts', () => {
+  const merged = mergeMarkers([
+    marker({ type: 'Word Repetition', message: "'storm' appears 2 times" }),
+    marker({ type: 'Word Repetition', message: "'storm' appears 3 times", severity: 'severe', location: { paragraph: 4 } })
+  ]);
+
+  assert.equal(merged.length, 1);
+  assert.equal(merged[0].count, 5);
+  assert.equal(merged[0].message, "'storm' appears 5 times");
+  assert.equal(merged[0].severity, 'severe');
+  assert.deepEqual(merged[0].location, { paragraph: 4 });
+});
+
+test('a finding in the overlap reported by both chunks is kept once', () => {
+  const chunks = chunkText(text, { maxWords: 14, overlapWords: 7 });
+  const cliche = (paragraph) => marker({ type: 'Cliche', message: 'Tired image', location: { paragraph, quote: 'six seven' } });
+
+  const result = dropOverlapRepeats([[cliche(2)], [cliche(2)], []], chunks, text);
+  assert.deepEqual(result.map(markers => markers.length), [1, 0, 0]);
+});
+
+test('a finding outside the overlap is never dropped', () => {
+  const chunks = chunkText(text, { maxWords: 14, overlapWords: 7 });
+  const cliche = (paragraph, quote) => marker({ type: 'Cliche', message: 'Tired image', location: { paragraph, quote } });
+
+  const result = dropOverlapRepeats([[cliche(1, 'one two')], [cliche(3, 'twelve thirteen')], []], chunks, text);
+  assert.deepEqual(result.map(markers => markers.length), [1, 1, 0]);
+});
+
+test('counts stop including the overlap once both chunks counted it', () => {
+  const chunks = chunkText(text, { maxWords: 14, overlapWords: 7 });
+  // 'storm' is in paragraphs 1, 2 and 4; paragraph 2 is in both of the first two chunks
+  const repetition = (count) => marker({ type: 'Word Repetition', message: `'storm' appears ${count} times` });
+
+  const located = dropOverlapRepeats([[repetition(2)], [repetition(1)], [repetition(1)]], chunks, text);
+  assert.deepEqual(located.map(markers => markers.map(m => m.count ?? null)), [[null], [], [null]]);
+
+  const merged = mergeMarkers(located.flat());
+  assert.equal(merged[0].count, 3);
+  assert.equal(merged[0].message, "'storm' appears 3 times");
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateTokens, contextBudget, truncateText, buildContext } = require('../lib/contextBuilder');
+
+const words = (count, word = 'word') => Array.from({ length: count }, () => word).join(' ');
+
+test('the budget follows the smallest window in the chain and the cap', () => {
+  assert.equal(contextBudget(['deepseek/deepseek-v3.2', 'openai/gpt-3.5-turbo'], 1000), 16385 - 1000 - 512);
+  assert.equal(contextBudget(['unknown/model'], 1000), 32768 - 1000 - 512);
+  assert.equal(contextBudget(['deepseek/deepseek-v3.2'], 1000, 8000), 8000);
+});
+
+test('everything fits under budget untouched', () => {
+  const { prompt, report } = buildContext([
+    { name: 'instructions', priority: 0, text: 'Be dark.' },
+    { name: 'characters', priority: 1, heading: 'CHARACTERS:', text: 'Mara is cold.' },
+    { name: 'catalyst', priority: 2, text: '' }
+  ], 1000);
+
+  assert.equal(prompt, 'Be dark.\n\nCHARACTERS:\nMara is cold.');
+  assert.deepEqual(report.sections.map(section => section.status), ['included', 'included', 'empty']);
+  assert.equal(report.overBudget, false);
+});
+
+test('the least important sections are trimmed first and required ones never', () => {
+  const instructions = words(100, 'keep');
+  const { kept, report } = buildContext([
+    { name: 'instructions', priority: 0, text: instructions },
+    { name: 'characters', priority: 1, text: words(200, 'mara') },
+    { name: 'passages', priority: 3, text: words(400, 'rain') }
+  ], 500);
+
+  assert.equal(kept.instructions, instructions);
+  assert.equal(kept.characters, words(200, 'mara'));
+  assert.deepEqual(report.sections.map(section => section.status), ['included', 'included', 'trimmed']);
+  assert.ok(report.totalTokens <= 500);
+});
+
+test('a list kept from the end drops its oldest items', () => {
+  const history = ['first message', 'second message', 'third message'].map(text => `${text} ${words(30)}`);
+  const { kept, report } = buildContext([{ name: 'history', priority: 2, items: history, keep: 'end' }], 90);
+
+  assert.deepEqual(kept.history, history.slice(1));
+  assert.deepEqual(report.sections[0].items, { included: 2, total: 3 });
+});
+
+test('shrinkItems cuts every item but keeps its label', () => {
+  const chapters = [1, 2].map(n => ({ label: `[Chapter ${n}]`, text: words(1000) }));
+  const { kept } = buildContext([{ name: 'chapters', priority: 3, items: chapters, keep: 'end', shrinkItems: true }], 400);
+
+  assert.deepEqual(kept.chapters.map(item => item.label), ['[Chapter 1]', '[Chapter 2]']);
+  kept.chapters.forEach(item => assert.ok(item.text.startsWith('…') && estimateTokens(item.text) < 200));
+});
+
+test('required sections over budget are reported, not cut', () => {
+  const { report } = buildContext([{ name: 'request', priority: 0, text: words(400) }], 100);
+  assert.equal(report.overBudget, true);
+  assert.equal(report.sections[0].status, 'included');
+});
+
+test('truncateText snaps to a sentence boundary', () => {
+  const text = `${words(50, 'a')}. ${words(10, 'b')}`;
+  assert.equal(truncateText(text, 27), `${words(50, 'a')}.…`);
+  assert.equal(truncateText('short', 10), 'short');
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { loadCustomActions, missingInputs } = require('../lib/customActions');
+
+function actionsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'actions-'));
+  Object.entries(files).forEach(([file, definition]) => {
+    fs.writeFileSync(path.join(dir, file), typeof definition === 'string' ? definition : JSON.stringify(definition));
+  });
+  return dir;
+}
+
+test('a minimal definition is filled in with defaults', () => {
+  const actions = loadCustomActions(actionsDir({ 'echo_pass.json': { inputs: { required: ['selectedText'] } } }));
+
+  assert.deepEqual(actions.get('echo_pass'), {
+    name: 'echo_pass',
+    description: '',
+    inputs: { required: ['selectedText'], optional: [] },
+    textInput: 'selectedText',
+    context: [],
+    prompt: { system: 'echo_pass/system', user: 'echo_pass/user' },
+    models: null,
+    temperature: 0.85,
+    maxTokens: 1500,
+    output: 'text'
+  });
+});
+
+test('marker actions default to analysis settings', () => {
+  const actions = loadCustomActions(actionsDir({ 'scan.json': { inputs: { required: ['chapterContent'] }, output: 'markers' } }));
+  assert.equal(actions.get('scan').temperature, 0.3);
+  assert.equal(actions.get('scan').maxTokens, 3000);
+});
+
+test('a bad definition stops the load and names the file', () => {
+  const load = (definition) => () => loadCustomActions(actionsDir({ 'broken.json': definition }));
+
+  assert.throws(load('{ nope'), /Invalid custom action broken\.json/);
+  assert.throws(load({ inputs: { required: ['text'] }, context: ['weather'] }), /unknown context weather/);
+  assert.throws(load({ inputs: { required: ['text'] }, textInput: 'mood' }), /textInput must name one of the required inputs/);
+  assert.throws(load({ name: 'bad-name', inputs: { required: ['text'] } }), /invalid name "bad-name"/);
+  assert.throws(load({ inputs: { required: ['text'] }, models: [] }), /models must be a non-empty list/);
+});
+
+test('built-in names cannot be replaced', () => {
+  const dir = actionsDir({ 'invoke.json': { inputs: { required: ['text'] } } });
+  assert.throws(() => loadCustomActions(dir, { reserved: ['invoke'] }), /the name invoke is already taken/);
+});
+
+test('a missing directory loads nothing', () => {
+  assert.equal(loadCustomActions(path.join(os.tmpdir(), 'no-such-actions-dir')).size, 0);
+});
+
+test('the shipped actions load', () => {
+  assert.ok(loadCustomActions(path.join(__dirname, '..', 'actions')).has('sensory_pass'));
+});
+
+test('missingInputs lists required fields that are absent or blank', () => {
+  const [definition] = loadCustomActions(actionsDir({ 'pass.json': { inputs: { required: ['selectedText', 'mood', 'tags'] } } })).values();
+  assert.deepEqual(missingInputs(definition, { selectedText: 'It rained.', mood: '  ', tags: [] }), ['mood', 'tags']);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffText, applyHunks } = require('../lib/diff');
+
+function acceptAll(original, revised) {
+  const { hunks } = diffText(original, revised);
+  return applyHunks(original, hunks, hunks.map(hunk => hunk.id));
+}
+
+test('accepting every hunk reproduces the revised text', () => {
+  const pairs = [
+    ['One. Two. Three.', 'Three. Two. One.'],
+    ['One. Two. Three.\n\nFour.', 'Four. One. Two.\n\nThree.'],
+    ['He waited by the door.', 'He waited by the door. Nobody came.'],
+    ['Old opening. He waited.', 'He waited.'],
+    ['She ran to the car and drove off.', 'She crawled to the car, bleeding, and drove off.'],
+    ['First line\nSecond line.', 'First line\nThird line.'],
+    ['He ran. She hid.', 'He ran.\n\nShe hid.'],
+    ['', 'Something new.'],
+    ['Something old.', '']
+  ];
+
+  pairs.forEach(([original, revised]) => {
+    assert.equal(acceptAll(original, revised), revised, JSON.stringify([original, revised]));
+  });
+});
+
+test('accepting no hunks leaves the original untouched', () => {
+  const original = 'One. Two. Three.';
+  const { hunks } = diffText(original, 'Three. Two. One.');
+  assert.equal(applyHunks(original, hunks, []), original);
+});
+
+test('reordered sentences become replace hunks without stray whitespace', () => {
+  const { hunks } = diffText('One. Two. Three.', 'Three. Two. One.');
+  assert.deepEqual(hunks.map(hunk => [hunk.type, hunk.original.text, hunk.revised.text]), [
+    ['replace', 'One.', 'Three.'],
+    ['replace', 'Three.', 'One.']
+  ]);
+});
+
+test('changes inside a sentence are narrowed to the changed words', () => {
+  const original = 'The night was cold and quiet.';
+  const revised = 'The night was bitter and quiet.';
+  const { hunks, stats } = diffText(original, revised);
+
+  assert.equal(hunks.length, 1);
+  assert.deepEqual(hunks[0].original, { start: 14, end: 18, text: 'cold' });
+  assert.deepEqual(hunks[0].revised, { start: 14, end: 20, text: 'bitter' });
+  assert.equal(stats.wordsAdded, 1);
+  assert.equal(stats.wordsRemoved, 1);
+});
+
+test('re-spacing alone is not a change, a new paragraph break is', () => {
+  assert.equal(diffText('He ran. She hid.', 'He ran.  She hid.').hunks.length, 0);
+
+  const { hunks } = diffText('He ran. She hid.', 'He ran.\n\nShe hid.');
+  assert.deepEqual(hunks.map(hunk => [hunk.type, hunk.original.text, hunk.revised.text]), [['replace', ' ', '\n\n']]);
+});
+
+test('a subset of hunks can be accepted on its own', () => {
+  const original = 'One. Two. Three.';
+  const { hunks } = diffText(original, 'Three. Two. One.');
+  assert.equal(applyHunks(original, hunks, [hunks[1].id]), 'One. Two. One.');
+});
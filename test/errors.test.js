@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { apiError, classifyError, errorBody } = require('../lib/errors');
+
+test('apiError carries its code and the status that goes with it', () => {
+  const error = apiError('WIX_UNAVAILABLE', 'Wix query on Characters failed');
+  assert.equal(error.code, 'WIX_UNAVAILABLE');
+  assert.equal(error.status, 502);
+  assert.equal(error.message, 'Wix query on Characters failed');
+});
+
+test('uncoded timeouts, aborts and crashes are classified', () => {
+  assert.deepEqual(classifyError(Object.assign(new Error('slow'), { name: 'TimeoutError' })), { status: 504, code: 'UPSTREAM_TIMEOUT', message: 'slow' });
+  assert.equal(classifyError(Object.assign(new Error('gone'), { name: 'AbortError' })).code, 'CANCELLED');
+  assert.deepEqual(classifyError(new TypeError('x is undefined')), { status: 500, code: 'INTERNAL_ERROR', message: 'x is undefined' });
+  assert.equal(classifyError('plain string').message, 'plain string');
+});
+
+test('errorBody is the envelope, with fields for validation problems', () => {
+  const fields = [{ field: 'text', message: 'text is required' }];
+
+  assert.deepEqual(errorBody(apiError('VALIDATION_ERROR', 'Invalid input', fields), 'invoke'), {
+    status: 'error',
+    action: 'invoke',
+    code: 'VALIDATION_ERROR',
+    error: 'invoke failed',
+    details: 'Invalid input',
+    fields
+  });
+  assert.deepEqual(errorBody(new Error('boom')), {
+    status: 'error', action: null, code: 'INTERNAL_ERROR', error: 'Action failed', details: 'boom'
+  });
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startFakeLLM } = require('./helpers/server');
+
+// full_audit against a fake LLM: every analyzer gets one marker back, except the
+// pacing analyzer, whose calls fail on every model.
+
+const TEXT = "The hall was cold. She counted the doors. Nobody answered when she knocked.";
+
+let server;
+let llm;
+
+before(async () => {
+  llm = await startFakeLLM(({ messages }) => {
+    const prompt = messages.map(msg => msg.content).join('\n');
+    if (/story pacing expert/.test(prompt)) return { status: 503, error: 'overloaded' };
+    if (/short action plan/.test(prompt)) {
+      return JSON.stringify([{ icon: "🔧", type: "Cut the echo", message: "Vary the repeated openings.", detail: "Three sentences start with a pronoun.", severity: "moderate" }]);
+    }
+    return JSON.stringify([{ icon: "🔁", type: "Echo", message: "Sentences open the same way.", detail: "She, She, Nobody.", severity: "minor" }]);
+  });
+
+  server = await startServer({ LLM_PROVIDER: 'openai', LLM_BASE_URL: llm.baseUrl });
+});
+
+after(async () => {
+  server?.stop();
+  await llm?.stop();
+});
+
+test('full_audit reports a section per analyzer, a summary and top fixes', async () => {
+  const analyzers = ['sentence_mechanics', 'dialogue_critic'];
+  const { status, body } = await server.post('/devil-pov', { action: 'full_audit', text: TEXT, analyzers });
+
+  assert.equal(status, 200);
+  assert.equal(body.resultType, 'audit');
+
+  const { sections, summary, topFixes } = body.result;
+  assert.deepEqual(sections.map(section => [section.tool, section.status]), [['sentence_mechanics', 'success'], ['dialogue_critic', 'success']]);
+  sections.forEach(section => {
+    assert.equal(section.markers.length, 1);
+    assert.equal(section.markers[0].type, 'Echo');
+    assert.equal(typeof section.processingTime, 'number');
+  });
+
+  assert.deepEqual(summary, {
+    analyzers: 2,
+    succeeded: 2,
+    failed: [],
+    totalMarkers: 2,
+    bySeverity: { severe: 0, moderate: 0, minor: 2 }
+  });
+  assert.equal(topFixes.length, 1);
+  assert.equal(topFixes[0].rank, 1);
+  assert.equal(topFixes[0].type, 'Cut the echo');
+});
+
+test('an analyzer that throws is marked failed and the rest of the report still comes back', async () => {
+  const analyzers = ['pacing_analyzer', 'structural_check'];
+  const { status, body } = await server.post('/devil-pov', { action: 'full_audit', text: TEXT, analyzers });
+
+  assert.equal(status, 200);
+
+  const { sections, summary, topFixes } = body.result;
+  const pacing = sections.find(section => section.tool === 'pacing_analyzer');
+  assert.equal(pacing.status, 'failed');
+  assert.deepEqual(pacing.markers, []);
+  assert.match(pacing.error, /503/);
+  assert.equal(sections.find(section => section.tool === 'structural_check').status, 'success');
+
+  assert.equal(summary.succeeded, 1);
+  assert.deepEqual(summary.failed, ['pacing_analyzer']);
+  assert.equal(summary.totalMarkers, 1);
+  assert.equal(topFixes.length, 1);
+});
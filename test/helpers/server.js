@@ -0,0 +1,152 @@
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const http = require('node:http');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+// ============================================
+// SPAWNED SERVER FOR END-TO-END TESTS
+// ============================================
+// startServer runs index.js on a free port with auth off, Wix unconfigured, no
+// retries and the usage log in a temp dir; env overrides any of it. The default
+// provider is the offline mock. startFakeLLM stands in for an OpenAI-compatible
+// server when a test needs to choose what each model answers.
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+async function waitForServer(baseUrl, deadline = Date.now() + 15000) {
+  while (Date.now() < deadline) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) return;
+    } catch (e) {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Server did not start');
+}
+
+// SSE body -> [{ event, data }]
+function parseEvents(text) {
+  return text.split('\n\n').filter(block => block.trim()).map(block => {
+    const event = block.match(/^event: (.*)$/m)?.[1];
+    const data = block.match(/^data: (.*)$/m)?.[1];
+    return { event, data: data === undefined ? undefined : JSON.parse(data) };
+  });
+}
+
+async function startServer(env = {}) {
+  const port = await freePort();
+  const baseUrl = `http://localhost:${port}`;
+
+  const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'index.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LLM_PROVIDER: 'mock',
+      WIX_API_KEY: '',
+      WIX_SITE_ID: '',
+      MODEL_RETRIES: '0',
+      API_KEYS: '',
+      AUTH_SIGNING_SECRET: '',
+      USAGE_LOG_PATH: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'devil-muse-')), 'usage.jsonl'),
+      ...env
+    },
+    stdio: 'ignore'
+  });
+
+  try {
+    await waitForServer(baseUrl);
+  } catch (err) {
+    child.kill();
+    throw err;
+  }
+
+  return {
+    baseUrl,
+
+    async post(route, body) {
+      const res = await fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      return { status: res.status, body: await res.json() };
+    },
+
+    // POST /devil-pov/stream; events is null when the server answered with JSON
+    async stream(body) {
+      const res = await fetch(`${baseUrl}/devil-pov/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const text = await res.text();
+      const isStream = (res.headers.get('content-type') || '').startsWith('text/event-stream');
+      return {
+        status: res.status,
+        events: isStream ? parseEvents(text) : null,
+        body: isStream ? null : JSON.parse(text)
+      };
+    },
+
+    stop() {
+      child.kill();
+    }
+  };
+}
+
+// reply(request) gets the parsed /chat/completions body and returns the message
+// content, or { status, error } to fail the call. Streamed requests get the content
+// back word by word.
+async function startFakeLLM(reply) {
+  const port = await freePort();
+  const calls = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(raw);
+      calls.push(request);
+      const answer = reply(request);
+
+      if (typeof answer !== 'string') {
+        res.writeHead(answer.status, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: { message: answer.error || 'unavailable' } }));
+      }
+
+      if (request.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        (answer.match(/\S+\s*/g) || []).forEach(word => {
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: word } }] })}\n\n`);
+        });
+        return res.end('data: [DONE]\n\n');
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ model: request.model, choices: [{ message: { content: answer } }] }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(port, resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}/v1`,
+    calls,
+    stop() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startServer, startFakeLLM };
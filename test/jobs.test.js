@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue } = require('../lib/jobs');
+
+// A job body that runs until released (or aborted)
+function gate() {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return {
+    release,
+    run: ({ signal }) => new Promise((resolve, reject) => {
+      done.then(resolve);
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    })
+  };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('a job runs to a result with its progress reports', async () => {
+  const queue = createJobQueue();
+  const job = queue.submit(async ({ report }) => {
+    report({ stage: 'chunk', done: 1, total: 2 });
+    return 'ok';
+  }, { action: 'full_audit', owner: 'key:alice' });
+
+  assert.equal(job.owner, 'key:alice');
+  await settle();
+
+  assert.equal(queue.get(job.id).status, 'succeeded');
+  assert.equal(queue.get(job.id).result, 'ok');
+  assert.deepEqual(queue.get(job.id).progress, { stage: 'done' });
+});
+
+test('a failed job keeps the error message and code', async () => {
+  const queue = createJobQueue();
+  const job = queue.submit(async () => { throw Object.assign(new Error('Model took too long'), { code: 'UPSTREAM_TIMEOUT' }); });
+  await settle();
+
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'Model took too long');
+  assert.equal(job.errorCode, 'UPSTREAM_TIMEOUT');
+});
+
+test('jobs beyond the concurrency wait in line, and a full queue is refused', async () => {
+  const queue = createJobQueue({ concurrency: 1, maxQueued: 1 });
+  const first = gate();
+  const running = queue.submit(first.run);
+  const waiting = queue.submit(async () => 'second');
+
+  assert.equal(running.status, 'running');
+  assert.equal(waiting.status, 'queued');
+  assert.equal(queue.queuePosition(waiting.id), 1);
+  assert.throws(() => queue.submit(async () => 'third'), { code: 'QUEUE_FULL' });
+
+  first.release('first');
+  await settle();
+  await settle();
+  assert.equal(running.status, 'succeeded');
+  assert.equal(waiting.status, 'succeeded');
+});
+
+test('cancelling aborts a running job and it stays cancelled', async () => {
+  const queue = createJobQueue();
+  const job = queue.submit(gate().run);
+
+  assert.equal(queue.cancel(job.id), true);
+  await settle();
+
+  assert.equal(job.status, 'cancelled');
+  assert.equal(queue.cancel(job.id), false);
+  assert.equal(queue.getStats().cancelled, 1);
+});
+
+test('sweep forgets finished jobs after the ttl', async () => {
+  const queue = createJobQueue({ ttlMs: 1000 });
+  const job = queue.submit(async () => 'ok');
+  await settle();
+
+  queue.sweep(Date.parse(job.finishedAt) + 500);
+  assert.ok(queue.get(job.id));
+  queue.sweep(Date.parse(job.finishedAt) + 1500);
+  assert.equal(queue.get(job.id), null);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractJSONArray, validateMarkers, parseMarkerResponse, buildRepairPrompt } = require('../lib/markers');
+
+const marker = { icon: '⚠️', type: 'Pacing', message: 'Slow start', detail: 'Two pages before anything happens', severity: 'moderate' };
+
+test('extractJSONArray finds the array inside fences and prose', () => {
+  assert.deepEqual(extractJSONArray('```json\n[1, 2]\n```'), [1, 2]);
+  assert.deepEqual(extractJSONArray('Here is the analysis: [{"a": "[not]"}] Hope this helps!'), [{ a: '[not]' }]);
+  assert.deepEqual(extractJSONArray('{"markers": [3]}'), [3]);
+  assert.deepEqual(extractJSONArray('See [note] then [4]'), [4]);
+  assert.equal(extractJSONArray('no array here'), null);
+  assert.equal(extractJSONArray(null), null);
+});
+
+test('valid markers are trimmed and their severity lower-cased', () => {
+  const { markers, errors } = validateMarkers([{ ...marker, type: ' Pacing ', severity: 'SEVERE', location: { paragraph: '2', quote: ' It began. ' } }]);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(markers, [{ ...marker, severity: 'severe', location: { paragraph: 2, quote: 'It began.' } }]);
+});
+
+test('invalid markers are dropped with an error naming the field', () => {
+  const { markers, errors } = validateMarkers([
+    marker,
+    { ...marker, message: '' },
+    { ...marker, severity: 'huge' },
+    { ...marker, location: { paragraph: 0 } },
+    'nope'
+  ]);
+
+  assert.equal(markers.length, 1);
+  assert.deepEqual(errors, [
+    'markers[1].message must be a non-empty string',
+    'markers[2].severity must be one of minor, moderate, severe (got "huge")',
+    'markers[3].location.paragraph must be a positive integer',
+    'markers[4] must be an object'
+  ]);
+});
+
+test('a reply with no array is reported, and the repair prompt lists the problems', () => {
+  assert.deepEqual(parseMarkerResponse('I found nothing wrong.'), { markers: [], errors: ['Response did not contain a JSON array'] });
+
+  const prompt = buildRepairPrompt(['markers[0].icon must be a non-empty string']);
+  assert.match(prompt, /- markers\[0\]\.icon must be a non-empty string/);
+  assert.match(prompt, /"severity": exactly one of/);
+});
@@ -0,0 +1,90 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createModelHealth, isRetryable } = require('../lib/modelHealth');
+
+// The breaker logs when it opens
+mock.method(console, 'warn', () => {});
+
+const serverError = Object.assign(new Error('overloaded'), { status: 503 });
+const CHAIN = ['primary', 'backup'];
+
+function openBreaker(health, model, now) {
+  for (let i = 0; i < health.failureThreshold; i++) health.recordFailure(model, serverError, now);
+}
+
+test('the breaker opens after the threshold and arrange routes around it', () => {
+  const health = createModelHealth({ failureThreshold: 3, cooldownMs: 1000 });
+
+  health.recordFailure('primary', serverError, 0);
+  health.recordFailure('primary', serverError, 0);
+  assert.deepEqual(health.arrange(CHAIN, 0), CHAIN);
+
+  health.recordFailure('primary', serverError, 0);
+  assert.equal(health.getStatus(['primary'], 0)[0].breaker, 'open');
+  assert.deepEqual(health.arrange(CHAIN, 500), ['backup']);
+});
+
+test('a success resets the run of failures', () => {
+  const health = createModelHealth({ failureThreshold: 2 });
+
+  health.recordFailure('primary', serverError, 0);
+  health.recordSuccess('primary', 100, 1);
+  health.recordFailure('primary', serverError, 2);
+  assert.equal(health.getStatus(['primary'])[0].breaker, 'closed');
+});
+
+test('a 4xx or an abort leaves the breaker alone', () => {
+  const health = createModelHealth({ failureThreshold: 1 });
+
+  health.recordFailure('primary', Object.assign(new Error('bad request'), { status: 400 }));
+  health.recordFailure('primary', Object.assign(new Error('aborted'), { name: 'AbortError' }));
+  assert.equal(health.getStatus(['primary'])[0].failures, 0);
+  assert.equal(health.allows('primary'), true);
+});
+
+test('arrange only asks; the trial call is claimed when it goes out', () => {
+  const health = createModelHealth({ failureThreshold: 1, cooldownMs: 1000 });
+  openBreaker(health, 'primary', 0);
+
+  // Routing twice after the cooldown claims nothing
+  assert.deepEqual(health.arrange(CHAIN, 1000), CHAIN);
+  assert.deepEqual(health.arrange(CHAIN, 1000), CHAIN);
+  assert.equal(health.getStatus(['primary'], 1000)[0].breaker, 'open');
+
+  assert.equal(health.startCall('primary', 1000), true);
+  assert.equal(health.getStatus(['primary'], 1000)[0].breaker, 'half-open');
+
+  // A second trial waits for the first, unless the first never reports back
+  assert.equal(health.startCall('primary', 1500), false);
+  assert.deepEqual(health.arrange(CHAIN, 1500), ['backup']);
+  assert.equal(health.startCall('primary', 2000), true);
+});
+
+test('the trial call closes the breaker on success and reopens it on failure', () => {
+  const health = createModelHealth({ failureThreshold: 3, cooldownMs: 1000 });
+
+  openBreaker(health, 'primary', 0);
+  health.startCall('primary', 1000);
+  health.recordFailure('primary', serverError, 1000);
+  assert.equal(health.getStatus(['primary'], 1000)[0].breaker, 'open');
+
+  health.startCall('primary', 2000);
+  health.recordSuccess('primary', 100, 2000);
+  assert.equal(health.getStatus(['primary'], 2000)[0].breaker, 'closed');
+});
+
+test('with every breaker open the whole chain is tried', () => {
+  const health = createModelHealth({ failureThreshold: 1, cooldownMs: 1000 });
+  CHAIN.forEach(model => openBreaker(health, model, 0));
+
+  assert.deepEqual(health.arrange(CHAIN, 10), CHAIN);
+  assert.equal(health.startCall('primary', 10), true);
+});
+
+test('429 and 5xx are retryable, timeouts and 4xx are not', () => {
+  assert.equal(isRetryable({ status: 429 }), true);
+  assert.equal(isRetryable({ status: 502 }), true);
+  assert.equal(isRetryable({ status: 504, code: 'UPSTREAM_TIMEOUT' }), false);
+  assert.equal(isRetryable({ status: 400 }), false);
+  assert.equal(isRetryable(new Error('socket hang up')), false);
+});
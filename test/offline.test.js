@@ -0,0 +1,41 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+// The mock provider with no Wix credentials: lookups find nothing instead of failing
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => {
+  server?.stop();
+});
+
+test('tagged requests run without Wix, reporting every tag as missing', async () => {
+  const { status, body } = await server.post('/devil-pov', {
+    action: 'invoke',
+    userPrompt: 'Write one line of dread.',
+    characterTags: ['@Mara'],
+    storyTags: ['@Ruin'],
+    catalystTags: ['Blackout']
+  });
+
+  assert.equal(status, 200);
+  assert.match(body.result, /^\[mock:/);
+  assert.deepEqual(body.tags, {
+    characters: { found: [], missing: ['@Mara'] },
+    stories: { found: [], missing: ['@Ruin'] },
+    catalysts: { found: [], missing: ['Blackout'] }
+  });
+});
+
+test('/health reports Wix as not configured', async () => {
+  const res = await fetch(`${server.baseUrl}/health`);
+  const body = await res.json();
+
+  assert.equal(body.keys.wix, false);
+  assert.deepEqual(body.wix, { configured: false, reachable: null });
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mapWithConcurrency } = require('../lib/pool');
+
+test('results keep input order and failures are settled, not thrown', async () => {
+  const results = await mapWithConcurrency([30, 10, 20], 2, async (ms, idx) => {
+    await new Promise(resolve => setTimeout(resolve, ms));
+    if (idx === 1) throw new Error('chunk 2 failed');
+    return ms;
+  });
+
+  assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+  assert.equal(results[0].value, 30);
+  assert.equal(results[1].reason.message, 'chunk 2 failed');
+});
+
+test('no more than limit calls are in flight', async () => {
+  let inFlight = 0;
+  let peak = 0;
+
+  await mapWithConcurrency(Array.from({ length: 6 }, (_, i) => i), 2, async () => {
+    peak = Math.max(peak, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, 2));
+    inFlight--;
+  });
+
+  assert.equal(peak, 2);
+  assert.deepEqual(await mapWithConcurrency([], 3, async () => 1), []);
+});
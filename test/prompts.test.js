@@ -0,0 +1,58 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createPromptRegistry } = require('../lib/prompts');
+
+// Progress logs on stdout can garble the Node 20 test runner's report stream
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+function promptDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+  Object.entries(files).forEach(([file, text]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), text);
+  });
+  return dir;
+}
+
+test('the highest version renders by default with its variables filled in', () => {
+  const registry = createPromptRegistry({
+    dir: promptDir({ 'invoke/system.v1.txt': 'Old {{tone}}', 'invoke/system.v2.txt': 'Write {{ tone }} prose.\n', 'invoke/system.v10.txt': 'Newest {{tone}}' })
+  });
+
+  assert.deepEqual(registry.render('invoke/system', { tone: 'dark' }), { text: 'Newest dark', version: 'v10' });
+  assert.deepEqual(registry.render('invoke/system', { tone: 'dark' }, 'v2'), { text: 'Write dark prose.', version: 'v2' });
+  assert.equal(registry.render('invoke/system', { tone: 'dark' }, 'v7').version, 'v10');
+});
+
+test('versions.json pins the default', () => {
+  const registry = createPromptRegistry({
+    dir: promptDir({ 'invoke/system.v1.txt': 'one', 'invoke/system.v2.txt': 'two', 'versions.json': '{ "invoke/system": "v1" }' })
+  });
+
+  assert.equal(registry.render('invoke/system').text, 'one');
+  assert.deepEqual(registry.list(), [{ name: 'invoke/system', versions: ['v1', 'v2'], default: 'v1' }]);
+});
+
+test('an unknown template or variable is an error', () => {
+  const registry = createPromptRegistry({ dir: promptDir({ 'invoke/system.v1.txt': 'Hello {{name}}' }) });
+
+  assert.throws(() => registry.render('invoke/request'), /Unknown prompt template: invoke\/request/);
+  assert.throws(() => registry.render('invoke/system', {}), /uses unknown variable \{\{name\}\}/);
+  assert.equal(registry.has('invoke/system'), true);
+});
+
+test('edited files are picked up and a broken manifest keeps the last good set', () => {
+  const dir = promptDir({ 'invoke/system.v1.txt': 'before' });
+  const registry = createPromptRegistry({ dir, reloadMs: 0 });
+  assert.equal(registry.render('invoke/system').text, 'before');
+
+  fs.writeFileSync(path.join(dir, 'invoke', 'system.v2.txt'), 'after');
+  assert.equal(registry.render('invoke/system').text, 'after');
+
+  fs.writeFileSync(path.join(dir, 'versions.json'), '{ not json');
+  assert.equal(registry.render('invoke/system').text, 'after');
+});
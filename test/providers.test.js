@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createOpenAICompatibleProvider, createMockProvider, createProviderFromEnv, readCompletionStream } = require('../lib/providers');
+
+// An SSE response body split across awkward chunk boundaries
+function sseResponse(events) {
+  const text = events.map(event => (typeof event === 'string' ? event : `data: ${JSON.stringify(event)}`)).join('\n\n') + '\n\n';
+  const encoder = new TextEncoder();
+  return new Response(new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < text.length; i += 7) controller.enqueue(encoder.encode(text.slice(i, i + 7)));
+      controller.close();
+    }
+  }));
+}
+
+const delta = (content) => ({ choices: [{ delta: { content } }] });
+
+test('a stream is read token by token, with usage from the last chunk', async () => {
+  const tokens = [];
+  const result = await readCompletionStream(sseResponse([
+    ': OPENROUTER PROCESSING',
+    delta('The lamp '),
+    delta('went out.'),
+    { choices: [], usage: { prompt_tokens: 12, completion_tokens: 4 } },
+    'data: [DONE]'
+  ]), token => tokens.push(token));
+
+  assert.deepEqual(tokens, ['The lamp ', 'went out.']);
+  assert.deepEqual(result, { content: 'The lamp went out.', usage: { prompt_tokens: 12, completion_tokens: 4 } });
+});
+
+test('an error event in the stream throws', async () => {
+  await assert.rejects(readCompletionStream(sseResponse([delta('Half'), { error: { message: 'Provider overloaded' } }]), () => {}), /Provider overloaded/);
+});
+
+test('complete posts the request and returns content, model and usage', async (t) => {
+  const fetchMock = t.mock.method(globalThis, 'fetch', async () => Response.json({
+    model: 'deepseek/deepseek-v3.2',
+    choices: [{ message: { content: 'Done.' } }],
+    usage: { prompt_tokens: 3, completion_tokens: 1 }
+  }));
+
+  const provider = createOpenAICompatibleProvider({ name: 'openai', baseUrl: 'http://local.llm/v1/', apiKey: 'secret' });
+  const result = await provider.complete({ model: 'deepseek/deepseek-v3.2', messages: [{ role: 'user', content: 'hi' }], temperature: 0.5, maxTokens: 10 });
+
+  assert.deepEqual(result, { content: 'Done.', model: 'deepseek/deepseek-v3.2', usage: { prompt_tokens: 3, completion_tokens: 1 } });
+
+  const [url, options] = fetchMock.mock.calls[0].arguments;
+  assert.equal(url, 'http://local.llm/v1/chat/completions');
+  assert.equal(options.headers.Authorization, 'Bearer secret');
+  assert.deepEqual(JSON.parse(options.body), {
+    model: 'deepseek/deepseek-v3.2', messages: [{ role: 'user', content: 'hi' }], temperature: 0.5, max_tokens: 10, stream: false
+  });
+});
+
+test('an HTTP error keeps its status', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => new Response('overloaded', { status: 503 }));
+  const provider = createOpenAICompatibleProvider({ name: 'openai', baseUrl: 'http://local.llm/v1' });
+
+  await assert.rejects(provider.complete({ model: 'm', messages: [] }), { status: 503, message: 'openai m failed (503): overloaded' });
+});
+
+test('the mock answers marker prompts with a valid marker and echoes the rest', async () => {
+  const provider = createMockProvider();
+
+  const markers = await provider.complete({ model: 'm', messages: [{ role: 'system', content: 'Return a JSON array.' }, { role: 'user', content: 'text' }] });
+  assert.equal(JSON.parse(markers.content)[0].severity, 'minor');
+
+  const tokens = [];
+  const echo = await provider.complete({ model: 'm', messages: [{ role: 'user', content: 'hello there' }], onToken: token => tokens.push(token) });
+  assert.equal(echo.content, '[mock:m] hello there');
+  assert.equal(tokens.join(''), echo.content);
+});
+
+test('the provider is chosen from the environment', () => {
+  assert.equal(createProviderFromEnv({ LLM_PROVIDER: 'mock' }).name, 'mock');
+  assert.equal(createProviderFromEnv({}).name, 'openrouter');
+  assert.equal(createProviderFromEnv({}).isConfigured(), false);
+  assert.equal(createProviderFromEnv({ OPENROUTER_API_KEY: 'k' }).isConfigured(), true);
+  assert.throws(() => createProviderFromEnv({ LLM_PROVIDER: 'openai' }), /requires LLM_BASE_URL/);
+  assert.throws(() => createProviderFromEnv({ LLM_PROVIDER: 'bedrock' }), /Unknown LLM_PROVIDER: bedrock/);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../lib/rateLimit');
+
+const alice = { id: 'key:alice', name: 'alice' };
+const NOON = Date.UTC(2026, 0, 1, 12);
+
+test('the per-minute limit slides with the window', () => {
+  const limiter = createRateLimiter({ perMinute: 2, dailyQuota: 0 });
+
+  assert.equal(limiter.check(alice, null, NOON).remaining, 1);
+  assert.equal(limiter.check(alice, null, NOON + 1000).remaining, 0);
+
+  const rejected = limiter.check(alice, null, NOON + 2000);
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.code, 'RATE_LIMITED');
+  assert.equal(rejected.retryAfter, 58);
+
+  assert.equal(limiter.check(alice, null, NOON + 60 * 1000 + 1).allowed, true);
+});
+
+test('callers are limited separately, and per action', () => {
+  const limiter = createRateLimiter({ perMinute: 10, actionLimits: { full_audit: 1 }, dailyQuota: 0 });
+
+  assert.equal(limiter.check(alice, 'full_audit', NOON).allowed, true);
+  const rejected = limiter.check(alice, 'full_audit', NOON);
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.action, 'full_audit');
+
+  assert.equal(limiter.check(alice, 'invoke', NOON).allowed, true);
+  assert.equal(limiter.check({ id: 'key:bob' }, 'full_audit', NOON).allowed, true);
+});
+
+test('the daily quota resets at midnight UTC and a principal can override it', () => {
+  const limiter = createRateLimiter({ perMinute: 0, dailyQuota: 1 });
+
+  assert.equal(limiter.check(alice, null, NOON).allowed, true);
+  const rejected = limiter.check(alice, null, NOON + 1000);
+  assert.equal(rejected.code, 'QUOTA_EXCEEDED');
+  assert.equal(rejected.quota.resetsAt, '2026-01-02T00:00:00.000Z');
+
+  assert.equal(limiter.check(alice, null, Date.UTC(2026, 0, 2, 0, 0, 1)).allowed, true);
+
+  const generous = { id: 'key:studio', dailyQuota: 3 };
+  [0, 1, 2].forEach(i => assert.equal(limiter.check(generous, null, NOON + i).allowed, true));
+});
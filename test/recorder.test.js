@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createRecorder } = require('../lib/recorder');
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-'));
+
+test('a recorded response replays without calling out', async () => {
+  const dir = tmpDir();
+  const request = { model: 'm', messages: [{ role: 'user', content: 'hi' }] };
+
+  await createRecorder({ mode: 'record', dir }).call('llm', 'm', request, async () => ({ content: 'hello' }));
+
+  const replayed = await createRecorder({ mode: 'replay', dir }).call('llm', 'm', request, () => {
+    throw new Error('replay must not perform the call');
+  });
+  assert.deepEqual(replayed, { content: 'hello' });
+});
+
+test('a recorded failure replays with its name, code and status', async () => {
+  const dir = tmpDir();
+  const timeout = Object.assign(new Error('Model took too long'), { name: 'TimeoutError', code: 'UPSTREAM_TIMEOUT', status: 504 });
+
+  await assert.rejects(createRecorder({ mode: 'record', dir }).call('llm', 'm', { n: 1 }, async () => { throw timeout; }));
+
+  await assert.rejects(
+    createRecorder({ mode: 'replay', dir }).call('llm', 'm', { n: 1 }, async () => ({})),
+    { name: 'TimeoutError', code: 'UPSTREAM_TIMEOUT', status: 504, message: 'Model took too long' }
+  );
+});
+
+test('timestamps and ids in a request do not change its fixture', async () => {
+  const dir = tmpDir();
+  const write = (at, id) => ({ sessionId: id, timestamp: at });
+
+  await createRecorder({ mode: 'record', dir }).call('wix', 'insert', write('2026-01-01T00:00:00.000Z', '0b0e6f4e-1c1a-4c55-9a4e-6a7b3c2d1e0f'), async () => ({ ok: true }));
+
+  const replayed = await createRecorder({ mode: 'replay', dir }).call('wix', 'insert', write('2026-05-05T10:10:10.123Z', 'f1e2d3c4-b5a6-4978-8695-a4b3c2d1e0f9'), async () => ({}));
+  assert.deepEqual(replayed, { ok: true });
+});
+
+test('replay of an unrecorded request throws FIXTURE_MISSING', async () => {
+  const recorder = createRecorder({ mode: 'replay', dir: tmpDir() });
+
+  await assert.rejects(recorder.call('wix', 'lookup', { q: 1 }, async () => ({})), { code: 'FIXTURE_MISSING', status: 500 });
+  assert.equal(recorder.getStats().missing, 1);
+});
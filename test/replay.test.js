@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { startServer } = require('./helpers/server');
+
+// Runs the server against the fixtures in test/fixtures, recorded with a primary
+// model that answered 503 and a backup that answered. Replay never touches the
+// network, so anything unrecorded has to fail loudly.
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    RECORD_MODE: 'replay',
+    RECORD_DIR: path.join(__dirname, 'fixtures'),
+    LLM_PROVIDER: 'openai',
+    LLM_BASE_URL: 'http://fake.llm/v1',
+    LLM_API_KEY: 'test',
+    WIX_API_KEY: 'test',
+    WIX_SITE_ID: 'test'
+  });
+});
+
+after(() => {
+  server?.stop();
+});
+
+test('a recorded request replays, falling back past the failed primary model', async () => {
+  const { status, body } = await server.post('/devil-pov', { action: 'invoke', userPrompt: 'Write one line of dread.', characterTags: ['@Mara'] });
+
+  assert.equal(status, 200);
+  assert.equal(body.result, 'The lamp went out before she reached the stairs.');
+  assert.equal(body.meta.model, 'deepseek/deepseek-v3.2');
+  assert.deepEqual(body.tags.characters.found, ['@Mara']);
+});
+
+test('every tag kind reports which of several tags resolved and which are missing', async () => {
+  const { status, body } = await server.post('/devil-pov', {
+    action: 'invoke',
+    userPrompt: 'Write one line of dread.',
+    characterTags: ['@Mara', '@Ghost'],
+    storyTags: ['@Ruin', '@Lost'],
+    catalystTags: ['Blackout', 'Nowhere']
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.tags, {
+    characters: { found: ['@Mara'], missing: ['@Ghost'] },
+    stories: { found: ['@Ruin'], missing: ['@Lost'] },
+    catalysts: { found: ['Blackout'], missing: ['Nowhere'] }
+  });
+
+  const included = body.context.sections.filter(section => section.status === 'included').map(section => section.name);
+  assert.ok(['characters', 'catalyst', 'passages'].every(name => included.includes(name)));
+});
+
+test('an unrecorded call fails with FIXTURE_MISSING instead of going to the network', async () => {
+  const { status, body } = await server.post('/devil-pov', { action: 'invoke', userPrompt: 'Write one line of dread.', characterTags: ['@Nobody'] });
+
+  assert.equal(status, 500);
+  assert.equal(body.status, 'error');
+  assert.equal(body.code, 'FIXTURE_MISSING');
+  assert.match(body.details, /No recorded wix fixture/);
+});
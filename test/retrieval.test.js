@@ -0,0 +1,59 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPassageIndex, createRetriever } = require('../lib/retrieval');
+
+// Progress logs on stdout can garble the Node 20 test runner's report stream
+mock.method(console, 'log', () => {});
+
+const chapters = [
+  { id: 'c1', title: 'The Harbour', storyTag: '#Tide', number: 1, total: 2, content: 'The lighthouse keeper counted ships.\n\nFog rolled over the harbour wall.' },
+  { id: 'c2', title: 'The Cellar', storyTag: '#Tide', number: 2, total: 2, content: 'Mara found the cellar key.\n\nThe lantern guttered and died.' }
+];
+
+test('search ranks passages sharing terms with the query, best first', () => {
+  const index = createPassageIndex(chapters, { passageWords: 6 });
+
+  const hits = index.search('where did Mara hide the cellar key?');
+  assert.equal(hits[0].chapterTitle, 'The Cellar');
+  assert.equal(hits[0].firstParagraph, 1);
+  assert.ok(hits.every(hit => hit.score > 0));
+
+  assert.deepEqual(index.search('spaceships and lasers'), []);
+});
+
+test('passages stay within passageWords, one paragraph at least', () => {
+  const index = createPassageIndex(chapters, { passageWords: 6 });
+  assert.equal(index.passages.length, 4);
+
+  const whole = createPassageIndex(chapters, { passageWords: 100 });
+  assert.deepEqual(whole.passages.map(passage => [passage.firstParagraph, passage.lastParagraph]), [[1, 2], [1, 2]]);
+});
+
+test('latest returns the end of the newest chapter', () => {
+  const index = createPassageIndex(chapters, { passageWords: 6 });
+  assert.deepEqual(index.latest(1).map(passage => passage.text), ['The lantern guttered and died.']);
+  assert.equal(index.latest(5).length, 2);
+  assert.deepEqual(createPassageIndex([]).latest(), []);
+});
+
+test('the retriever reuses an index until its chapters change', () => {
+  const retriever = createRetriever();
+
+  const first = retriever.getIndex('#Tide', chapters);
+  assert.equal(retriever.getIndex('#Tide', chapters), first);
+
+  const edited = [chapters[0], { ...chapters[1], updatedAt: '2026-02-01T00:00:00.000Z' }];
+  assert.notEqual(retriever.getIndex('#Tide', edited), first);
+  assert.deepEqual({ builds: retriever.getStats().builds, reuses: retriever.getStats().reuses }, { builds: 2, reuses: 1 });
+});
+
+test('the least recently used index is evicted past maxIndexes', () => {
+  const retriever = createRetriever({ maxIndexes: 2 });
+  retriever.getIndex('a', chapters);
+  retriever.getIndex('b', chapters);
+  retriever.getIndex('a', chapters);
+  retriever.getIndex('c', chapters);
+
+  assert.deepEqual(retriever.getStats().indexes.map(entry => entry.key), ['a', 'c']);
+  assert.equal(retriever.invalidate(), 2);
+});
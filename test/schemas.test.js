@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateInput, describeSchema, checkSchema } = require('../lib/schemas');
+
+const schema = {
+  description: 'Rewrite a chapter darker',
+  output: 'text',
+  params: {
+    chapterContent: { type: 'string', required: true, maxLength: 20 },
+    characterTags: { type: 'tags' },
+    variants: { type: 'integer', min: 1, max: 4 },
+    analyzers: { type: 'array', items: 'string', enum: ['pacing', 'dialogue'], maxItems: 2 },
+    format: { type: 'string', enum: ['text', 'diff'], default: 'text' }
+  }
+};
+
+const fields = (body) => validateInput(schema, body).map(problem => problem.message);
+
+test('a body that fits the schema has no problems, and unknown fields are left alone', () => {
+  assert.deepEqual(fields({ chapterContent: 'It rained.', characterTags: '@Mara', variants: 2, analyzers: ['pacing'], stream: true }), []);
+  assert.deepEqual(fields({ chapterContent: 'It rained.', characterTags: ['@Mara', '@Jon'] }), []);
+});
+
+test('required fields must be present and non-empty', () => {
+  assert.deepEqual(fields({}), ['chapterContent is required']);
+  assert.deepEqual(fields({ chapterContent: '   ' }), ['chapterContent is required']);
+});
+
+test('types, lengths, ranges and enums are each reported', () => {
+  assert.deepEqual(fields({ chapterContent: 42 }), ['chapterContent must be a string, got number']);
+  assert.deepEqual(fields({ chapterContent: 'x'.repeat(21) }), ['chapterContent is 21 characters; the limit is 20']);
+  assert.deepEqual(fields({ chapterContent: 'x', variants: 1.5 }), ['variants must be an integer, got number']);
+  assert.deepEqual(fields({ chapterContent: 'x', variants: 5 }), ['variants must be at most 4']);
+  assert.deepEqual(fields({ chapterContent: 'x', characterTags: [1] }), ['characterTags must be a tag or a list of tags, got array']);
+  assert.deepEqual(fields({ chapterContent: 'x', format: 'html' }), ['format has unknown value "html". Available: text, diff']);
+  assert.deepEqual(fields({ chapterContent: 'x', analyzers: ['pacing', 'dialogue', 'pacing'] }), [
+    'analyzers has 3 entries; the limit is 2'
+  ]);
+  assert.deepEqual(fields({ chapterContent: 'x', analyzers: ['tone', 'mood'] }), ['analyzers has unknown values "tone", "mood". Available: pacing, dialogue']);
+});
+
+test('problems carry the field name', () => {
+  assert.deepEqual(validateInput(schema, { chapterContent: 'x', variants: 0 }), [{ field: 'variants', message: 'variants must be at least 1' }]);
+});
+
+test('describeSchema lists each param with its constraints', () => {
+  const described = describeSchema('darken', schema, { streamable: true });
+
+  assert.equal(described.name, 'darken');
+  assert.equal(described.streamable, true);
+  assert.deepEqual(described.params.find(param => param.name === 'format'), {
+    name: 'format', type: 'string', required: false, enum: ['text', 'diff'], default: 'text'
+  });
+  assert.deepEqual(described.params.find(param => param.name === 'variants'), {
+    name: 'variants', type: 'integer', required: false, min: 1, max: 4
+  });
+});
+
+test('checkSchema rejects an unknown type', () => {
+  assert.equal(checkSchema('darken', schema), schema);
+  assert.throws(() => checkSchema('darken', { params: { text: { type: 'text' } } }), /text has unknown type text/);
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startFakeLLM } = require('./helpers/server');
+
+// POST /devil-pov/stream against the offline mock, and against a fake LLM whose
+// primary model fails before sending anything.
+
+let mockServer;
+let fallbackServer;
+let llm;
+
+before(async () => {
+  llm = await startFakeLLM(({ model }) => (
+    model === 'first-model' ? { status: 503, error: 'overloaded' } : 'The stairs went on without her.'
+  ));
+
+  [mockServer, fallbackServer] = await Promise.all([
+    startServer({ PRIMARY_MODEL: 'first-model', BACKUP_MODEL: 'second-model' }),
+    startServer({ LLM_PROVIDER: 'openai', LLM_BASE_URL: llm.baseUrl, PRIMARY_MODEL: 'first-model', BACKUP_MODEL: 'second-model' })
+  ]);
+});
+
+after(async () => {
+  mockServer?.stop();
+  fallbackServer?.stop();
+  await llm?.stop();
+});
+
+test('tokens arrive as token events followed by one done event', async () => {
+  const { status, events } = await mockServer.stream({ action: 'unleash', chapterContent: 'The door was open.' });
+
+  assert.equal(status, 200);
+  const tokens = events.slice(0, -1);
+  assert.ok(tokens.length > 1);
+  tokens.forEach(({ event }) => assert.equal(event, 'token'));
+  assert.equal(events.at(-1).event, 'done');
+  assert.match(tokens.map(({ data }) => data.text).join(''), /^\[mock:first-model\] /);
+});
+
+test('the done event carries the model, characters generated and time, not the result', async () => {
+  const { events } = await mockServer.stream({ action: 'unleash', chapterContent: 'The door was open.' });
+  const text = events.filter(({ event }) => event === 'token').map(({ data }) => data.text).join('');
+  const done = events.at(-1).data;
+
+  assert.equal(done.status, 'success');
+  assert.equal(done.action, 'unleash');
+  assert.equal(done.resultType, 'text');
+  assert.equal(done.result, undefined);
+  assert.equal(done.meta.model, 'first-model');
+  assert.equal(done.meta.charsGenerated, text.length);
+  assert.equal(typeof done.meta.processingTime, 'number');
+});
+
+test('a model that fails before any output falls back to the next one', async () => {
+  const { status, events } = await fallbackServer.stream({ action: 'unleash', chapterContent: 'The door was open.' });
+
+  assert.equal(status, 200);
+  assert.deepEqual(llm.calls.map(call => call.model), ['first-model', 'second-model']);
+  assert.ok(llm.calls.every(call => call.stream));
+  assert.equal(events.filter(({ event }) => event === 'token').map(({ data }) => data.text).join(''), 'The stairs went on without her.');
+  assert.equal(events.at(-1).event, 'done');
+  assert.equal(events.at(-1).data.meta.model, 'second-model');
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStyleControls, temperatureFor, formatStyleInstructions, checkStyle, detectPov, detectTense } = require('../lib/styleControls');
+
+const firstPast = 'I walked to the door. I was afraid, and my hands shook. I knew what waited. I turned the handle and I saw her.';
+const thirdPresent = 'She walks to the door. She is afraid, and her hands shake. She knows what waits. He turns the handle and she sees him.';
+
+test('no control fields means no controls', () => {
+  assert.equal(parseStyleControls({ chapterContent: 'x' }), null);
+});
+
+test('controls are normalized with intensity 3 by default', () => {
+  assert.deepEqual(parseStyleControls({ lengthRatio: '1.5', locked: [' Mara ', 'Mara', 'the key'] }), {
+    intensity: 3,
+    lengthRatio: 1.5,
+    preserveDialogue: false,
+    lockPov: false,
+    lockTense: false,
+    locked: ['Mara', 'the key']
+  });
+});
+
+test('values that cannot be honoured are a validation error', () => {
+  assert.throws(() => parseStyleControls({ intensity: 6 }), { code: 'VALIDATION_ERROR', message: /intensity/ });
+  assert.throws(() => parseStyleControls({ lengthRatio: 4 }), { code: 'VALIDATION_ERROR', message: /lengthRatio/ });
+  assert.throws(() => parseStyleControls({ locked: ['ok', ''] }), { code: 'VALIDATION_ERROR', message: /locked/ });
+});
+
+test('intensity nudges the temperature', () => {
+  assert.equal(temperatureFor(0.85, null), 0.85);
+  assert.equal(temperatureFor(0.85, { intensity: 5 }), 0.95);
+  assert.equal(temperatureFor(0.85, { intensity: 1 }), 0.75);
+});
+
+test('point of view and tense are detected from the narration', () => {
+  assert.equal(detectPov(firstPast), 'first');
+  assert.equal(detectPov(thirdPresent), 'third');
+  assert.equal(detectTense(firstPast), 'past');
+  assert.equal(detectTense(thirdPresent), 'present');
+  assert.equal(detectPov('Rain.'), null);
+});
+
+test('the instructions spell out every control', () => {
+  const controls = parseStyleControls({ intensity: 5, lengthRatio: 2, lockPov: true, locked: ['Mara'] });
+  const instructions = formatStyleInstructions(controls, firstPast);
+
+  assert.match(instructions, /^STYLE CONTROLS \(hard constraints\):/);
+  assert.match(instructions, /Intensity 5 of 5/);
+  assert.match(instructions, /about 48 words \(2x the original\)/);
+  assert.match(instructions, /first-person point of view/);
+  assert.match(instructions, /"Mara"/);
+});
+
+test('checkStyle reports each broken control', () => {
+  const source = `${firstPast} "Don't open it," Mara said.`;
+  const controls = parseStyleControls({ lengthRatio: 1, preserveDialogue: true, lockPov: true, lockTense: true, locked: ['Mara', 'Jon'] });
+
+  assert.equal(checkStyle(controls, source, source).passed, true);
+
+  const result = checkStyle(controls, source, `${thirdPresent} "Open it," the woman said.`);
+  assert.deepEqual(result.violations.map(violation => violation.rule), ['preserveDialogue', 'lockPov', 'lockTense', 'locked']);
+  assert.deepEqual(result.violations.find(violation => violation.rule === 'locked').elements, ['Mara']);
+});
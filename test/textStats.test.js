@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeText, statsToMarkers, applyExactCounts, findOccurrences, lemmatize } = require('../lib/textStats');
+
+const repetitive = Array.from({ length: 12 }, (_, i) =>
+  `She just wanted to sleep, just for a moment, and the storm just kept raging over harbor ${i}.`
+).join(' ');
+
+test('counts words, sentences and paragraphs', () => {
+  const stats = analyzeText('He ran. She hid.\n\nThe door stayed shut.');
+  assert.deepEqual(stats.counts, { words: 8, sentences: 3, paragraphs: 2 });
+});
+
+test('groups repeated words by lemma and records their forms', () => {
+  const stats = analyzeText('The storm raged. Storms came and went. The storm again.');
+  const storm = stats.wordFrequency.find(w => w.lemma === lemmatize('storm'));
+
+  assert.equal(storm.count, 3);
+  assert.deepEqual(storm.forms, { storm: 2, storms: 1 });
+  assert.equal(storm.firstParagraph, 1);
+});
+
+test('a repeated filler gets one Filler marker and no Word Repetition marker', () => {
+  const markers = statsToMarkers(analyzeText(repetitive), ['overuse']);
+  const aboutJust = markers.filter(marker => marker.type !== 'Phrase Echo' && /'just'/.test(marker.message));
+
+  assert.deepEqual(aboutJust.map(marker => marker.type), ['Filler']);
+  assert.ok(markers.some(marker => marker.type === 'Word Repetition' && /'storm'/.test(marker.message)));
+});
+
+test('a repeated crutch verb is only flagged as a crutch verb', () => {
+  const text = Array.from({ length: 10 }, (_, i) => `He felt the cold and felt the dark in room ${i}.`).join(' ');
+  const markers = statsToMarkers(analyzeText(text), ['overuse']);
+
+  assert.ok(markers.some(marker => marker.type === 'Crutch Verb' && /'felt'/.test(marker.message)));
+  assert.ok(!markers.some(marker => marker.type === 'Word Repetition' && marker.location?.quote === 'felt'));
+});
+
+test('findOccurrences matches whole words only, case-insensitively', () => {
+  assert.equal(findOccurrences('Just a jest. JUST justice, just.', 'just').length, 3);
+});
+
+test('applyExactCounts replaces a model-claimed count with the real one', () => {
+  const [marker] = applyExactCounts([{ type: 'Word Repetition', message: "'storm' appears 40 times" }], repetitive);
+  assert.equal(marker.count, 12);
+  assert.equal(marker.message, "'storm' appears 12 times");
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createUsageMeter } = require('../lib/usage');
+
+const usageFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'usage-')), 'logs', 'usage.jsonl');
+
+test('a call is priced from the table, or from the provider when it reports a cost', () => {
+  const meter = createUsageMeter({ file: usageFile() });
+
+  const priced = meter.record({ action: 'invoke', model: 'deepseek/deepseek-v3.2', usage: { prompt_tokens: 1000000, completion_tokens: 1000000 }, latencyMs: 10 });
+  assert.equal(priced.cost, 0.67);
+  assert.equal(priced.estimated, false);
+
+  assert.equal(meter.record({ model: 'deepseek/deepseek-v3.2', usage: { prompt_tokens: 1, completion_tokens: 1, cost: 0.0123 } }).cost, 0.0123);
+  assert.equal(meter.record({ model: 'local/llama', usage: { prompt_tokens: 1, completion_tokens: 1 } }).cost, null);
+});
+
+test('without provider usage the estimate is used and flagged', () => {
+  const meter = createUsageMeter({ file: usageFile(), prices: { 'local/llama': { prompt: 1, completion: 1 } } });
+  const entry = meter.record({ model: 'local/llama', estimate: { promptTokens: 500000, completionTokens: 500000 } });
+
+  assert.equal(entry.estimated, true);
+  assert.equal(entry.promptTokens, 500000);
+  assert.equal(entry.cost, 1);
+});
+
+test('the report totals the log and groups it', async () => {
+  const meter = createUsageMeter({ file: usageFile() });
+  const usage = { prompt_tokens: 100, completion_tokens: 50 };
+
+  meter.record({ action: 'invoke', user: 'key:alice', model: 'deepseek/deepseek-v3.2', usage, latencyMs: 100 });
+  meter.record({ action: 'invoke', user: 'key:alice', model: 'deepseek/deepseek-v3.1-terminus:exacto', ok: false, usage: null, latencyMs: 300, error: 'overloaded' });
+  meter.record({ action: 'unhinge', user: 'key:bob', model: 'deepseek/deepseek-v3.2', usage, latencyMs: 200 });
+
+  const all = await meter.report({ groupBy: ['action'] });
+  assert.equal(all.totals.calls, 3);
+  assert.equal(all.totals.failures, 1);
+  assert.equal(all.totals.promptTokens, 200);
+  assert.equal(all.totals.avgLatencyMs, 200);
+  assert.deepEqual(all.groups.map(group => [group.action, group.calls]), [['invoke', 2], ['unhinge', 1]]);
+
+  const bob = await meter.report({ user: 'key:bob', groupBy: ['model', 'bogus'] });
+  assert.deepEqual(bob.groupBy, ['model']);
+  assert.equal(bob.totals.calls, 1);
+
+  const future = await meter.report({ from: '2999-01-01' });
+  assert.equal(future.totals.calls, 0);
+});
+
+test('a missing log reports zeros', async () => {
+  const report = await createUsageMeter({ file: usageFile() }).report();
+  assert.deepEqual(report.groups, []);
+  assert.equal(report.totals.calls, 0);
+});
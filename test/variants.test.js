@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startFakeLLM } = require('./helpers/server');
+
+// Candidates are generated by the offline mock. Ranking needs a judge that answers
+// with scores (or with prose), so those tests run against a fake LLM instead.
+
+let mockServer;
+let rankServer;
+let llm;
+let judgeReply;
+
+before(async () => {
+  llm = await startFakeLLM(({ messages }) => {
+    const prompt = messages.map(msg => msg.content).join('\n');
+    if (/candidate passages/.test(prompt)) return judgeReply;
+    return `Draft ${llm.calls.length}.`;
+  });
+
+  [mockServer, rankServer] = await Promise.all([
+    startServer(),
+    startServer({ LLM_PROVIDER: 'openai', LLM_BASE_URL: llm.baseUrl })
+  ]);
+});
+
+after(async () => {
+  mockServer?.stop();
+  rankServer?.stop();
+  await llm?.stop();
+});
+
+test('variants returns one candidate per request, the first as the result', async () => {
+  const { status, body } = await mockServer.post('/devil-pov', { action: 'invoke', userPrompt: 'Write one line of dread.', variants: 3 });
+
+  assert.equal(status, 200);
+  assert.equal(body.variants.length, 3);
+  assert.deepEqual(body.variants.map(variant => variant.candidate), [1, 2, 3]);
+  body.variants.forEach(variant => assert.match(variant.text, /Write one line of dread\./));
+  assert.equal(body.result, body.variants[0].text);
+});
+
+test('rank sorts candidates by their overall score', async () => {
+  judgeReply = JSON.stringify([
+    { candidate: 1, tone: 3, continuity: 4, reason: "Flat." },
+    { candidate: 2, tone: 9, continuity: 8, reason: "Cold and on voice." },
+    { candidate: 3, tone: 6, continuity: 7, reason: "Close." }
+  ]);
+
+  const { status, body } = await rankServer.post('/devil-pov', { action: 'invoke', userPrompt: 'Write one line of dread.', variants: 3, rank: true });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.variants.map(variant => variant.candidate), [2, 3, 1]);
+  assert.deepEqual(body.variants.map(variant => variant.rank), [1, 2, 3]);
+  assert.deepEqual(body.variants.map(variant => variant.scores.overall), [8.5, 6.5, 3.5]);
+  assert.equal(body.variants[0].reason, "Cold and on voice.");
+  assert.equal(body.result, body.variants[0].text);
+});
+
+test('rank keeps generation order when the judge does not answer with JSON', async () => {
+  judgeReply = "Candidate 2 is clearly the strongest.";
+
+  const { status, body } = await rankServer.post('/devil-pov', { action: 'invoke', userPrompt: 'Write one line of dread.', variants: 3, rank: true });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.variants.map(variant => variant.candidate), [1, 2, 3]);
+  body.variants.forEach(variant => assert.equal(variant.scores, undefined));
+  assert.equal(body.result, body.variants[0].text);
+});
+
+test('variants is rejected by actions that do not generate candidates', async () => {
+  const { status, body } = await mockServer.post('/devil-pov', { action: 'ai_critic', text: 'She ran. She ran again.', variants: 2 });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'VALIDATION_ERROR');
+  assert.deepEqual(body.fields.map(problem => problem.field), ['variants']);
+});
+
+test('variants with stream is rejected before the event stream opens', async () => {
+  const { status, events, body } = await mockServer.stream({ action: 'unleash', chapterContent: 'The door was open.', variants: 2 });
+
+  assert.equal(status, 400);
+  assert.equal(events, null);
+  assert.equal(body.code, 'VALIDATION_ERROR');
+  assert.deepEqual(body.fields.map(problem => problem.field), ['variants']);
+});